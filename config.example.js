@@ -18,6 +18,32 @@ module.exports = {
     // Add more accounts as needed
   ],
 
+  /**
+   * Non-Gmail outreach mailboxes searched over IMAP
+   * port defaults to 993 (or 143 with secure: false), mailbox to INBOX
+   */
+  imapAccounts: [
+    // {
+    //   account: 'outreach@example.net',
+    //   host: 'imap.example.net',
+    //   port: 993,
+    //   secure: true,
+    //   user: 'outreach@example.net',
+    //   password: 'app-password',
+    //   mailbox: 'INBOX'
+    // }
+  ],
+
+  /**
+   * Offline mailbox archives searched alongside the Gmail accounts
+   * Each entry is a path to a .mbox file or a directory of .eml files,
+   * or { account: 'label', path: '...' } to name it in results
+   */
+  mailboxArchives: [
+    // './archives/former-employee.mbox',
+    // { account: 'old-sales', path: './archives/sales-eml/' }
+  ],
+
   /**
    * OpenAI API configuration
    */
@@ -33,11 +59,169 @@ module.exports = {
     model: 'gpt-4o-mini'
   },
 
+  /**
+   * LLM provider used for price extraction
+   * Leave as-is to use OpenAI with the settings above
+   */
+  llm: {
+    /**
+     * 'openai' for api.openai.com or any OpenAI-compatible server,
+     * 'fake' to replay recorded responses (tests)
+     */
+    provider: 'openai',
+
+    /**
+     * Base URL of an OpenAI-compatible server, e.g. 'http://localhost:11434/v1' for Ollama
+     * null uses api.openai.com
+     */
+    baseURL: null,
+
+    /**
+     * Overrides for openai.apiKey / openai.model (null uses those)
+     */
+    apiKey: null,
+    model: null,
+
+    /**
+     * Extra headers sent with every request, e.g. { 'X-Gateway-Key': '...' }
+     */
+    headers: {},
+
+    timeoutMs: 60000,
+    maxRetries: 2,
+
+    /**
+     * Set to false if the server rejects response_format: { type: 'json_object' }
+     */
+    jsonMode: true,
+
+    /**
+     * Recorded responses replayed by the 'fake' provider (JSON Lines)
+     */
+    fixturesPath: null,
+
+    /**
+     * Append every real response here so the 'fake' provider can replay it later
+     */
+    recordPath: null,
+
+    /**
+     * USD per million input/output tokens, used to estimate spend per task.
+     * Add an entry for any other model you use; unpriced models show tokens only
+     */
+    pricing: {
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4o': { input: 2.5, output: 10 }
+    }
+  },
+
+  /**
+   * Currency normalization
+   * Prices are compared in this currency; maintain rates on the Publishers page
+   * or import them from a CSV (currency,rate)
+   */
+  currency: {
+    base: 'EUR'
+  },
+
   /**
    * Rate limiting configuration
+   * Shared by all task workers so parallel domains stay within API quotas
    */
   rateLimit: {
-    delayMs: 500
+    delayMs: 500,
+
+    /**
+     * Gmail requests in flight at once, per account
+     */
+    gmailConcurrentPerAccount: 5,
+
+    /**
+     * Gmail requests started per minute, per account
+     */
+    gmailRequestsPerMinute: 600,
+
+    /**
+     * OpenAI requests started per minute, across all workers
+     */
+    openaiRequestsPerMinute: 60
+  },
+
+  /**
+   * Task processing
+   */
+  concurrency: {
+    /**
+     * Domains of a task processed at the same time
+     */
+    taskWorkers: 3
+  },
+
+  /**
+   * Scheduled refresh of stale publishers
+   * Publishers not refreshed for maxAgeDays are searched again on the schedule
+   */
+  scheduledRefresh: {
+    enabled: false,
+
+    /**
+     * Cron expression (minute hour day-of-month month day-of-week), server time
+     */
+    schedule: '0 3 * * *',
+
+    maxAgeDays: 30,
+
+    /**
+     * Only refresh favorites, or publishers with this tag
+     */
+    favoritesOnly: false,
+    tag: null,
+
+    /**
+     * Most domains put into a single refresh task (oldest first)
+     */
+    maxDomains: 500
+  },
+
+  /**
+   * Local Gmail index
+   * Gmail accounts are synced into the database on the schedule, and domain
+   * searches read the index instead of calling the Gmail API for every message
+   */
+  mailSync: {
+    enabled: false,
+
+    /**
+     * Cron expression for incremental syncs (the first run syncs the whole mailbox)
+     */
+    schedule: '*/10 * * * *',
+
+    /**
+     * Gmail query limiting the initial sync, e.g. 'newer_than:2y' (empty = all mail)
+     */
+    query: '',
+
+    /**
+     * Spreadsheet attachments up to this size are stored whole for structured
+     * extraction; other attachments are stored as extracted text only
+     */
+    maxSheetBytes: 5 * 1024 * 1024
+  },
+
+  /**
+   * Login security
+   * Failed sign-ins are counted per username and per IP address; once either
+   * reaches its limit within lockoutMinutes, further attempts are refused for a while
+   */
+  auth: {
+    maxFailuresPerUser: 5,
+    maxFailuresPerIp: 20,
+    lockoutMinutes: 15,
+
+    /**
+     * Shortest password users may choose (admins setting passwords too)
+     */
+    minPasswordLength: 10
   },
 
   /**
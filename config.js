@@ -8,7 +8,9 @@ const isProduction = process.env.NODE_ENV === 'production';
 
 // Validate required env vars in production
 if (isProduction) {
-  const required = ['OPENAI_API_KEY'];
+  // A self-hosted or fake LLM provider doesn't need an OpenAI key
+  const usesOpenAI = (process.env.LLM_PROVIDER || 'openai') === 'openai' && !process.env.LLM_BASE_URL;
+  const required = usesOpenAI ? ['OPENAI_API_KEY'] : [];
   const missing = required.filter(key => !process.env[key]);
   if (missing.length > 0) {
     console.error('Missing required environment variables:', missing.join(', '));
@@ -30,6 +32,28 @@ module.exports = {
         'denis@instalinkers.com'
       ],
 
+  /**
+   * Non-Gmail mailboxes searched over IMAP
+   * Set IMAP_ACCOUNTS env var as a JSON array of
+   * { account, host, port, secure, user, password, mailbox }
+   */
+  imapAccounts: process.env.IMAP_ACCOUNTS ? JSON.parse(process.env.IMAP_ACCOUNTS) : [],
+
+  /**
+   * Offline mailbox archives (.mbox files or directories of .eml files)
+   * searched alongside the Gmail accounts above
+   * Set MAILBOX_ARCHIVES env var as comma-separated list of paths,
+   * optionally labelled as "label=path"
+   */
+  mailboxArchives: process.env.MAILBOX_ARCHIVES
+    ? process.env.MAILBOX_ARCHIVES.split(',').map(e => e.trim()).filter(Boolean).map(entry => {
+        const separator = entry.indexOf('=');
+        return separator > 0
+          ? { account: entry.slice(0, separator).trim(), path: entry.slice(separator + 1).trim() }
+          : entry;
+      })
+    : [],
+
   /**
    * OpenAI API configuration
    */
@@ -38,11 +62,107 @@ module.exports = {
     model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
   },
 
+  /**
+   * LLM provider used for price extraction
+   * provider "openai" talks to api.openai.com, or to any OpenAI-compatible server
+   * (vLLM, Ollama, LM Studio, a local mock) when LLM_BASE_URL is set.
+   * provider "fake" replays responses recorded with LLM_RECORD_PATH (for tests).
+   * API key and model fall back to the openai settings above.
+   */
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'openai',
+    baseURL: process.env.LLM_BASE_URL || null,
+    apiKey: process.env.LLM_API_KEY || null,
+    model: process.env.LLM_MODEL || null,
+    headers: process.env.LLM_HEADERS ? JSON.parse(process.env.LLM_HEADERS) : {},
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 60000,
+    maxRetries: process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES) : 2,
+    // Some local servers reject response_format; the prompts ask for JSON either way
+    jsonMode: process.env.LLM_JSON_MODE !== 'false',
+    fixturesPath: process.env.LLM_FIXTURES || null,
+    recordPath: process.env.LLM_RECORD_PATH || null,
+    // USD per million tokens, for spend estimates. Dated snapshots (gpt-4o-mini-2024-07-18)
+    // use the entry for their base name. LLM_PRICING='{"my-model":{"input":1,"output":2}}' adds or overrides.
+    pricing: {
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+      'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+      'gpt-4.1': { input: 2, output: 8 },
+      ...(process.env.LLM_PRICING ? JSON.parse(process.env.LLM_PRICING) : {})
+    }
+  },
+
+  /**
+   * Currency normalization
+   * All prices are converted to the base currency (via the exchange_rates table)
+   * for filtering, sorting, stats and export. Set BASE_CURRENCY env var to change it.
+   */
+  currency: {
+    base: process.env.BASE_CURRENCY || 'EUR'
+  },
+
   /**
    * Rate limiting configuration
+   * Limits are shared by every task worker. Gmail limits apply per account,
+   * the OpenAI limit across all calls. Set GMAIL_CONCURRENCY,
+   * GMAIL_REQUESTS_PER_MINUTE and OPENAI_REQUESTS_PER_MINUTE env vars to tune them.
    */
   rateLimit: {
-    delayMs: 500
+    delayMs: 500,
+    gmailConcurrentPerAccount: parseInt(process.env.GMAIL_CONCURRENCY) || 5,
+    gmailRequestsPerMinute: parseInt(process.env.GMAIL_REQUESTS_PER_MINUTE) || 600,
+    openaiRequestsPerMinute: parseInt(process.env.OPENAI_REQUESTS_PER_MINUTE) || 60
+  },
+
+  /**
+   * Task processing
+   * Number of domains of a task processed at the same time.
+   * Set TASK_CONCURRENCY env var to change it.
+   */
+  concurrency: {
+    taskWorkers: parseInt(process.env.TASK_CONCURRENCY) || 3
+  },
+
+  /**
+   * Scheduled refresh of stale publishers
+   * On the REFRESH_SCHEDULE cron (e.g. "0 3 * * *"), publishers not refreshed for
+   * REFRESH_MAX_AGE_DAYS are searched again through the task queue.
+   * Set REFRESH_FAVORITES_ONLY=true or REFRESH_TAG to narrow it down.
+   */
+  scheduledRefresh: {
+    enabled: Boolean(process.env.REFRESH_SCHEDULE),
+    schedule: process.env.REFRESH_SCHEDULE || '0 3 * * *',
+    maxAgeDays: parseInt(process.env.REFRESH_MAX_AGE_DAYS) || 30,
+    favoritesOnly: process.env.REFRESH_FAVORITES_ONLY === 'true',
+    tag: process.env.REFRESH_TAG || null,
+    maxDomains: parseInt(process.env.REFRESH_MAX_DOMAINS) || 500
+  },
+
+  /**
+   * Local Gmail index
+   * On the MAIL_SYNC_SCHEDULE cron (default every 10 minutes), Gmail accounts are synced
+   * into the database so domain searches read the index instead of the Gmail API.
+   * MAIL_SYNC_QUERY limits the initial sync (e.g. "newer_than:2y").
+   */
+  mailSync: {
+    enabled: process.env.MAIL_SYNC === 'true',
+    schedule: process.env.MAIL_SYNC_SCHEDULE || '*/10 * * * *',
+    query: process.env.MAIL_SYNC_QUERY || '',
+    maxSheetBytes: parseInt(process.env.MAIL_SYNC_MAX_SHEET_BYTES) || 5 * 1024 * 1024
+  },
+
+  /**
+   * Login security
+   * Failed sign-ins are counted per username and per IP address. Once either reaches its limit
+   * within LOGIN_LOCKOUT_MINUTES, further attempts are refused until the oldest of them is that old.
+   * MIN_PASSWORD_LENGTH applies to passwords users choose and admins set.
+   */
+  auth: {
+    maxFailuresPerUser: parseInt(process.env.LOGIN_MAX_FAILURES_PER_USER) || 5,
+    maxFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    minPasswordLength: parseInt(process.env.MIN_PASSWORD_LENGTH) || 10
   },
 
   /**
@@ -0,0 +1,336 @@
+/**
+ * Extraction Accuracy Evaluation
+ * Runs the full single-email pipeline (regex, attachments, LLM) over the golden
+ * corpus in eval/ and reports precision, recall and per-field accuracy.
+ *
+ * LLM answers are replayed from eval/llm-recordings.jsonl, so runs are offline and
+ * deterministic. Regex and post-processing changes can be evaluated as-is; after a
+ * prompt change the recordings no longer match - re-record them against a real model
+ * with --record and review the diff.
+ *
+ * Usage:
+ *   npm run eval:extraction
+ *   node scripts/evaluate-extraction.js [options]
+ *
+ * Options:
+ *   --cases <path>       Case manifest (default: eval/cases.json)
+ *   --fixtures <path>    LLM recordings (default: eval/llm-recordings.jsonl)
+ *   --filter <text>      Only run cases whose id contains text
+ *   --record             Call the configured LLM provider and rewrite the recordings
+ *   --json               Print the report as JSON
+ *   --verbose            Show the pipeline's own logging
+ *
+ * Exits with 1 when precision or recall is below the manifest's thresholds, or when
+ * an LLM request had no recording.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseRawEmail } = require('../services/mime');
+const { processEmailForDomain } = require('../services/domain-searcher');
+const llm = require('../services/llm');
+
+const EVAL_DIR = path.join(__dirname, '..', 'eval');
+
+// Fields a case can assert; price fields and the currency decide whether a prediction is correct
+const PRICE_FIELDS = ['guest_post_price', 'link_insertion_price', 'sponsored_post_price', 'homepage_link_price', 'casino_price'];
+const OTHER_FIELDS = ['currency', 'casino_accepted'];
+const SCORED_FIELDS = [...PRICE_FIELDS, 'currency'];
+
+// LLM requests the fake provider had no answer for, in this run
+const unrecordedRequests = [];
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = {
+    cases: path.join(EVAL_DIR, 'cases.json'),
+    fixtures: path.join(EVAL_DIR, 'llm-recordings.jsonl'),
+    filter: null,
+    record: false,
+    json: false,
+    verbose: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--cases') options.cases = path.resolve(argv[++i]);
+    else if (arg === '--fixtures') options.fixtures = path.resolve(argv[++i]);
+    else if (arg === '--filter') options.filter = argv[++i];
+    else if (arg === '--record') options.record = true;
+    else if (arg === '--json') options.json = true;
+    else if (arg === '--verbose') options.verbose = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  return options;
+}
+
+/**
+ * Loads and checks the case manifest
+ * @param {string} casesPath - Manifest path
+ * @returns {{thresholds: Object, cases: Array}}
+ */
+function loadManifest(casesPath) {
+  const manifest = JSON.parse(fs.readFileSync(casesPath, 'utf-8'));
+  const known = [...PRICE_FIELDS, ...OTHER_FIELDS];
+
+  for (const testCase of manifest.cases || []) {
+    if (!testCase.id || !testCase.email || !testCase.domain || testCase.expected === undefined) {
+      throw new Error(`Case ${testCase.id || '(no id)'} needs id, email, domain and expected`);
+    }
+    const unknown = Object.keys(testCase.expected || {}).filter(field => !known.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Case ${testCase.id} asserts unknown fields: ${unknown.join(', ')}`);
+    }
+  }
+
+  return { thresholds: manifest.thresholds || {}, cases: manifest.cases || [] };
+}
+
+/**
+ * Compares an expected field value with the pipeline's
+ * Prices match within a cent; text matches case-insensitively; null expects no value
+ */
+function valuesMatch(expected, actual) {
+  if (expected === null) return actual === null || actual === undefined;
+  if (actual === null || actual === undefined) return false;
+  if (typeof expected === 'number') return Math.abs(Number(actual) - expected) < 0.01;
+  return String(actual).toUpperCase() === String(expected).toUpperCase();
+}
+
+/**
+ * Runs fn with console.log/console.error silenced
+ */
+async function quietly(fn) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+}
+
+/**
+ * Scores one case
+ * tp: price fields and currency right; wrong: a price, but not the expected one - a right amount
+ * in the wrong currency included (counts against both precision and recall); fp: a price where
+ * none was expected; fn: no price; tn: correctly none
+ * @returns {{outcome: string, fields: Object}}
+ */
+function scoreCase(testCase, result) {
+  const fields = {};
+  if (testCase.expected === null) {
+    return { outcome: result ? 'fp' : 'tn', fields };
+  }
+
+  for (const [field, expected] of Object.entries(testCase.expected)) {
+    const actual = result ? result[field] ?? null : null;
+    fields[field] = { expected, actual, correct: Boolean(result) && valuesMatch(expected, actual) };
+  }
+
+  if (!result) return { outcome: 'fn', fields };
+
+  const pricesRight = Object.entries(fields)
+    .filter(([field]) => SCORED_FIELDS.includes(field))
+    .every(([, check]) => check.correct);
+  return { outcome: pricesRight ? 'tp' : 'wrong', fields };
+}
+
+/**
+ * @returns {number|null} Ratio, or null when undefined (no denominator)
+ */
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+function formatPercent(value) {
+  return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatPrices(values) {
+  if (!values) return 'no price';
+  const prices = PRICE_FIELDS
+    .filter(field => values[field] !== null && values[field] !== undefined)
+    .map(field => `${field.replace(/_price$/, '')}=${values[field]}`);
+  return prices.length > 0 ? `${prices.join(' ')}${values.currency ? ` ${values.currency}` : ''}` : 'no price';
+}
+
+/**
+ * Runs every case and aggregates the metrics
+ * @param {Array} cases - Cases to run
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} Report
+ */
+async function evaluate(cases, options) {
+  const emails = new Map();
+  const results = [];
+  const counts = { tp: 0, wrong: 0, fp: 0, fn: 0, tn: 0 };
+  const fieldTotals = {};
+  let unrecorded = 0;
+
+  for (const testCase of cases) {
+    const emailPath = path.resolve(path.dirname(options.cases), testCase.email);
+    if (!emails.has(emailPath)) {
+      emails.set(emailPath, await parseRawEmail(fs.readFileSync(emailPath)));
+    }
+    const emailData = emails.get(emailPath);
+
+    const missesBefore = unrecordedRequests.length;
+    const run = () => processEmailForDomain('eval', emailData.id, testCase.domain, emailData);
+    const result = options.verbose ? await run() : await quietly(run);
+    const caseUnrecorded = unrecordedRequests.length - missesBefore;
+    unrecorded += caseUnrecorded;
+
+    const { outcome, fields } = scoreCase(testCase, result);
+    counts[outcome]++;
+    for (const [field, check] of Object.entries(fields)) {
+      fieldTotals[field] = fieldTotals[field] || { correct: 0, total: 0 };
+      fieldTotals[field].total++;
+      if (check.correct) fieldTotals[field].correct++;
+    }
+
+    results.push({
+      id: testCase.id,
+      domain: testCase.domain,
+      outcome,
+      method: result?.extraction_method || null,
+      expected: testCase.expected,
+      actual: result ? Object.fromEntries(
+        [...PRICE_FIELDS, ...OTHER_FIELDS].map(field => [field, result[field] ?? null])
+      ) : null,
+      fields,
+      unrecorded: caseUnrecorded,
+      note: testCase.note || null
+    });
+  }
+
+  const predicted = counts.tp + counts.wrong + counts.fp;
+  const relevant = counts.tp + counts.wrong + counts.fn;
+
+  return {
+    cases: results.length,
+    counts,
+    precision: ratio(counts.tp, predicted),
+    recall: ratio(counts.tp, relevant),
+    fields: Object.fromEntries(Object.entries(fieldTotals).map(([field, totals]) => [
+      field, { ...totals, accuracy: ratio(totals.correct, totals.total) }
+    ])),
+    unrecorded,
+    results
+  };
+}
+
+/**
+ * Prints the report as text
+ */
+function printReport(report, thresholds) {
+  const marks = { tp: 'ok   ', tn: 'ok   ', wrong: 'WRONG', fp: 'FP   ', fn: 'MISS ' };
+  const idWidth = Math.max(...report.results.map(r => r.id.length), 4);
+
+  console.log(`\nExtraction evaluation - ${report.cases} cases\n`);
+  for (const result of report.results) {
+    let line = `  ${marks[result.outcome]} ${result.id.padEnd(idWidth)}  ${result.domain}`;
+    if (result.method) line += ` [${result.method}]`;
+    if (result.outcome !== 'tp' && result.outcome !== 'tn') {
+      line += `\n        expected ${formatPrices(result.expected)}, got ${formatPrices(result.actual)}`;
+    }
+    const wrongFields = Object.entries(result.fields).filter(([, check]) => !check.correct && result.actual);
+    if (result.outcome === 'tp' && wrongFields.length > 0) {
+      line += `\n        ${wrongFields.map(([field, check]) => `${field}: expected ${check.expected}, got ${check.actual}`).join('; ')}`;
+    }
+    if (result.unrecorded > 0) line += `\n        ${result.unrecorded} LLM request(s) had no recording`;
+    const passed = (result.outcome === 'tp' || result.outcome === 'tn') && wrongFields.length === 0;
+    if (result.note && !passed) line += `\n        note: ${result.note}`;
+    console.log(line);
+  }
+
+  const { counts } = report;
+  console.log('\nSummary');
+  console.log(`  Precision: ${formatPercent(report.precision)} (${counts.tp}/${counts.tp + counts.wrong + counts.fp})` +
+    (thresholds.precision !== undefined ? `  [min ${formatPercent(thresholds.precision)}]` : ''));
+  console.log(`  Recall:    ${formatPercent(report.recall)} (${counts.tp}/${counts.tp + counts.wrong + counts.fn})` +
+    (thresholds.recall !== undefined ? `  [min ${formatPercent(thresholds.recall)}]` : ''));
+  console.log(`  Outcomes:  ${counts.tp} correct, ${counts.tn} correctly empty, ${counts.wrong} wrong price, ${counts.fp} false positive, ${counts.fn} missed`);
+
+  console.log('\nField accuracy');
+  const fieldWidth = Math.max(...Object.keys(report.fields).map(field => field.length), 5);
+  for (const [field, totals] of Object.entries(report.fields)) {
+    console.log(`  ${field.padEnd(fieldWidth)}  ${formatPercent(totals.accuracy).padStart(6)}  (${totals.correct}/${totals.total})`);
+  }
+
+  if (report.unrecorded > 0) {
+    console.log(`\n${report.unrecorded} LLM request(s) had no recording - if the prompt changed, re-record with --record`);
+  }
+}
+
+/**
+ * Sets up the provider the pipeline will use
+ * Replays recordings by default; --record wraps the configured provider and starts a fresh file
+ */
+function setUpProvider(options) {
+  if (options.record) {
+    fs.writeFileSync(options.fixtures, '');
+    llm.setLLMProvider(llm.createRecordingProvider(llm.getLLMProvider(), options.fixtures));
+    return;
+  }
+
+  const fake = llm.createFakeProvider({ fixturesPath: options.fixtures });
+  llm.setLLMProvider({
+    ...fake,
+    async complete(request) {
+      try {
+        return await fake.complete(request);
+      } catch (error) {
+        unrecordedRequests.push(llm.getRequestKey(request));
+        throw error;
+      }
+    }
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const { thresholds, cases } = loadManifest(options.cases);
+  const selected = options.filter ? cases.filter(c => c.id.includes(options.filter)) : cases;
+
+  if (selected.length === 0) {
+    throw new Error('No cases to run');
+  }
+
+  setUpProvider(options);
+  const report = await evaluate(selected, options);
+
+  if (options.json) {
+    console.log(JSON.stringify({ thresholds, ...report }, null, 2));
+  } else {
+    printReport(report, thresholds);
+  }
+  if (options.record) {
+    console.log(`\nRecorded LLM responses to ${path.relative(process.cwd(), options.fixtures)}`);
+  }
+
+  const failures = [];
+  if (thresholds.precision !== undefined && report.precision !== null && report.precision < thresholds.precision) {
+    failures.push('precision');
+  }
+  if (thresholds.recall !== undefined && report.recall !== null && report.recall < thresholds.recall) {
+    failures.push('recall');
+  }
+  if (failures.length > 0 && !options.json) {
+    console.log(`\nFAILED: ${failures.join(' and ')} below threshold`);
+  }
+
+  process.exit(failures.length > 0 || report.unrecorded > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Evaluation failed:', error.message);
+  process.exit(1);
+});
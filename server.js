@@ -8,14 +8,37 @@ const { v4: uuidv4 } = require('uuid');
 const cookieParser = require('cookie-parser');
 const bcrypt = require('bcryptjs');
 const path = require('path');
+const crypto = require('crypto');
+const { parse: csvParse } = require('csv-parse/sync');
 const db = require('./db');
-const { searchDomains, searchDomain } = require('./services/domain-searcher');
 const config = require('./config');
+const { searchDomains, searchDomain, hasPricing } = require('./services/domain-searcher');
+const { getSearchAccounts, getMessageLink, searchEmails, getEmailWithAttachments } = require('./services/mail-source');
+const { findGoogleSheetUrls } = require('./services/attachments');
+const { createScheduledJob } = require('./services/scheduler');
+const { runWorkerPool } = require('./services/task-pool');
+const { syncAccount, syncAllAccounts, getSyncStatus } = require('./services/mail-sync');
+const { DOMAIN_PROMPT_VERSION, NEGOTIATION_PROMPT_VERSION } = require('./services/extractor');
+const { getLLMProvider } = require('./services/llm');
+const classificationRules = require('./services/classification-rules');
+const senderReputation = require('./services/sender-reputation');
+const priceListImport = require('./services/price-list-import');
+const loginSecurity = require('./services/login-security');
+const twoFactor = require('./services/two-factor');
+const accessGates = require('./services/access-gates');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1" or "loopback") so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Middleware
+// Price list uploads arrive base64-encoded in the JSON body, so they get a larger limit
+app.use('/api/import', express.json({ limit: '25mb' }));
 app.use(express.json());
 app.use(cookieParser());
 
@@ -23,13 +46,74 @@ app.use(cookieParser());
 // AUTHENTICATION MIDDLEWARE & ROUTES
 // ============================================
 
-// Public paths that don't require auth
-const publicPaths = ['/login.html', '/api/auth/login', '/api/auth/setup-required'];
+// Personal API tokens look like dps_<random>; the first characters are kept to tell them apart
+const API_TOKEN_PREFIX = 'dps_';
+const API_TOKEN_VISIBLE_LENGTH = 12;
+
+/**
+ * API tokens are long random strings, so a fast hash is enough to store them safely
+ */
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// API responses for users held at an access gate (see services/access-gates.js)
+const GATE_ERRORS = {
+  change_password: { error: 'Change your password first', passwordChangeRequired: true },
+  setup_two_factor: { error: 'Set up two-factor authentication first', twoFactorSetupRequired: true }
+};
+
+/**
+ * Authenticate an API request by its "Authorization: Bearer <token>" header
+ * Read-only tokens may only GET. Tokens of users who must change their password, or who
+ * haven't set up two-factor authentication admins require, are refused until they have
+ */
+async function authenticateApiToken(req, res, next) {
+  const match = req.get('authorization').match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return res.status(401).json({ error: 'Authorization header must be "Bearer <token>"' });
+  }
+
+  try {
+    const token = await db.getApiTokenByHash(hashApiToken(match[1]));
+    if (!token) {
+      return res.status(401).json({ error: 'Invalid API token' });
+    }
+    if (token.disabled) {
+      return res.status(401).json({ error: 'Account disabled' });
+    }
+    if (token.must_change_password) {
+      return res.status(403).json(GATE_ERRORS.change_password);
+    }
+    if (!token.two_factor_enabled && await twoFactor.isRequired()) {
+      return res.status(403).json(GATE_ERRORS.setup_two_factor);
+    }
+    if (token.read_only && !['GET', 'HEAD'].includes(req.method)) {
+      return res.status(403).json({ error: 'This API token is read-only' });
+    }
+
+    await db.touchApiToken(token.id, req.ip);
+    req.user = { id: token.user_id, username: token.username, role: token.role, tokenId: token.id };
+    next();
+  } catch (error) {
+    console.error('API token error:', error);
+    res.status(401).json({ error: 'Authentication error' });
+  }
+}
 
 // Auth middleware (async for PostgreSQL)
+// Paths are checked as routes match them (see services/access-gates.js), whatever their case
 async function requireAuth(req, res, next) {
-  // Allow public paths
-  if (publicPaths.some(p => req.path === p || req.path.startsWith('/api/auth/'))) {
+  const path = accessGates.normalizePath(req.path);
+  const isApi = accessGates.isApiPath(path);
+
+  // Scripts send a personal API token instead of the session cookie
+  if (isApi && req.get('authorization')) {
+    return authenticateApiToken(req, res, next);
+  }
+
+  // Allow public paths (account routes need to know who is asking)
+  if (accessGates.isPublicPath(path)) {
     return next();
   }
 
@@ -37,7 +121,7 @@ async function requireAuth(req, res, next) {
   const sessionId = req.cookies.session;
   if (!sessionId) {
     // For API requests, return 401
-    if (req.path.startsWith('/api/')) {
+    if (isApi) {
       return res.status(401).json({ error: 'Authentication required' });
     }
     // For page requests, redirect to login
@@ -49,41 +133,150 @@ async function requireAuth(req, res, next) {
     const session = await db.getAuthSession(sessionId);
     if (!session) {
       res.clearCookie('session');
-      if (req.path.startsWith('/api/')) {
+      if (isApi) {
         return res.status(401).json({ error: 'Session expired' });
       }
       return res.redirect('/login.html');
     }
 
+    if (session.disabled) {
+      await db.deleteAuthSession(sessionId);
+      res.clearCookie('session');
+      if (isApi) {
+        return res.status(401).json({ error: 'Account disabled' });
+      }
+      return res.redirect('/login.html');
+    }
+
+    // Until they pick their own password, users only get the page to do so; when admins
+    // require two-factor authentication, users without it only get the Account page to set it up
+    const gate = accessGates.getBlockingGate(path, {
+      mustChangePassword: Boolean(session.must_change_password),
+      twoFactorMissing: !session.two_factor_enabled && await twoFactor.isRequired()
+    });
+    if (gate) {
+      if (isApi) {
+        return res.status(403).json(GATE_ERRORS[gate]);
+      }
+      return res.redirect(gate === 'change_password' ? '/login.html?changePassword=1' : '/account.html?setup2fa=1');
+    }
+
     // Attach user info to request
-    req.user = { id: session.user_id, username: session.username };
+    req.user = { id: session.user_id, username: session.username, role: session.role };
     next();
   } catch (error) {
     console.error('Auth error:', error);
     res.clearCookie('session');
-    if (req.path.startsWith('/api/')) {
+    if (isApi) {
       return res.status(401).json({ error: 'Authentication error' });
     }
     return res.redirect('/login.html');
   }
 }
 
+// Roles from least to most access: viewers can only look, managers run searches and
+// edit publishers, admins also delete data, manage users and change system settings
+const ROLES = ['viewer', 'manager', 'admin'];
+
+/**
+ * Middleware that lets through users with at least the given role
+ * @param {string} role - Minimum role
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (ROLES.indexOf(req.user?.role) >= ROLES.indexOf(role)) {
+      return next();
+    }
+    res.status(403).json({ error: `This needs the ${role} role` });
+  };
+}
+
+/**
+ * Records changes made through the API in the audit log, one entry per target
+ * Best-effort: by the time this runs the change is made, so a failed write is only logged
+ * @param {Object} req - Request of the user making the change
+ * @param {string} action - What was done, e.g. 'publisher.delete'
+ * @param {string} targetType - What it was done to, e.g. 'publisher', 'task', 'user'
+ * @param {Array<{targetId, before, after}>} targets - Changed targets with their values before and after
+ */
+async function auditAll(req, action, targetType, targets) {
+  try {
+    await db.addAuditEntries(targets.map(target => ({
+      userId: req.user?.id,
+      username: req.user?.username,
+      action,
+      targetType,
+      targetId: target.targetId,
+      before: target.before,
+      after: target.after,
+      ip: req.ip
+    })));
+  } catch (error) {
+    console.error(`Audit log write failed (${action}):`, error.message);
+  }
+}
+
+/**
+ * Records one change in the audit log (see auditAll)
+ */
+async function audit(req, action, targetType, targetId, before = null, after = null) {
+  await auditAll(req, action, targetType, [{ targetId, before, after }]);
+}
+
+/**
+ * Revokes all of a user's API tokens and records each one in the audit log
+ * @returns {Promise<number>} How many tokens were revoked
+ */
+async function revokeUserApiTokens(req, userId) {
+  const revoked = await db.deleteUserApiTokens(userId);
+  if (revoked.length > 0) {
+    await auditAll(req, 'token.revoke', 'api_token', revoked.map(token => ({
+      targetId: token.id,
+      before: pickFields(token, ['user_id', 'name', 'read_only'])
+    })));
+  }
+  return revoked.length;
+}
+
+/**
+ * The given fields of a row, for audit log before/after values
+ */
+function pickFields(row, fields) {
+  if (!row) return null;
+  return Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
+}
+
+// Publisher and task fields worth recording when they change
+const PUBLISHER_AUDIT_FIELDS = [...db.EDITABLE_FIELDS, 'is_favorite', 'review_status'];
+const TASK_AUDIT_FIELDS = ['name', 'status', 'total_domains', 'completed_domains', 'max_llm_calls', 'max_tokens', 'max_cost'];
+
 // Apply auth middleware before static files
 app.use(requireAuth);
 
+// Viewers can read everything but change nothing (they can still manage their own API tokens)
+app.use('/api', (req, res, next) => {
+  const path = accessGates.normalizePath(req.path);
+  if (['GET', 'HEAD'].includes(req.method) || path.startsWith('/auth/') || path.startsWith('/tokens')) {
+    return next();
+  }
+  requireRole('manager')(req, res, next);
+});
+
 // Serve static files (after auth check)
 app.use(express.static('public'));
 
 // Default admin credentials from environment or fallback
+// Whoever signs in with the fallback password has to change it first
+const DEFAULT_ADMIN_PASSWORD = 'admin123';
 const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || DEFAULT_ADMIN_PASSWORD;
 
 // Create default admin user on startup if not exists (called after db.init)
 async function ensureAdminUser() {
   const existingAdmin = await db.getUserByUsername(ADMIN_USERNAME);
   if (!existingAdmin) {
     const passwordHash = await bcrypt.hash(ADMIN_PASSWORD, 10);
-    await db.createUser(ADMIN_USERNAME, passwordHash);
+    await db.createUser(ADMIN_USERNAME, passwordHash, 'admin', ADMIN_PASSWORD === DEFAULT_ADMIN_PASSWORD);
     console.log(`Created admin user: ${ADMIN_USERNAME}`);
   }
 }
@@ -93,7 +286,52 @@ app.get('/api/auth/setup-required', (req, res) => {
   res.json({ setupRequired: false });
 });
 
+/**
+ * Answers 429 when sign-in attempts for the username or from the client are throttled
+ * @returns {Promise<boolean>} true if the request was refused
+ */
+async function refuseThrottledLogin(req, res, username) {
+  const block = await loginSecurity.getLoginBlock(username, req.ip);
+  if (!block) return false;
+
+  const minutes = Math.ceil(block.retryAfter / 60);
+  res.set('Retry-After', String(block.retryAfter));
+  res.status(429).json({
+    error: `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    retryAfter: block.retryAfter
+  });
+  return true;
+}
+
+/**
+ * Signs a user in once they passed every step: counts the successful sign-in, sets the session
+ * cookie and answers the login request
+ * @param {Object} [secondStep] - How the two-factor step was passed, for the audit log and the client
+ */
+async function startSession(req, res, user, mustChangePassword, secondStep = null) {
+  await loginSecurity.recordLoginAttempt(user.username, req.ip, true);
+
+  // Create session - long expiry (30 days) but cookie is session-based
+  const sessionId = uuidv4();
+  await db.createAuthSession(sessionId, user.id, 24 * 30); // 30 days in DB
+  await db.updateLastLogin(user.id);
+
+  // Set session cookie (no maxAge = expires when browser closes)
+  res.cookie('session', sessionId, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax'
+    // No maxAge = session cookie, expires when browser closes
+  });
+
+  req.user = { id: user.id, username: user.username, role: user.role };
+  await audit(req, 'auth.login', 'user', user.id, null, secondStep);
+
+  res.json({ success: true, username: user.username, role: user.role, mustChangePassword, twoFactor: secondStep || undefined });
+}
+
 // Login with predefined admin credentials
+// Users with two-factor authentication get a challenge to answer at /api/auth/login/2fa instead of a session
 app.post('/api/auth/login', async (req, res) => {
   try {
     const { username, password } = req.body;
@@ -102,47 +340,142 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(400).json({ error: 'Username and password required' });
     }
 
+    // Locked out usernames and addresses aren't even checked, so guessing on gets nowhere
+    if (await refuseThrottledLogin(req, res, username)) {
+      return;
+    }
+
     // Find user
     const user = await db.getUserByUsername(username);
-    if (!user) {
+    const validPassword = user && await bcrypt.compare(password, user.password_hash);
+    if (!validPassword) {
+      await loginSecurity.recordLoginAttempt(username, req.ip, false);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const validPassword = await bcrypt.compare(password, user.password_hash);
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    if (user.disabled) {
+      return res.status(403).json({ error: 'Account disabled' });
     }
 
-    // Create session - long expiry (30 days) but cookie is session-based
-    const sessionId = uuidv4();
-    await db.createAuthSession(sessionId, user.id, 24 * 30); // 30 days in DB
-    await db.updateLastLogin(user.id);
-
-    // Set session cookie (no maxAge = expires when browser closes)
-    res.cookie('session', sessionId, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax'
-      // No maxAge = session cookie, expires when browser closes
-    });
+    // Also catches admins created with the default password before it had to be changed
+    const mustChangePassword = Boolean(user.must_change_password) || password === DEFAULT_ADMIN_PASSWORD;
+    if (mustChangePassword && !user.must_change_password) {
+      await db.requirePasswordChange(user.id);
+    }
+
+    // The sign-in only counts as successful after the code, so wrong codes add up to a lockout too
+    if (user.totp_secret) {
+      const challenge = twoFactor.createChallenge(user, { mustChangePassword });
+      return res.json({ twoFactorRequired: true, challenge });
+    }
 
-    res.json({ success: true, username: user.username });
+    await startSession(req, res, user, mustChangePassword);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
+/**
+ * POST /api/auth/login/2fa
+ * Second sign-in step: { challenge, code } - code is from the authenticator app, or a recovery code
+ * Challenges last 5 minutes and allow 5 codes; then the password has to be entered again
+ */
+app.post('/api/auth/login/2fa', async (req, res) => {
+  try {
+    const { challenge: challengeId, code } = req.body || {};
+    if (!challengeId || !code) {
+      return res.status(400).json({ error: 'Challenge and code required' });
+    }
+
+    const challenge = twoFactor.getChallenge(challengeId);
+    if (!challenge) {
+      return res.status(401).json({ error: 'Sign-in timed out. Enter your password again.', challengeExpired: true });
+    }
+    if (await refuseThrottledLogin(req, res, challenge.username)) {
+      return;
+    }
+
+    const user = await db.getUserByUsername(challenge.username);
+    if (!user || user.id !== challenge.userId || user.disabled) {
+      twoFactor.deleteChallenge(challengeId);
+      return res.status(401).json({ error: 'Sign-in timed out. Enter your password again.', challengeExpired: true });
+    }
+
+    const secondStep = await twoFactor.verify(user.id, code);
+    if (!secondStep) {
+      await loginSecurity.recordLoginAttempt(user.username, req.ip, false);
+      twoFactor.failChallenge(challengeId);
+      return res.status(401).json({ error: 'Invalid code', challengeExpired: !twoFactor.getChallenge(challengeId) });
+    }
+
+    twoFactor.deleteChallenge(challengeId);
+    await startSession(req, res, user, challenge.data.mustChangePassword, secondStep);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
 // Logout
 app.post('/api/auth/logout', async (req, res) => {
   const sessionId = req.cookies.session;
   if (sessionId) {
+    const session = await db.getAuthSession(sessionId);
     await db.deleteAuthSession(sessionId);
     res.clearCookie('session');
+    if (session) {
+      req.user = { id: session.user_id, username: session.username, role: session.role };
+      await audit(req, 'auth.logout', 'user', session.user_id);
+    }
   }
   res.json({ success: true });
 });
 
+/**
+ * POST /api/auth/change-password
+ * Change your own password: { currentPassword, newPassword, revokeApiTokens? }
+ * Your other sessions are logged out; this one stays signed in. With revokeApiTokens,
+ * your API tokens are revoked too (after a suspected compromise)
+ */
+app.post('/api/auth/change-password', requireSession, async (req, res) => {
+  try {
+    const { currentPassword, newPassword, revokeApiTokens } = req.body || {};
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password required' });
+    }
+
+    // A wrong current password counts as a failed sign-in
+    if (await refuseThrottledLogin(req, res, req.user.username)) {
+      return;
+    }
+    const user = await db.getUserByUsername(req.user.username);
+    if (!await bcrypt.compare(currentPassword, user.password_hash)) {
+      await loginSecurity.recordLoginAttempt(req.user.username, req.ip, false);
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    if (newPassword === currentPassword) {
+      return res.status(400).json({ error: 'The new password must be different' });
+    }
+    const policyError = loginSecurity.checkPasswordPolicy(newPassword, req.user.username);
+    if (policyError) {
+      return res.status(400).json({ error: policyError });
+    }
+
+    await db.setUserPassword(user.id, await bcrypt.hash(newPassword, 10));
+    await db.deleteUserSessions(user.id, req.cookies.session);
+    const revokedTokens = revokeApiTokens ? await revokeUserApiTokens(req, user.id) : 0;
+
+    console.log(`Password changed by ${req.user.username}${revokedTokens ? `, ${revokedTokens} API token(s) revoked` : ''}`);
+    await audit(req, 'auth.change_password', 'user', user.id);
+    res.json({ success: true, revokedTokens });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get current user
 app.get('/api/auth/me', (req, res) => {
   if (req.user) {
@@ -161,399 +494,2100 @@ app.get('/', (req, res) => {
 // END AUTHENTICATION
 // ============================================
 
-// Store active SSE connections by session ID
-const sseConnections = new Map();
-
-// Store active search sessions
-const activeSessions = new Map();
-
-// Store active task runners for pause/cancel control
-const taskRunners = new Map();
-
-// Store SSE connections for tasks
-const taskSseConnections = new Map();
+// ============================================
+// USER MANAGEMENT API ENDPOINTS (admin only)
+// ============================================
 
-// Task queue - only one task runs at a time
-let currentRunningTaskId = null;
+/**
+ * Checks a password chosen by an admin, or makes up one to pass on to the user
+ * Either way the user has to replace it with their own at their next sign-in
+ * @returns {{password: string, generated: boolean}|{error: string}}
+ */
+function choosePassword(password, username) {
+  if (password === undefined || password === null || password === '') {
+    return { password: crypto.randomBytes(12).toString('base64url'), generated: true };
+  }
+  const policyError = loginSecurity.checkPasswordPolicy(password, username);
+  if (policyError) {
+    return { error: policyError };
+  }
+  return { password, generated: false };
+}
 
 /**
- * Check if any task is currently running
+ * Whether a change would leave no admin able to log in
  */
-function isAnyTaskRunning() {
-  return currentRunningTaskId !== null && taskRunners.has(currentRunningTaskId);
+async function removesLastAdmin(user, updates) {
+  if (user.role !== 'admin' || user.disabled) return false;
+  const staysAdmin = (updates.role ?? 'admin') === 'admin' && !updates.disabled && !updates.deleted;
+  return !staysAdmin && await db.getActiveAdminCount() <= 1;
 }
 
 /**
- * Get the next queued task and start it
+ * GET /api/users
+ * List every user with their role
  */
-async function startNextQueuedTask() {
-  // Find the oldest queued task
-  const tasks = await db.getTasks({ status: 'queued' });
-  if (tasks && tasks.length > 0) {
-    const nextTask = tasks[0];
-    console.log(`Starting next queued task: ${nextTask.id}`);
-    runTask(nextTask.id);
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ users: await db.getUsers(), roles: ROLES });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
 /**
- * POST /api/search
- * Start a new domain search
- * Body: { domains: ["example.com", "test.com"] }
+ * POST /api/users
+ * Create (invite) a user: { username, role, password? }
+ * Without a password one is generated and returned once, to pass on to the new user
+ * The new user picks their own password at their first sign-in
  */
-app.post('/api/search', async (req, res) => {
+app.post('/api/users', requireRole('admin'), async (req, res) => {
   try {
-    const { domains } = req.body;
+    const username = String(req.body.username || '').trim();
+    const role = req.body.role || 'viewer';
 
-    if (!domains || !Array.isArray(domains) || domains.length === 0) {
-      return res.status(400).json({ error: 'Please provide an array of domains' });
+    if (!/^[a-zA-Z0-9._@-]{2,64}$/.test(username)) {
+      return res.status(400).json({ error: 'Username must be 2-64 letters, digits or . _ @ -' });
     }
-
-    // Clean and dedupe domains
-    const cleanDomains = [...new Set(
-      domains
-        .map(d => d.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/$/, ''))
-        .filter(d => d.length > 0)
-    )];
-
-    if (cleanDomains.length === 0) {
-      return res.status(400).json({ error: 'No valid domains provided' });
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (await db.getUserByUsername(username)) {
+      return res.status(409).json({ error: `User ${username} already exists` });
     }
 
-    // Create session
-    const sessionId = uuidv4();
-    await db.createSession(sessionId, cleanDomains.length);
-
-    // Store session info
-    activeSessions.set(sessionId, {
-      domains: cleanDomains,
-      searched: 0,
-      results: [],
-      status: 'running'
-    });
-
-    // Start search in background
-    startSearch(sessionId, cleanDomains);
+    const chosen = choosePassword(req.body.password, username);
+    if (chosen.error) {
+      return res.status(400).json({ error: chosen.error });
+    }
 
+    const user = await db.createUser(username, await bcrypt.hash(chosen.password, 10), role, true);
+    console.log(`User ${username} (${role}) created by ${req.user.username}`);
+    await audit(req, 'user.create', 'user', user.id, null, { username, role });
     res.json({
-      sessionId,
-      domainsCount: cleanDomains.length,
-      message: 'Search started. Connect to /api/search/:sessionId/stream for live results.'
+      success: true,
+      user: await db.getUserById(user.id),
+      password: chosen.generated ? chosen.password : undefined
     });
-
   } catch (error) {
-    console.error('Error starting search:', error);
+    console.error('Error creating user:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /api/search/:sessionId/stream
- * SSE endpoint for live results
+ * PATCH /api/users/:id
+ * Change a user's role or disable/enable them: { role?, disabled? }
+ * Disabling logs the user out everywhere
  */
-app.get('/api/search/:sessionId/stream', (req, res) => {
-  const { sessionId } = req.params;
-
-  const session = activeSessions.get(sessionId);
-  if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
-  }
-
-  // Set SSE headers
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('Access-Control-Allow-Origin', '*');
+app.patch('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const user = await db.getUserById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-  // Store connection
-  sseConnections.set(sessionId, res);
+    const updates = {};
+    if (req.body.role !== undefined) {
+      if (!ROLES.includes(req.body.role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+      }
+      updates.role = req.body.role;
+    }
+    if (req.body.disabled !== undefined) {
+      updates.disabled = req.body.disabled ? 1 : 0;
+    }
 
-  // Send any existing results
-  session.results.forEach(result => {
-    res.write(`event: result\ndata: ${JSON.stringify(result)}\n\n`);
-  });
+    if (user.id === req.user.id && (updates.disabled || (updates.role && updates.role !== user.role))) {
+      return res.status(400).json({ error: 'You cannot disable yourself or change your own role' });
+    }
+    if (await removesLastAdmin(user, updates)) {
+      return res.status(400).json({ error: 'At least one active admin is required' });
+    }
 
-  // Send current progress
-  res.write(`event: progress\ndata: ${JSON.stringify({ searched: session.searched, total: session.domains.length })}\n\n`);
+    const updated = await db.updateUser(user.id, updates);
+    if (updates.disabled) {
+      await db.deleteUserSessions(user.id);
+    }
 
-  // If already complete, send complete event
-  if (session.status === 'complete') {
-    res.write(`event: complete\ndata: {}\n\n`);
+    console.log(`User ${user.username} updated by ${req.user.username}: ${JSON.stringify(updates)}`);
+    await audit(req, 'user.update', 'user', user.id, pickFields(user, Object.keys(updates)), updates);
+    res.json({ success: true, user: updated });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: error.message });
   }
-
-  // Handle client disconnect
-  req.on('close', () => {
-    sseConnections.delete(sessionId);
-  });
 });
 
 /**
- * GET /api/search/:sessionId/export
- * Export results to CSV
+ * POST /api/users/:id/reset-password
+ * Set a new password for a user: { password? } (generated and returned when left out)
+ * The user is logged out everywhere, their API tokens are revoked, they are unlocked,
+ * and they pick their own password at the next sign-in
  */
-app.get('/api/search/:sessionId/export', async (req, res) => {
+app.post('/api/users/:id/reset-password', requireRole('admin'), async (req, res) => {
   try {
-    const { sessionId } = req.params;
-
-    const csv = await db.exportToCsv(sessionId);
+    const user = await db.getUserById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    if (!csv) {
-      return res.status(404).json({ error: 'No results found for this session' });
+    const chosen = choosePassword(req.body.password, user.username);
+    if (chosen.error) {
+      return res.status(400).json({ error: chosen.error });
     }
 
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="price-search-${sessionId.slice(0, 8)}.csv"`);
+    await db.setUserPassword(user.id, await bcrypt.hash(chosen.password, 10), true);
+    await db.deleteUserSessions(user.id);
+    const revokedTokens = await revokeUserApiTokens(req, user.id);
+    await loginSecurity.clearLoginFailures(user.username);
+
+    console.log(`Password of ${user.username} reset by ${req.user.username}, ${revokedTokens} API token(s) revoked`);
+    await audit(req, 'user.reset_password', 'user', user.id);
+    res.json({ success: true, password: chosen.generated ? chosen.password : undefined, revokedTokens });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/users/:id/reset-2fa
+ * Turn off a user's two-factor authentication, e.g. when they lost their phone and recovery codes
+ * The user is logged out everywhere and unlocked; if admins require two-factor authentication,
+ * they set it up again at their next sign-in
+ */
+app.post('/api/users/:id/reset-2fa', requireRole('admin'), async (req, res) => {
+  try {
+    const user = await db.getUserById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({ error: `${user.username} has no two-factor authentication to reset` });
+    }
+
+    await twoFactor.disable(user.id);
+    await db.deleteUserSessions(user.id, user.id === req.user.id ? req.cookies.session : null);
+    await loginSecurity.clearLoginFailures(user.username);
+
+    console.log(`Two-factor authentication of ${user.username} reset by ${req.user.username}`);
+    await audit(req, 'user.reset_2fa', 'user', user.id);
+    res.json({ success: true, user: await db.getUserById(user.id) });
+  } catch (error) {
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/security-settings
+ * Whether two-factor authentication is required, and how many active users don't have it yet
+ */
+app.get('/api/security-settings', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({
+      requireTwoFactor: await twoFactor.isRequired(),
+      usersWithoutTwoFactor: await db.getUsersWithoutTwoFactorCount()
+    });
+  } catch (error) {
+    console.error('Error fetching security settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/security-settings
+ * Require two-factor authentication for everyone, or make it optional: { requireTwoFactor }
+ * Users without it can only set it up until they do. Turn it on for yourself first
+ */
+app.put('/api/security-settings', requireRole('admin'), async (req, res) => {
+  try {
+    if (typeof req.body.requireTwoFactor !== 'boolean') {
+      return res.status(400).json({ error: 'requireTwoFactor must be true or false' });
+    }
+    if (req.body.requireTwoFactor && !(await twoFactor.getStatus(req.user.id)).enabled) {
+      return res.status(400).json({ error: 'Turn on two-factor authentication for yourself first (on the Account page)' });
+    }
+
+    const before = await twoFactor.isRequired();
+    await twoFactor.setRequired(req.body.requireTwoFactor, req.user.id);
+
+    console.log(`Two-factor authentication made ${req.body.requireTwoFactor ? 'required' : 'optional'} by ${req.user.username}`);
+    await audit(req, 'security_settings.update', 'settings', 'require_two_factor',
+      { requireTwoFactor: before }, { requireTwoFactor: req.body.requireTwoFactor });
+    res.json({ success: true, requireTwoFactor: req.body.requireTwoFactor });
+  } catch (error) {
+    console.error('Error updating security settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Delete a user - tasks they created and their LLM usage are kept, without an owner
+ */
+app.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const user = await db.getUserById(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete yourself' });
+    }
+    if (await removesLastAdmin(user, { deleted: true })) {
+      return res.status(400).json({ error: 'At least one active admin is required' });
+    }
+
+    await db.deleteUser(user.id);
+    console.log(`User ${user.username} deleted by ${req.user.username}`);
+    await audit(req, 'user.delete', 'user', user.id, pickFields(user, ['username', 'role', 'disabled']));
+    res.json({ success: true, message: `User ${user.username} deleted` });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// API TOKEN ENDPOINTS
+// ============================================
+
+/**
+ * Middleware for routes that need a logged-in browser session, not an API token
+ * A leaked token must not be able to mint more tokens
+ */
+function requireSession(req, res, next) {
+  if (req.user?.tokenId) {
+    return res.status(403).json({ error: 'API tokens are managed from the Account page, not with a token' });
+  }
+  next();
+}
+
+/**
+ * GET /api/tokens
+ * List your API tokens (the tokens themselves can't be shown again)
+ */
+app.get('/api/tokens', requireSession, async (req, res) => {
+  try {
+    res.json({ tokens: await db.getApiTokens(req.user.id) });
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/tokens
+ * Create an API token: { name, readOnly? }
+ * The token is returned once; send it as "Authorization: Bearer <token>"
+ */
+app.post('/api/tokens', requireSession, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'Give the token a name of up to 100 characters' });
+    }
+
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const created = await db.createApiToken(
+      req.user.id, name, hashApiToken(token), token.slice(0, API_TOKEN_VISIBLE_LENGTH), Boolean(req.body.readOnly)
+    );
+
+    console.log(`API token "${name}" created by ${req.user.username}`);
+    await audit(req, 'token.create', 'api_token', created.id, null, { name, read_only: created.read_only });
+    res.json({ success: true, token, apiToken: created });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/tokens/:id
+ * Revoke one of your API tokens - scripts using it stop working at once
+ */
+app.delete('/api/tokens/:id', requireSession, async (req, res) => {
+  try {
+    const revoked = await db.deleteApiToken(req.user.id, parseInt(req.params.id));
+    if (!revoked) {
+      return res.status(404).json({ error: 'API token not found' });
+    }
+
+    console.log(`API token "${revoked.name}" revoked by ${req.user.username}`);
+    await audit(req, 'token.revoke', 'api_token', revoked.id, { name: revoked.name, read_only: revoked.read_only });
+    res.json({ success: true, message: `Token ${revoked.name} revoked` });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION ENDPOINTS
+// ============================================
+
+/**
+ * GET /api/auth/2fa
+ * Whether you have two-factor authentication on, how many recovery codes are left,
+ * and whether admins require it
+ */
+app.get('/api/auth/2fa', requireSession, async (req, res) => {
+  try {
+    res.json({ ...await twoFactor.getStatus(req.user.id), required: await twoFactor.isRequired() });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start setting up two-factor authentication: returns a secret, as a QR code (PNG data URL)
+ * and an otpauth:// link, to add to an authenticator app. Nothing changes until /enable
+ */
+app.post('/api/auth/2fa/setup', requireSession, async (req, res) => {
+  try {
+    if ((await twoFactor.getStatus(req.user.id)).enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already on' });
+    }
+    res.json({ success: true, ...await twoFactor.startEnrollment(req.user) });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Finish the setup with a code from the authenticator app: { code }
+ * Returns the recovery codes, once. Your other sessions are logged out
+ */
+app.post('/api/auth/2fa/enable', requireSession, async (req, res) => {
+  try {
+    if (!req.body?.code) {
+      return res.status(400).json({ error: 'Code required' });
+    }
+
+    const enabled = await twoFactor.enable(req.user.id, req.body.code);
+    if (enabled.error) {
+      return res.status(400).json({ error: enabled.error });
+    }
+    await db.deleteUserSessions(req.user.id, req.cookies.session);
+
+    console.log(`Two-factor authentication turned on by ${req.user.username}`);
+    await audit(req, 'auth.2fa_enable', 'user', req.user.id);
+    res.json({ success: true, recoveryCodes: enabled.recoveryCodes });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn two-factor authentication off: { password }
+ * Not possible while admins require it
+ */
+app.post('/api/auth/2fa/disable', requireSession, async (req, res) => {
+  try {
+    if (!req.body?.password) {
+      return res.status(400).json({ error: 'Password required' });
+    }
+    if (await twoFactor.isRequired()) {
+      return res.status(400).json({ error: 'Two-factor authentication is required for everyone' });
+    }
+
+    // A wrong password counts as a failed sign-in
+    if (await refuseThrottledLogin(req, res, req.user.username)) {
+      return;
+    }
+    const user = await db.getUserByUsername(req.user.username);
+    if (!await bcrypt.compare(req.body.password, user.password_hash)) {
+      await loginSecurity.recordLoginAttempt(req.user.username, req.ip, false);
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    await twoFactor.disable(user.id);
+    console.log(`Two-factor authentication turned off by ${req.user.username}`);
+    await audit(req, 'auth.2fa_disable', 'user', user.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace your recovery codes with new ones: { code } from the authenticator app (or a recovery code)
+ * Returns the new codes, once; the old ones stop working
+ */
+app.post('/api/auth/2fa/recovery-codes', requireSession, async (req, res) => {
+  try {
+    if (!req.body?.code) {
+      return res.status(400).json({ error: 'Code required' });
+    }
+    if (!(await twoFactor.getStatus(req.user.id)).enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is off' });
+    }
+
+    // A wrong code counts as a failed sign-in
+    if (await refuseThrottledLogin(req, res, req.user.username)) {
+      return;
+    }
+    if (!await twoFactor.verify(req.user.id, req.body.code)) {
+      await loginSecurity.recordLoginAttempt(req.user.username, req.ip, false);
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user.id);
+    console.log(`Recovery codes replaced by ${req.user.username}`);
+    await audit(req, 'auth.2fa_recovery_codes', 'user', req.user.id);
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('Error replacing recovery codes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// AUDIT LOG API ENDPOINTS
+// ============================================
+
+/**
+ * GET /api/audit-log
+ * Who changed what, newest first
+ * Query: user (username), userId, action (e.g. publisher.delete, or publisher. for every publisher action),
+ * targetType, targetId, from, to (YYYY-MM-DD, inclusive), limit, offset
+ * Admin only
+ */
+app.get('/api/audit-log', requireRole('admin'), async (req, res) => {
+  try {
+    for (const field of ['from', 'to']) {
+      if (req.query[field] && isNaN(Date.parse(req.query[field]))) {
+        return res.status(400).json({ error: `Invalid ${field} date` });
+      }
+    }
+
+    const log = await db.getAuditLog({
+      username: req.query.user || null,
+      userId: req.query.userId ? parseInt(req.query.userId) : null,
+      action: req.query.action || null,
+      targetType: req.query.targetType || null,
+      targetId: req.query.targetId || null,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      limit: req.query.limit ? Math.min(parseInt(req.query.limit), 500) : 100,
+      offset: req.query.offset ? parseInt(req.query.offset) : 0
+    });
+    res.json(log);
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Store active SSE connections by session ID
+const sseConnections = new Map();
+
+// Store active search sessions
+const activeSessions = new Map();
+
+// Store active task runners for pause/cancel control
+const taskRunners = new Map();
+
+// Store SSE connections for tasks
+const taskSseConnections = new Map();
+
+// In-flight task broadcasts, so concurrent workers don't send snapshots out of order
+const pendingTaskBroadcasts = new Map();
+
+// Task queue - only one task runs at a time
+let currentRunningTaskId = null;
+
+/**
+ * Check if any task is currently running
+ */
+function isAnyTaskRunning() {
+  return currentRunningTaskId !== null && taskRunners.has(currentRunningTaskId);
+}
+
+/**
+ * Get the next queued task and start it, unless a task is running already
+ */
+async function startNextQueuedTask() {
+  if (isAnyTaskRunning()) return;
+
+  // Find the oldest queued task
+  const tasks = await db.getTasks({ status: 'queued' });
+  if (tasks && tasks.length > 0) {
+    const nextTask = tasks[0];
+    console.log(`Starting next queued task: ${nextTask.id}`);
+    runTask(nextTask.id);
+  }
+}
+
+/**
+ * Start a task now, or queue it if another task is running
+ * Returns true when the task was queued
+ */
+async function startOrQueueTask(taskId) {
+  // Check if another task is running (a paused task may still be finishing
+  // its in-flight domains - resuming it starts a fresh run straight away)
+  if (isAnyTaskRunning() && currentRunningTaskId !== taskId) {
+    // Add to queue instead of starting immediately
+    await db.updateTaskStatus(taskId, 'queued');
+    await broadcastTaskUpdate(taskId);
+    console.log(`Task ${taskId} added to queue (task ${currentRunningTaskId} is running)`);
+    return true;
+  }
+
+  // Start the task immediately
+  runTask(taskId);
+  return false;
+}
+
+/**
+ * Validate budget limits from a request body
+ * Accepts maxLlmCalls, maxTokens (positive integers) and maxCost (positive USD amount);
+ * null or "" removes a limit, missing keys are left out
+ * Returns { budget } or { error }
+ */
+function parseTaskBudget(input = {}) {
+  const budget = {};
+  const limits = [
+    ['maxLlmCalls', 'AI call', true],
+    ['maxTokens', 'token', true],
+    ['maxCost', 'spending', false]
+  ];
+
+  for (const [key, label, integer] of limits) {
+    const value = input[key];
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      budget[key] = null;
+      continue;
+    }
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+      return { error: `The ${label} budget must be a positive ${integer ? 'whole number' : 'amount'}` };
+    }
+    budget[key] = number;
+  }
+
+  return { budget };
+}
+
+/**
+ * Check a task's LLM consumption against its budget
+ * Returns why the task can't continue, or null while it is within budget
+ */
+function getBudgetExhaustion(task) {
+  const tokens = (task.prompt_tokens || 0) + (task.completion_tokens || 0);
+  const cost = task.estimated_cost || 0;
+
+  if (task.max_llm_calls != null && (task.llm_calls || 0) >= task.max_llm_calls) {
+    return `AI call budget used up (${task.llm_calls || 0} of ${task.max_llm_calls} calls)`;
+  }
+  if (task.max_tokens != null && tokens >= task.max_tokens) {
+    return `Token budget used up (${tokens.toLocaleString()} of ${task.max_tokens.toLocaleString()} tokens)`;
+  }
+  if (task.max_cost != null && cost >= task.max_cost) {
+    return `Spending budget used up (~$${cost.toFixed(4)} of $${task.max_cost.toFixed(2)})`;
+  }
+  return null;
+}
+
+/**
+ * POST /api/search
+ * Start a new domain search
+ * Body: { domains: ["example.com", "test.com"] }
+ */
+app.post('/api/search', async (req, res) => {
+  try {
+    const { domains } = req.body;
+
+    if (!domains || !Array.isArray(domains) || domains.length === 0) {
+      return res.status(400).json({ error: 'Please provide an array of domains' });
+    }
+
+    // Clean and dedupe domains
+    const cleanDomains = [...new Set(
+      domains
+        .map(d => d.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/$/, ''))
+        .filter(d => d.length > 0)
+    )];
+
+    if (cleanDomains.length === 0) {
+      return res.status(400).json({ error: 'No valid domains provided' });
+    }
+
+    // Create session
+    const sessionId = uuidv4();
+    await db.createSession(sessionId, cleanDomains.length);
+
+    // Store session info
+    activeSessions.set(sessionId, {
+      domains: cleanDomains,
+      searched: 0,
+      results: [],
+      status: 'running'
+    });
+
+    // Start search in background
+    startSearch(sessionId, cleanDomains, req.user?.id);
+    await audit(req, 'search.start', 'search', sessionId, null, { domains: cleanDomains });
+
+    res.json({
+      sessionId,
+      domainsCount: cleanDomains.length,
+      message: 'Search started. Connect to /api/search/:sessionId/stream for live results.'
+    });
+
+  } catch (error) {
+    console.error('Error starting search:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/search/:sessionId/stream
+ * SSE endpoint for live results
+ */
+app.get('/api/search/:sessionId/stream', (req, res) => {
+  const { sessionId } = req.params;
+
+  const session = activeSessions.get(sessionId);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  // Set SSE headers
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  // Store connection
+  sseConnections.set(sessionId, res);
+
+  // Send any existing results
+  session.results.forEach(result => {
+    res.write(`event: result\ndata: ${JSON.stringify(result)}\n\n`);
+  });
+
+  // Send current progress
+  res.write(`event: progress\ndata: ${JSON.stringify({ searched: session.searched, total: session.domains.length })}\n\n`);
+
+  // If already complete, send complete event
+  if (session.status === 'complete') {
+    res.write(`event: complete\ndata: {}\n\n`);
+  }
+
+  // Handle client disconnect
+  req.on('close', () => {
+    sseConnections.delete(sessionId);
+  });
+});
+
+/**
+ * GET /api/search/:sessionId/export
+ * Export results to CSV
+ */
+app.get('/api/search/:sessionId/export', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const csv = await db.exportToCsv(sessionId);
+
+    if (!csv) {
+      return res.status(404).json({ error: 'No results found for this session' });
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="price-search-${sessionId.slice(0, 8)}.csv"`);
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Error exporting CSV:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/search/:sessionId/status
+ * Get session status
+ */
+app.get('/api/search/:sessionId/status', async (req, res) => {
+  const { sessionId } = req.params;
+
+  let session = activeSessions.get(sessionId);
+  if (!session) {
+    session = await db.getSession(sessionId);
+  }
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  res.json({
+    sessionId,
+    status: session.status,
+    domainsCount: session.domains_count || session.domains?.length || 0,
+    resultsCount: session.results_count || session.results?.length || 0,
+    searched: session.searched || session.domains_count || 0
+  });
+});
+
+/**
+ * GET /api/search/:sessionId/results
+ * Get all results for a session (for restoring state)
+ */
+app.get('/api/search/:sessionId/results', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const results = await db.getResults(sessionId);
+    res.json({ results });
+  } catch (error) {
+    console.error('Error fetching results:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// PUBLISHER API ENDPOINTS
+// ============================================
+
+/**
+ * GET /api/publishers
+ * Get all publishers with filtering and pagination
+ */
+app.get('/api/publishers', async (req, res) => {
+  try {
+    const options = {
+      search: req.query.search,
+      casinoAccepted: req.query.casino,
+      // Guest post price
+      minPrice: req.query.minPrice ? parseFloat(req.query.minPrice) : undefined,
+      maxPrice: req.query.maxPrice ? parseFloat(req.query.maxPrice) : undefined,
+      // Link insertion price
+      minLiPrice: req.query.minLiPrice ? parseFloat(req.query.minLiPrice) : undefined,
+      maxLiPrice: req.query.maxLiPrice ? parseFloat(req.query.maxLiPrice) : undefined,
+      // Casino price
+      minCasinoPrice: req.query.minCasinoPrice ? parseFloat(req.query.minCasinoPrice) : undefined,
+      maxCasinoPrice: req.query.maxCasinoPrice ? parseFloat(req.query.maxCasinoPrice) : undefined,
+      // Date filters
+      dateFrom: req.query.dateFrom || undefined,
+      dateTo: req.query.dateTo || undefined,
+      favoritesOnly: req.query.favorites === 'true',
+      // Has price filter ('yes', 'no', or undefined for all)
+      hasPrice: req.query.hasPrice || undefined,
+      // Task filter (filter by task ID)
+      taskId: req.query.taskId ? parseInt(req.query.taskId) : undefined,
+      sortBy: req.query.sortBy,
+      sortOrder: req.query.sortOrder,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+      offset: req.query.offset ? parseInt(req.query.offset) : undefined
+    };
+
+    const publishers = await db.getPublishers(options);
+    const total = await db.getPublisherCount(options);
+
+    res.json({
+      publishers,
+      total,
+      baseCurrency: db.getBaseCurrency(),
+      page: options.offset ? Math.floor(options.offset / (options.limit || 50)) + 1 : 1,
+      pageSize: options.limit || publishers.length
+    });
+  } catch (error) {
+    console.error('Error fetching publishers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/publishers/stats
+ * Get publisher statistics
+ */
+app.get('/api/publishers/stats', async (req, res) => {
+  try {
+    const stats = await db.getPublisherStats();
+    res.json(stats);
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/publishers/export
+ * Export publishers to CSV
+ */
+app.get('/api/publishers/export', async (req, res) => {
+  try {
+    const options = {
+      search: req.query.search,
+      casinoAccepted: req.query.casino,
+      // Guest post price
+      minPrice: req.query.minPrice ? parseFloat(req.query.minPrice) : undefined,
+      maxPrice: req.query.maxPrice ? parseFloat(req.query.maxPrice) : undefined,
+      // Link insertion price
+      minLiPrice: req.query.minLiPrice ? parseFloat(req.query.minLiPrice) : undefined,
+      maxLiPrice: req.query.maxLiPrice ? parseFloat(req.query.maxLiPrice) : undefined,
+      // Casino price
+      minCasinoPrice: req.query.minCasinoPrice ? parseFloat(req.query.minCasinoPrice) : undefined,
+      maxCasinoPrice: req.query.maxCasinoPrice ? parseFloat(req.query.maxCasinoPrice) : undefined,
+      // Date filters
+      dateFrom: req.query.dateFrom || undefined,
+      dateTo: req.query.dateTo || undefined,
+      favoritesOnly: req.query.favorites === 'true',
+      hasPrice: req.query.hasPrice || undefined,
+      taskId: req.query.taskId ? parseInt(req.query.taskId) : undefined,
+      sortBy: req.query.sortBy || 'domain',
+      sortOrder: req.query.sortOrder || 'asc'
+    };
+
+    const csv = await db.exportPublishersToCsv(options);
+
+    if (!csv) {
+      return res.status(404).json({ error: 'No publishers found' });
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="publishers-${new Date().toISOString().split('T')[0]}.csv"`);
     res.send(csv);
+  } catch (error) {
+    console.error('Error exporting publishers:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/publishers/:domain
+ * Get a single publisher
+ */
+app.get('/api/publishers/:domain', async (req, res) => {
+  try {
+    const domain = req.params.domain.toLowerCase();
+    const publisher = await db.getPublisher(domain);
+
+    if (!publisher) {
+      return res.status(404).json({ error: 'Publisher not found' });
+    }
+
+    res.json(publisher);
+  } catch (error) {
+    console.error('Error fetching publisher:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/publishers/:domain/history
+ * Get every recorded price quote for a publisher, oldest first,
+ * and the negotiations read from its reply threads
+ */
+app.get('/api/publishers/:domain/history', async (req, res) => {
+  try {
+    const domain = req.params.domain.toLowerCase();
+    const publisher = await db.getPublisher(domain);
+
+    if (!publisher) {
+      return res.status(404).json({ error: 'Publisher not found' });
+    }
+
+    const history = await db.getPriceHistory(domain);
+    const negotiations = await db.getNegotiations(domain);
+    res.json({
+      domain,
+      history: history.map(h => ({
+        ...h,
+        message_link: getMessageLink(h.source_account, h.source_message_id)
+      })),
+      negotiations: negotiations.map(n => ({
+        ...n,
+        events: n.events.map(event => ({
+          ...event,
+          message_link: getMessageLink(n.account, event.message_id)
+        }))
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/publishers/:domain/evidence
+ * Get the source message and text excerpt behind a publisher's current price
+ */
+app.get('/api/publishers/:domain/evidence', async (req, res) => {
+  try {
+    const domain = req.params.domain.toLowerCase();
+    const publisher = await db.getPublisher(domain);
+
+    if (!publisher) {
+      return res.status(404).json({ error: 'Publisher not found' });
+    }
+
+    const candidate = publisher.source_message_id
+      ? await db.getCandidateByMessage(domain, publisher.source_message_id)
+      : null;
+
+    res.json({
+      domain,
+      evidence: {
+        source_account: publisher.source_account,
+        source_email: publisher.contact_email,
+        subject: publisher.subject,
+        source_message_id: publisher.source_message_id,
+        source_thread_id: publisher.source_thread_id,
+        source_email_date: publisher.source_email_date,
+        extraction_method: publisher.extraction_method,
+        evidence_excerpt: publisher.evidence_excerpt,
+        rule_set_version: publisher.rule_set_version,
+        message_link: getMessageLink(publisher.source_account, publisher.source_message_id),
+        sender_verdict: candidate?.sender_verdict || null
+      },
+      prices: {
+        guest_post_price: publisher.guest_post_price,
+        link_insertion_price: publisher.link_insertion_price,
+        sponsored_post_price: publisher.sponsored_post_price,
+        homepage_link_price: publisher.homepage_link_price,
+        casino_price: publisher.casino_price,
+        currency: publisher.currency
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching publisher evidence:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/publishers/:domain/activity
+ * Changes made to a publisher by users (edits, refreshes, reviews, imports...), newest first
+ */
+app.get('/api/publishers/:domain/activity', async (req, res) => {
+  try {
+    const { entries, total } = await db.getAuditLog({
+      targetType: 'publisher',
+      targetId: req.params.domain.toLowerCase(),
+      limit: req.query.limit ? Math.min(parseInt(req.query.limit), 200) : 50,
+      offset: req.query.offset ? parseInt(req.query.offset) : 0
+    });
+    // The feed is visible to every user, so leave out where changes came from
+    res.json({ entries: entries.map(({ ip, user_id, ...entry }) => entry), total });
+  } catch (error) {
+    console.error('Error fetching publisher activity:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/publishers/:domain
+ * Manually edit prices, contacts, casino acceptance or notes
+ * Edited fields are locked so refreshes and tasks keep them (a locked price locks the currency too);
+ * pass { unlock: [fields] } to release
+ */
+app.patch('/api/publishers/:domain', async (req, res) => {
+  try {
+    const domain = req.params.domain.toLowerCase();
+    const { unlock = [], ...fields } = req.body || {};
+
+    const updates = {};
+    for (const [field, value] of Object.entries(fields)) {
+      if (!db.EDITABLE_FIELDS.includes(field)) {
+        return res.status(400).json({ error: `Field ${field} cannot be edited` });
+      }
+
+      if (field.endsWith('_price')) {
+        const price = value === null || value === '' ? null : parseFloat(value);
+        if (price !== null && (!Number.isFinite(price) || price < 0)) {
+          return res.status(400).json({ error: `${field} must be a non-negative number` });
+        }
+        updates[field] = price;
+      } else if (field === 'casino_accepted') {
+        if (!['yes', 'no', 'unknown'].includes(value)) {
+          return res.status(400).json({ error: 'casino_accepted must be yes, no or unknown' });
+        }
+        updates[field] = value;
+      } else if (field === 'currency') {
+        const currency = String(value || '').toUpperCase();
+        if (!/^[A-Z]{3}$/.test(currency)) {
+          return res.status(400).json({ error: 'Currency must be a 3-letter code (e.g. USD)' });
+        }
+        updates[field] = currency;
+      } else {
+        updates[field] = value === null || value === undefined ? null : String(value).trim() || null;
+      }
+    }
+
+    if (!Array.isArray(unlock) || unlock.some(field => !db.EDITABLE_FIELDS.includes(field))) {
+      return res.status(400).json({ error: 'unlock must be a list of editable fields' });
+    }
+    if (Object.keys(updates).length === 0 && unlock.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const before = await db.getPublisher(domain);
+    const publisher = await db.updatePublisherFields(domain, updates, unlock, req.user?.username);
+    if (!publisher) {
+      return res.status(404).json({ error: 'Publisher not found' });
+    }
+
+    const changedFields = [...new Set([...Object.keys(updates), ...unlock])];
+    await audit(req, 'publisher.update', 'publisher', domain,
+      pickFields(before, changedFields),
+      { ...pickFields(publisher, changedFields), ...(unlock.length > 0 ? { unlocked: unlock } : {}) });
+
+    res.json({
+      success: true,
+      publisher
+    });
+  } catch (error) {
+    console.error('Error updating publisher:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/publishers/:domain/refresh
+ * Refresh a single publisher's pricing from emails
+ */
+app.post('/api/publishers/:domain/refresh', async (req, res) => {
+  try {
+    const domain = req.params.domain.toLowerCase();
+    // force=true re-runs the LLM instead of reusing cached extractions
+    const force = req.query.force === 'true' || req.body?.force === true;
+
+    console.log(`Refreshing publisher: ${domain}${force ? ' (forced re-extraction)' : ''}`);
+
+    // Search for the domain
+    const before = await db.getPublisher(domain);
+    const accounts = getSearchAccounts();
+    const result = await searchDomain(domain, accounts, { force, userId: req.user?.id });
+
+    if (hasPricing(result)) {
+      // Update publisher
+      await db.savePublisher(result);
+      await db.markRefreshed(domain);
+
+      const updated = await db.getPublisher(domain);
+      await audit(req, 'publisher.refresh', 'publisher', domain,
+        pickFields(before, PUBLISHER_AUDIT_FIELDS), pickFields(updated, PUBLISHER_AUDIT_FIELDS));
+      res.json({
+        success: true,
+        message: 'Publisher refreshed successfully',
+        publisher: updated
+      });
+    } else {
+      // Just mark as refreshed even if no new data, keeping why each email was passed over
+      if (result) {
+        await db.recordCandidates(result);
+      }
+      await db.markRefreshed(domain);
+      await audit(req, 'publisher.refresh', 'publisher', domain, null, { found: false });
+      res.json({
+        success: true,
+        message: 'No new pricing found, last refreshed timestamp updated',
+        publisher: await db.getPublisher(domain)
+      });
+    }
+  } catch (error) {
+    console.error('Error refreshing publisher:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/publishers/:domain/favorite
+ * Toggle favorite status
+ */
+app.post('/api/publishers/:domain/favorite', async (req, res) => {
+  try {
+    const domain = req.params.domain.toLowerCase();
+    const isFavorite = await db.toggleFavorite(domain);
+    await audit(req, 'publisher.favorite', 'publisher', domain,
+      { is_favorite: !isFavorite }, { is_favorite: isFavorite });
+
+    res.json({
+      success: true,
+      domain,
+      is_favorite: isFavorite
+    });
+  } catch (error) {
+    console.error('Error toggling favorite:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/publishers/:domain
+ * Delete a publisher
+ * Admin only
+ */
+app.delete('/api/publishers/:domain', requireRole('admin'), async (req, res) => {
+  try {
+    const domain = req.params.domain.toLowerCase();
+    const publisher = await db.getPublisher(domain);
+    await db.deletePublisher(domain);
+    await audit(req, 'publisher.delete', 'publisher', domain, pickFields(publisher, PUBLISHER_AUDIT_FIELDS));
+
+    res.json({
+      success: true,
+      message: `Publisher ${domain} deleted`
+    });
+  } catch (error) {
+    console.error('Error deleting publisher:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// PRICE LIST IMPORT API ENDPOINTS
+// ============================================
+
+/**
+ * GET /api/import/messages
+ * Find emails to import a price list from: ?account=...&q=search terms
+ * Without a query only the accounts are returned
+ * Managers and admins only
+ */
+app.get('/api/import/messages', requireRole('manager'), async (req, res) => {
+  try {
+    const accounts = getSearchAccounts();
+    const { account, q } = req.query;
+
+    if (!account || !q) {
+      return res.json({ accounts, messages: [] });
+    }
+    if (!accounts.includes(account)) {
+      return res.status(400).json({ error: `Unknown account: ${account}` });
+    }
+
+    const found = await searchEmails(account, q, 20);
+    const messages = [];
+    for (const item of found) {
+      const email = await getEmailWithAttachments(account, item.id);
+      messages.push({
+        id: item.id,
+        from: email.from,
+        subject: email.subject,
+        date: email.date,
+        attachments: (email.attachments || []).map(attachment => attachment.filename),
+        sheet_links: findGoogleSheetUrls(email.body || '').length
+      });
+    }
+
+    res.json({ accounts, messages });
+  } catch (error) {
+    console.error('Error searching import messages:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/import/preview
+ * Parse a price list and show what importing it would do, without saving
+ * Body: { source: {type: 'file'|'message'|'sheet', ...}, mapping?: {table: {field: column}}, currency? }
+ */
+app.post('/api/import/preview', async (req, res) => {
+  try {
+    const { source, mapping, currency } = req.body;
+    const preview = await priceListImport.previewPriceList(source, {
+      mapping,
+      currency,
+      userId: req.user?.id
+    });
+    res.json({ ...preview, fields: priceListImport.IMPORT_FIELDS });
+  } catch (error) {
+    console.error('Error previewing price list:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/import/commit
+ * Save previewed rows to the publisher list: { origin, rows }
+ */
+app.post('/api/import/commit', async (req, res) => {
+  try {
+    const { origin, rows } = req.body;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ error: 'No rows to import' });
+    }
+
+    const { changes, ...summary } = await priceListImport.importPriceList(rows, origin || {});
+    console.log(`Price list "${origin?.label}" imported by ${req.user?.username}: ${summary.created} new, ${summary.updated} updated, ${summary.kept} kept`);
+    await auditAll(req, 'publisher.import', 'publisher', changes.map(change => ({
+      targetId: change.domain,
+      before: change.before,
+      after: { ...change.after, list: origin?.label || null, result: change.action }
+    })));
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Error importing price list:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// REVIEW QUEUE API ENDPOINTS
+// ============================================
+
+/**
+ * GET /api/review
+ * Get search runs with low-confidence or conflicting candidates waiting for review
+ */
+app.get('/api/review', async (req, res) => {
+  try {
+    const queue = await db.getReviewQueue({
+      limit: req.query.limit ? parseInt(req.query.limit) : 50,
+      offset: req.query.offset ? parseInt(req.query.offset) : 0
+    });
+    res.json(queue);
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/review/candidates/:id/pick
+ * Pick a specific candidate as the correct price and write it to the publisher
+ */
+app.post('/api/review/candidates/:id/pick', async (req, res) => {
+  try {
+    const candidateId = parseInt(req.params.id);
+    const candidate = await db.getCandidate(candidateId);
+
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+    if (candidate.status !== 'pending') {
+      return res.status(400).json({ error: `Candidate is already ${candidate.status}` });
+    }
+
+    const before = await db.getPublisher(candidate.domain);
+    const publisher = await db.applyCandidate(candidateId, req.user?.username);
+    await audit(req, 'review.pick', 'publisher', candidate.domain,
+      pickFields(before, PUBLISHER_AUDIT_FIELDS), { ...pickFields(publisher, PUBLISHER_AUDIT_FIELDS), candidate_id: candidateId });
+    res.json({ success: true, publisher });
+  } catch (error) {
+    console.error('Error picking candidate:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/review/:domain/approve
+ * Approve the automatically selected candidate for a domain
+ */
+app.post('/api/review/:domain/approve', async (req, res) => {
+  try {
+    const domain = req.params.domain.toLowerCase();
+    const selected = await db.getPendingSelectedCandidate(domain);
+
+    if (!selected) {
+      return res.status(404).json({ error: 'Nothing pending review for this domain' });
+    }
+
+    const before = await db.getPublisher(domain);
+    const publisher = await db.applyCandidate(selected.id, req.user?.username);
+    await audit(req, 'review.approve', 'publisher', domain,
+      pickFields(before, PUBLISHER_AUDIT_FIELDS), { ...pickFields(publisher, PUBLISHER_AUDIT_FIELDS), candidate_id: selected.id });
+    res.json({ success: true, publisher });
+  } catch (error) {
+    console.error('Error approving review:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/review/:domain/reject
+ * Reject all pending candidates for a domain and clear the prices they set
+ */
+app.post('/api/review/:domain/reject', async (req, res) => {
+  try {
+    const domain = req.params.domain.toLowerCase();
+    const before = await db.getPublisher(domain);
+    const publisher = await db.rejectPendingCandidates(domain, req.user?.username);
+
+    if (!publisher) {
+      return res.status(404).json({ error: 'Nothing pending review for this domain' });
+    }
+
+    await audit(req, 'review.reject', 'publisher', domain,
+      pickFields(before, PUBLISHER_AUDIT_FIELDS), pickFields(publisher, PUBLISHER_AUDIT_FIELDS));
+
+    res.json({ success: true, publisher });
+  } catch (error) {
+    console.error('Error rejecting review:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// SENDER REPUTATION API ENDPOINTS
+// ============================================
+
+/**
+ * Records a verdict on a candidate's sender and answers with the sender's new reputation
+ */
+async function saveSenderVerdict(req, res, candidate) {
+  const { verdict } = req.body || {};
+  if (!senderReputation.VERDICTS.includes(verdict)) {
+    return res.status(400).json({ error: `Verdict must be one of: ${senderReputation.VERDICTS.join(', ')}` });
+  }
 
+  const sender = await senderReputation.recordVerdict(candidate, verdict, req.user?.username);
+  if (!sender) {
+    return res.status(400).json({ error: 'The price has no sender address to rate' });
+  }
+
+  console.log(`${req.user?.username} marked ${sender.email} as ${verdict} (${candidate.domain})`);
+  await audit(req, 'review.verdict', 'publisher', candidate.domain,
+    { sender: sender.email, verdict: candidate.sender_verdict || null },
+    { sender: sender.email, verdict, candidate_id: candidate.id });
+  const reputations = await db.getSenderReputations([sender.email, sender.domain].filter(Boolean));
+  res.json({ success: true, verdict, sender, reputations });
+}
+
+/**
+ * GET /api/sender-reputation
+ * List senders reviewers have marked, with the priority points they now get
+ * Query: search, kind (email or domain), limit, offset
+ */
+app.get('/api/sender-reputation', async (req, res) => {
+  try {
+    const { senders, total } = await db.getSenderReputationList({
+      search: req.query.search,
+      kind: req.query.kind,
+      limit: req.query.limit ? parseInt(req.query.limit) : 100,
+      offset: req.query.offset ? parseInt(req.query.offset) : 0
+    });
+    res.json({
+      senders: senders.map(row => ({ ...row, points: senderReputation.reputationPoints(row) })),
+      total
+    });
   } catch (error) {
-    console.error('Error exporting CSV:', error);
+    console.error('Error fetching sender reputation:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /api/search/:sessionId/status
- * Get session status
+ * DELETE /api/sender-reputation/:sender
+ * Reset one sender's reputation (an address or a domain)
+ * Admin only
  */
-app.get('/api/search/:sessionId/status', async (req, res) => {
-  const { sessionId } = req.params;
+app.delete('/api/sender-reputation/:sender', requireRole('admin'), async (req, res) => {
+  try {
+    const sender = req.params.sender.toLowerCase();
+    const [before] = await db.getSenderReputations([sender]);
+    const deleted = await db.resetSenderReputation(sender);
 
-  let session = activeSessions.get(sessionId);
-  if (!session) {
-    session = await db.getSession(sessionId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Sender has no reputation' });
+    }
+
+    console.log(`Sender reputation of ${sender} reset by ${req.user?.username}`);
+    await audit(req, 'sender_reputation.reset', 'sender', sender,
+      pickFields(before, ['kind', 'reseller_count', 'webmaster_count', 'wrong_count']));
+    res.json({ success: true, message: `Reputation of ${sender} reset` });
+  } catch (error) {
+    console.error('Error resetting sender reputation:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
+/**
+ * DELETE /api/sender-reputation?all=true
+ * Reset every sender's reputation
+ * Admin only
+ */
+app.delete('/api/sender-reputation', requireRole('admin'), async (req, res) => {
+  try {
+    if (req.query.all !== 'true') {
+      return res.status(400).json({ error: 'Pass ?all=true to reset every sender' });
+    }
+
+    const deleted = await db.resetSenderReputation();
+    console.log(`All sender reputation (${deleted} senders) reset by ${req.user?.username}`);
+    await audit(req, 'sender_reputation.reset_all', 'sender', null, { senders: deleted });
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('Error resetting sender reputation:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  res.json({
-    sessionId,
-    status: session.status,
-    domainsCount: session.domains_count || session.domains?.length || 0,
-    resultsCount: session.results_count || session.results?.length || 0,
-    searched: session.searched || session.domains_count || 0
-  });
+/**
+ * POST /api/review/candidates/:id/verdict
+ * Mark a candidate's sender: { verdict: 'reseller' | 'webmaster' | 'wrong' }
+ * Changing the verdict of a candidate replaces its earlier one
+ */
+app.post('/api/review/candidates/:id/verdict', async (req, res) => {
+  try {
+    const candidate = await db.getCandidate(parseInt(req.params.id));
+
+    if (!candidate) {
+      return res.status(404).json({ error: 'Candidate not found' });
+    }
+
+    await saveSenderVerdict(req, res, candidate);
+  } catch (error) {
+    console.error('Error saving sender verdict:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
- * GET /api/search/:sessionId/results
- * Get all results for a session (for restoring state)
+ * POST /api/publishers/:domain/verdict
+ * Mark the sender of a publisher's current price: { verdict }
  */
-app.get('/api/search/:sessionId/results', async (req, res) => {
+app.post('/api/publishers/:domain/verdict', async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const results = await db.getResults(sessionId);
-    res.json({ results });
+    const domain = req.params.domain.toLowerCase();
+    const publisher = await db.getPublisher(domain);
+
+    if (!publisher) {
+      return res.status(404).json({ error: 'Publisher not found' });
+    }
+
+    const candidate = publisher.source_message_id
+      ? await db.getCandidateByMessage(domain, publisher.source_message_id)
+      : null;
+    if (!candidate) {
+      return res.status(404).json({ error: 'No extracted price to mark for this publisher' });
+    }
+
+    await saveSenderVerdict(req, res, candidate);
   } catch (error) {
-    console.error('Error fetching results:', error);
+    console.error('Error saving sender verdict:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // ============================================
-// PUBLISHER API ENDPOINTS
+// EXCHANGE RATE API ENDPOINTS
 // ============================================
 
 /**
- * GET /api/publishers
- * Get all publishers with filtering and pagination
+ * Validates a currency code / rate pair from user input
+ * @returns {string|null} Error message or null if valid
  */
-app.get('/api/publishers', async (req, res) => {
+function validateExchangeRate(currency, rate) {
+  if (!/^[A-Z]{3}$/.test(currency || '')) {
+    return 'Currency must be a 3-letter code (e.g. USD)';
+  }
+  if (!Number.isFinite(rate) || rate <= 0) {
+    return 'Rate must be a positive number';
+  }
+  return null;
+}
+
+/**
+ * GET /api/exchange-rates
+ * Get the base currency, all rates, and currencies in use that still need a rate
+ */
+app.get('/api/exchange-rates', async (req, res) => {
   try {
-    const options = {
-      search: req.query.search,
-      casinoAccepted: req.query.casino,
-      // Guest post price
-      minPrice: req.query.minPrice ? parseFloat(req.query.minPrice) : undefined,
-      maxPrice: req.query.maxPrice ? parseFloat(req.query.maxPrice) : undefined,
-      // Link insertion price
-      minLiPrice: req.query.minLiPrice ? parseFloat(req.query.minLiPrice) : undefined,
-      maxLiPrice: req.query.maxLiPrice ? parseFloat(req.query.maxLiPrice) : undefined,
-      // Casino price
-      minCasinoPrice: req.query.minCasinoPrice ? parseFloat(req.query.minCasinoPrice) : undefined,
-      maxCasinoPrice: req.query.maxCasinoPrice ? parseFloat(req.query.maxCasinoPrice) : undefined,
-      // Date filters
-      dateFrom: req.query.dateFrom || undefined,
-      dateTo: req.query.dateTo || undefined,
-      favoritesOnly: req.query.favorites === 'true',
-      // Has price filter ('yes', 'no', or undefined for all)
-      hasPrice: req.query.hasPrice || undefined,
-      // Task filter (filter by task ID)
-      taskId: req.query.taskId ? parseInt(req.query.taskId) : undefined,
-      sortBy: req.query.sortBy,
-      sortOrder: req.query.sortOrder,
-      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
-      offset: req.query.offset ? parseInt(req.query.offset) : undefined
-    };
+    res.json({
+      baseCurrency: db.getBaseCurrency(),
+      rates: await db.getExchangeRates(),
+      missing: await db.getUnratedCurrencies()
+    });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const publishers = await db.getPublishers(options);
-    const total = await db.getPublisherCount(options);
+/**
+ * PUT /api/exchange-rates/:currency
+ * Set a rate manually: { rate } where 1 currency = rate base currency
+ * Admin only
+ */
+app.put('/api/exchange-rates/:currency', requireRole('admin'), async (req, res) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+    const rate = parseFloat(req.body.rate);
+
+    const validationError = validateExchangeRate(currency, rate);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (currency === db.getBaseCurrency()) {
+      return res.status(400).json({ error: `${currency} is the base currency (always 1)` });
+    }
+
+    const before = (await db.getExchangeRates()).find(row => row.currency === currency);
+    await db.setExchangeRate(currency, rate, 'manual');
+    await audit(req, 'exchange_rate.set', 'exchange_rate', currency, pickFields(before, ['rate', 'source']), { rate, source: 'manual' });
+    res.json({ success: true, currency, rate });
+  } catch (error) {
+    console.error('Error saving exchange rate:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/exchange-rates/:currency
+ * Remove a rate (prices in that currency stop being normalized)
+ * Admin only
+ */
+app.delete('/api/exchange-rates/:currency', requireRole('admin'), async (req, res) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+    const before = (await db.getExchangeRates()).find(row => row.currency === currency);
+    await db.deleteExchangeRate(currency);
+    await audit(req, 'exchange_rate.delete', 'exchange_rate', currency, pickFields(before, ['rate', 'source']));
+    res.json({ success: true, message: `Rate for ${currency} deleted` });
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/exchange-rates/import
+ * Import rates from CSV text: { csv } with "currency,rate" rows (header optional)
+ * Admin only
+ */
+app.post('/api/exchange-rates/import', requireRole('admin'), async (req, res) => {
+  try {
+    const { csv } = req.body;
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ error: 'CSV content is required' });
+    }
+
+    const rows = csvParse(csv, { skip_empty_lines: true, trim: true, relax_column_count: true });
+    const baseCurrency = db.getBaseCurrency();
+    const previous = new Map((await db.getExchangeRates()).map(row => [row.currency, row]));
+    const changes = [];
+    let imported = 0;
+    const skipped = [];
+
+    for (const [index, row] of rows.entries()) {
+      const currency = String(row[0] || '').toUpperCase();
+      const rate = parseFloat(row[1]);
+
+      // Header row
+      if (index === 0 && isNaN(rate)) continue;
+
+      const validationError = currency === baseCurrency
+        ? 'base currency'
+        : validateExchangeRate(currency, rate);
+      if (validationError) {
+        skipped.push({ line: index + 1, value: row.join(','), reason: validationError });
+        continue;
+      }
+
+      await db.setExchangeRate(currency, rate, 'csv');
+      changes.push({ targetId: currency, before: pickFields(previous.get(currency), ['rate', 'source']), after: { rate, source: 'csv' } });
+      imported++;
+    }
+
+    await auditAll(req, 'exchange_rate.import', 'exchange_rate', changes);
+
+    res.json({ success: true, imported, skipped });
+  } catch (error) {
+    console.error('Error importing exchange rates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// CLASSIFICATION RULE API ENDPOINTS
+// ============================================
+
+/**
+ * Shapes a rule set for the API: its lists in display order with labels
+ */
+function formatRuleSet(ruleSet) {
+  return {
+    version: ruleSet.version,
+    note: ruleSet.note,
+    created_at: ruleSet.created_at,
+    created_by_name: ruleSet.created_by_name,
+    lists: Object.entries(classificationRules.RULE_LISTS).map(([name, list]) => ({
+      name,
+      label: list.label,
+      description: list.description,
+      entries: ruleSet.rules[name]
+    }))
+  };
+}
+
+/**
+ * Saves rule list changes and answers with the resulting rule set
+ * Nothing is saved (and changed is false) when the lists already match
+ */
+async function saveRuleChanges(req, res, changes) {
+  const { ruleSet, changed } = await classificationRules.updateRules(changes, {
+    baseVersion: req.body?.baseVersion,
+    userId: req.user?.id,
+    note: req.body?.note
+  });
+  if (changed) {
+    console.log(`Classification rules saved as version ${ruleSet.version} by ${req.user?.username}`);
+    await audit(req, 'classification_rules.save', 'classification_rules', ruleSet.version,
+      { version: req.body?.baseVersion ?? null }, { version: ruleSet.version, lists: Object.keys(changes) });
+  }
+  res.json({ success: true, changed, ruleSet: formatRuleSet(ruleSet) });
+}
+
+/**
+ * GET /api/classification-rules
+ * Get the current rule set, or an older one with ?version=N
+ */
+app.get('/api/classification-rules', async (req, res) => {
+  try {
+    const ruleSet = req.query.version
+      ? await classificationRules.getRuleSetVersion(parseInt(req.query.version))
+      : await classificationRules.getCurrentRuleSet();
+
+    if (!ruleSet) {
+      return res.status(404).json({ error: 'Rule set version not found' });
+    }
+
+    res.json(formatRuleSet(ruleSet));
+  } catch (error) {
+    console.error('Error fetching classification rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/classification-rules/versions
+ * List saved rule set versions, newest first, with entry counts per list
+ */
+app.get('/api/classification-rules/versions', async (req, res) => {
+  try {
+    // Make sure the defaults are saved as version 1 before listing
+    await classificationRules.getCurrentRuleSet();
+    res.json({ versions: await db.getRuleSetVersions() });
+  } catch (error) {
+    console.error('Error fetching classification rule versions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/classification-rules
+ * Replace several lists at once: { lists: { name: [entries] }, baseVersion?, note? }
+ * baseVersion is the version the edit started from; 409 if the rules changed since
+ * Admin only
+ */
+app.put('/api/classification-rules', requireRole('admin'), async (req, res) => {
+  try {
+    const lists = req.body?.lists;
+    if (!lists || typeof lists !== 'object' || Array.isArray(lists)) {
+      return res.status(400).json({ error: 'lists must be an object of rule list name -> entries' });
+    }
+    for (const [name, entries] of Object.entries(lists)) {
+      if (!classificationRules.isRuleList(name)) {
+        return res.status(400).json({ error: `Unknown rule list: ${name}` });
+      }
+      if (!Array.isArray(entries)) {
+        return res.status(400).json({ error: `Entries of ${name} must be an array` });
+      }
+    }
+
+    await saveRuleChanges(req, res, lists);
+  } catch (error) {
+    console.error('Error saving classification rules:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/classification-rules/:list
+ * Replace one list: { entries: [...], baseVersion?, note? }
+ * Admin only
+ */
+app.put('/api/classification-rules/:list', requireRole('admin'), async (req, res) => {
+  try {
+    const name = req.params.list;
+    if (!classificationRules.isRuleList(name)) {
+      return res.status(404).json({ error: `Unknown rule list: ${name}` });
+    }
+    if (!Array.isArray(req.body?.entries)) {
+      return res.status(400).json({ error: 'entries must be an array' });
+    }
+
+    await saveRuleChanges(req, res, { [name]: req.body.entries });
+  } catch (error) {
+    console.error('Error saving classification rules:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/classification-rules/:list/entries
+ * Add one entry to a list: { entry, note? }
+ * Admin only
+ */
+app.post('/api/classification-rules/:list/entries', requireRole('admin'), async (req, res) => {
+  try {
+    const name = req.params.list;
+    if (!classificationRules.isRuleList(name)) {
+      return res.status(404).json({ error: `Unknown rule list: ${name}` });
+    }
+    const [entry] = classificationRules.normalizeEntries([req.body?.entry]);
+    if (!entry) {
+      return res.status(400).json({ error: 'entry is required' });
+    }
+
+    const current = await classificationRules.getCurrentRuleSet();
+    await saveRuleChanges(req, res, { [name]: [...current.rules[name], entry] });
+  } catch (error) {
+    console.error('Error adding classification rule:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/classification-rules/:list/entries?entry=...
+ * Remove one entry from a list
+ * Admin only
+ */
+app.delete('/api/classification-rules/:list/entries', requireRole('admin'), async (req, res) => {
+  try {
+    const name = req.params.list;
+    if (!classificationRules.isRuleList(name)) {
+      return res.status(404).json({ error: `Unknown rule list: ${name}` });
+    }
+    const [entry] = classificationRules.normalizeEntries([req.query.entry]);
+    const current = await classificationRules.getCurrentRuleSet();
+    if (!entry || !current.rules[name].includes(entry)) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+
+    await saveRuleChanges(req, res, { [name]: current.rules[name].filter(value => value !== entry) });
+  } catch (error) {
+    console.error('Error removing classification rule:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/classification-rules/versions/:version/restore
+ * Make an older version current again (saved as a new version)
+ * Admin only
+ */
+app.post('/api/classification-rules/versions/:version/restore', requireRole('admin'), async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    const restored = await classificationRules.restoreRuleSet(version, { userId: req.user?.id });
+
+    if (!restored) {
+      return res.status(404).json({ error: 'Rule set version not found' });
+    }
+
+    if (restored.changed) {
+      console.log(`Classification rules version ${version} restored as version ${restored.ruleSet.version} by ${req.user?.username}`);
+      await audit(req, 'classification_rules.restore', 'classification_rules', restored.ruleSet.version,
+        null, { version: restored.ruleSet.version, restored_from: version });
+    }
+    res.json({ success: true, changed: restored.changed, ruleSet: formatRuleSet(restored.ruleSet) });
+  } catch (error) {
+    console.error('Error restoring classification rules:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// EXTRACTION CACHE API ENDPOINTS
+// ============================================
+
+/**
+ * GET /api/extraction-cache
+ * Get cache entries and hits per prompt version and model
+ */
+app.get('/api/extraction-cache', async (req, res) => {
+  try {
+    let model = null;
+    try {
+      model = getLLMProvider().model;
+    } catch (error) {
+      // Provider not configured - the stats are still useful
+    }
 
     res.json({
-      publishers,
-      total,
-      page: options.offset ? Math.floor(options.offset / (options.limit || 50)) + 1 : 1,
-      pageSize: options.limit || publishers.length
+      promptVersion: DOMAIN_PROMPT_VERSION,
+      negotiationPromptVersion: NEGOTIATION_PROMPT_VERSION,
+      model,
+      stats: await db.getExtractionCacheStats()
     });
   } catch (error) {
-    console.error('Error fetching publishers:', error);
+    console.error('Error fetching extraction cache stats:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/extraction-cache
+ * Purge cached extractions
+ * Query: domain, model, promptVersion, stale=true (entries from other prompt versions).
+ * With no filters every entry is purged.
+ * Admin only
+ */
+app.delete('/api/extraction-cache', requireRole('admin'), async (req, res) => {
+  try {
+    const filters = {
+      domain: req.query.domain ? req.query.domain.toLowerCase() : null,
+      model: req.query.model || null,
+      promptVersion: req.query.promptVersion || null,
+      exceptPromptVersions: req.query.stale === 'true' ? [DOMAIN_PROMPT_VERSION, NEGOTIATION_PROMPT_VERSION] : null
+    };
+    const deleted = await db.purgeExtractionCache(filters);
+
+    console.log(`Purged ${deleted} extraction cache entries`);
+    await audit(req, 'extraction_cache.purge', 'extraction_cache', filters.domain, filters, { deleted });
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('Error purging extraction cache:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// ============================================
+// LLM USAGE API ENDPOINTS
+// ============================================
+
 /**
- * GET /api/publishers/stats
- * Get publisher statistics
+ * GET /api/usage/report
+ * LLM tokens and estimated spend (USD, from config.llm.pricing)
+ * Query: groupBy (task, user, model, operation, domain, day - default task),
+ * from, to (YYYY-MM-DD, inclusive), taskId, userId
+ * Admin only
  */
-app.get('/api/publishers/stats', async (req, res) => {
+app.get('/api/usage/report', requireRole('admin'), async (req, res) => {
   try {
-    const stats = await db.getPublisherStats();
-    res.json(stats);
+    const groupBy = req.query.groupBy || 'task';
+    if (!['task', 'user', 'model', 'operation', 'domain', 'day'].includes(groupBy)) {
+      return res.status(400).json({ error: 'groupBy must be one of task, user, model, operation, domain, day' });
+    }
+    for (const field of ['from', 'to']) {
+      if (req.query[field] && isNaN(Date.parse(req.query[field]))) {
+        return res.status(400).json({ error: `Invalid ${field} date` });
+      }
+    }
+
+    const report = await db.getUsageReport({
+      groupBy,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      taskId: req.query.taskId ? parseInt(req.query.taskId) : null,
+      userId: req.query.userId ? parseInt(req.query.userId) : null
+    });
+
+    res.json({ currency: 'USD', ...report });
   } catch (error) {
-    console.error('Error fetching stats:', error);
+    console.error('Error building usage report:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// ============================================
+// SCHEDULED REFRESH
+// ============================================
+
+// Cron job that refreshes stale publishers (set up in startServer when enabled)
+let scheduledRefreshJob = null;
+
 /**
- * GET /api/publishers/export
- * Export publishers to CSV
+ * Create a task for publishers that haven't been refreshed recently and run it through the queue
+ * Options override config.scheduledRefresh: maxAgeDays, favoritesOnly, tag, maxDomains;
+ * userId is the user a manual run (and its LLM spend) is attributed to
+ * Returns the recorded run
  */
-app.get('/api/publishers/export', async (req, res) => {
-  try {
-    const options = {
-      search: req.query.search,
-      casinoAccepted: req.query.casino,
-      // Guest post price
-      minPrice: req.query.minPrice ? parseFloat(req.query.minPrice) : undefined,
-      maxPrice: req.query.maxPrice ? parseFloat(req.query.maxPrice) : undefined,
-      // Link insertion price
-      minLiPrice: req.query.minLiPrice ? parseFloat(req.query.minLiPrice) : undefined,
-      maxLiPrice: req.query.maxLiPrice ? parseFloat(req.query.maxLiPrice) : undefined,
-      // Casino price
-      minCasinoPrice: req.query.minCasinoPrice ? parseFloat(req.query.minCasinoPrice) : undefined,
-      maxCasinoPrice: req.query.maxCasinoPrice ? parseFloat(req.query.maxCasinoPrice) : undefined,
-      // Date filters
-      dateFrom: req.query.dateFrom || undefined,
-      dateTo: req.query.dateTo || undefined,
-      favoritesOnly: req.query.favorites === 'true',
-      hasPrice: req.query.hasPrice || undefined,
-      taskId: req.query.taskId ? parseInt(req.query.taskId) : undefined,
-      sortBy: req.query.sortBy || 'domain',
-      sortOrder: req.query.sortOrder || 'asc'
-    };
+async function runScheduledRefresh(trigger, options = {}) {
+  const defaults = config.scheduledRefresh || {};
+  const criteria = {
+    maxAgeDays: options.maxAgeDays ?? defaults.maxAgeDays ?? 30,
+    favoritesOnly: options.favoritesOnly ?? defaults.favoritesOnly ?? false,
+    tag: options.tag ?? defaults.tag ?? null,
+    maxDomains: options.maxDomains ?? defaults.maxDomains ?? 500
+  };
 
-    const csv = await db.exportPublishersToCsv(options);
+  // Don't stack refreshes while the previous one is still being worked through
+  let [unfinished] = await db.getRefreshRuns({ status: 'running', limit: 1 });
+  if (unfinished && ['completed', 'cancelled', null].includes(unfinished.task_status)) {
+    // Its task ended without the run being closed (e.g. the server stopped) - close it now
+    await db.completeRefreshRun(unfinished.id, unfinished.task_status || 'cancelled');
+    unfinished = null;
+  }
+  if (unfinished) {
+    console.log(`Scheduled refresh skipped: run ${unfinished.id} (task ${unfinished.task_id}) has not finished`);
+    return db.createRefreshRun({
+      trigger, criteria, status: 'skipped',
+      message: `Previous refresh (task ${unfinished.task_id}) still in progress`
+    });
+  }
 
-    if (!csv) {
-      return res.status(404).json({ error: 'No publishers found' });
-    }
+  const publishers = await db.getStalePublishers({
+    maxAgeDays: criteria.maxAgeDays,
+    favoritesOnly: criteria.favoritesOnly,
+    tag: criteria.tag,
+    limit: criteria.maxDomains
+  });
 
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="publishers-${new Date().toISOString().split('T')[0]}.csv"`);
-    res.send(csv);
-  } catch (error) {
-    console.error('Error exporting publishers:', error);
-    res.status(500).json({ error: error.message });
+  if (publishers.length === 0) {
+    console.log('Scheduled refresh: no stale publishers');
+    return db.createRefreshRun({ trigger, criteria, status: 'skipped', message: 'No stale publishers' });
   }
-});
+
+  const date = new Date().toISOString().slice(0, 10);
+  const task = await db.createTask(
+    `Refresh ${date} (${publishers.length} older than ${criteria.maxAgeDays}d)`,
+    publishers.map(p => p.domain),
+    { createdBy: options.userId || null }
+  );
+  const run = await db.createRefreshRun({ trigger, criteria, publishers, taskId: task.id });
+
+  console.log(`Scheduled refresh: task ${task.id} created for ${publishers.length} stale publishers`);
+  await startOrQueueTask(task.id);
+  return run;
+}
 
 /**
- * GET /api/publishers/:domain
- * Get a single publisher
+ * Close the refresh run behind a task (if any) and store what changed
  */
-app.get('/api/publishers/:domain', async (req, res) => {
+async function finishScheduledRefresh(taskId, status) {
   try {
-    const domain = req.params.domain.toLowerCase();
-    const publisher = await db.getPublisher(domain);
+    const run = await db.getRefreshRunByTask(taskId);
+    if (!run || run.status !== 'running') return;
 
-    if (!publisher) {
-      return res.status(404).json({ error: 'Publisher not found' });
-    }
+    const finished = await db.completeRefreshRun(run.id, status);
+    const { summary } = finished;
+    console.log(`Refresh run ${run.id} ${status}: ${summary.changed_domains}/${summary.domains} publishers changed, ` +
+      `${summary.new_prices} new prices, ${summary.price_changes} price changes`);
+  } catch (error) {
+    console.error(`Error finishing refresh run for task ${taskId}:`, error);
+  }
+}
 
-    res.json(publisher);
+/**
+ * GET /api/scheduled-refresh
+ * Get the refresh schedule and recent runs with their change summaries
+ */
+app.get('/api/scheduled-refresh', async (req, res) => {
+  try {
+    const runs = await db.getRefreshRuns({ limit: req.query.limit ? parseInt(req.query.limit) : 20 });
+    const settings = config.scheduledRefresh || {};
+
+    res.json({
+      enabled: Boolean(scheduledRefreshJob),
+      schedule: settings.schedule || null,
+      next_run: scheduledRefreshJob ? scheduledRefreshJob.nextRun() : null,
+      criteria: {
+        maxAgeDays: settings.maxAgeDays,
+        favoritesOnly: settings.favoritesOnly,
+        tag: settings.tag,
+        maxDomains: settings.maxDomains
+      },
+      runs
+    });
   } catch (error) {
-    console.error('Error fetching publisher:', error);
+    console.error('Error fetching scheduled refresh:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * POST /api/publishers/:domain/refresh
- * Refresh a single publisher's pricing from emails
+ * POST /api/scheduled-refresh/run
+ * Run a refresh now
+ * Body (all optional): { maxAgeDays, favoritesOnly, tag, maxDomains }
  */
-app.post('/api/publishers/:domain/refresh', async (req, res) => {
+app.post('/api/scheduled-refresh/run', async (req, res) => {
   try {
-    const domain = req.params.domain.toLowerCase();
+    const { maxAgeDays, favoritesOnly, tag, maxDomains } = req.body || {};
 
-    console.log(`Refreshing publisher: ${domain}`);
-
-    // Search for the domain
-    const accounts = config.emailAccounts;
-    const result = await searchDomain(domain, accounts);
+    if (maxAgeDays !== undefined && (!Number.isInteger(maxAgeDays) || maxAgeDays < 0)) {
+      return res.status(400).json({ error: 'maxAgeDays must be a non-negative integer' });
+    }
+    if (maxDomains !== undefined && (!Number.isInteger(maxDomains) || maxDomains < 1)) {
+      return res.status(400).json({ error: 'maxDomains must be a positive integer' });
+    }
 
-    if (result) {
-      // Update publisher
-      await db.savePublisher(result);
-      await db.markRefreshed(domain);
+    const run = await runScheduledRefresh(`manual:${req.user?.username || 'unknown'}`, {
+      maxAgeDays,
+      favoritesOnly: favoritesOnly === undefined ? undefined : Boolean(favoritesOnly),
+      tag: tag || undefined,
+      maxDomains,
+      userId: req.user?.id
+    });
 
-      const updated = await db.getPublisher(domain);
-      res.json({
-        success: true,
-        message: 'Publisher refreshed successfully',
-        publisher: updated
-      });
-    } else {
-      // Just mark as refreshed even if no new data
-      await db.markRefreshed(domain);
-      res.json({
-        success: true,
-        message: 'No new pricing found, last refreshed timestamp updated',
-        publisher: await db.getPublisher(domain)
-      });
-    }
+    await audit(req, 'scheduled_refresh.run', 'task', run.task_id, null,
+      { status: run.status, domains: run.domain_count, criteria: run.criteria });
+    res.json({ success: true, run });
   } catch (error) {
-    console.error('Error refreshing publisher:', error);
+    console.error('Error running refresh:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// ============================================
+// MAIL SYNC
+// ============================================
+
+// Cron job that syncs Gmail accounts into the local index (set up in startServer when enabled)
+let mailSyncJob = null;
+
 /**
- * POST /api/publishers/:domain/favorite
- * Toggle favorite status
+ * GET /api/mail-sync
+ * Get the sync schedule and the index state of every Gmail account
  */
-app.post('/api/publishers/:domain/favorite', async (req, res) => {
+app.get('/api/mail-sync', async (req, res) => {
   try {
-    const domain = req.params.domain.toLowerCase();
-    const isFavorite = await db.toggleFavorite(domain);
+    const settings = config.mailSync || {};
 
     res.json({
-      success: true,
-      domain,
-      is_favorite: isFavorite
+      enabled: Boolean(mailSyncJob),
+      schedule: settings.schedule || null,
+      next_run: mailSyncJob ? mailSyncJob.nextRun() : null,
+      query: settings.query || null,
+      accounts: await getSyncStatus()
     });
   } catch (error) {
-    console.error('Error toggling favorite:', error);
+    console.error('Error fetching mail sync status:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * DELETE /api/publishers/:domain
- * Delete a publisher
+ * POST /api/mail-sync/run
+ * Start a sync now; it runs in the background (poll GET /api/mail-sync for progress)
+ * Body (all optional): { account, full } - full lists the whole mailbox again
+ * Admin only
  */
-app.delete('/api/publishers/:domain', async (req, res) => {
+app.post('/api/mail-sync/run', requireRole('admin'), async (req, res) => {
   try {
-    const domain = req.params.domain.toLowerCase();
-    await db.deletePublisher(domain);
+    const { account, full } = req.body || {};
+    const accounts = (await getSyncStatus()).map(state => state.account);
 
-    res.json({
-      success: true,
-      message: `Publisher ${domain} deleted`
-    });
+    if (account && !accounts.includes(account)) {
+      return res.status(400).json({ error: `${account} is not a Gmail account in config.emailAccounts` });
+    }
+
+    const options = { full: Boolean(full) };
+    const run = account ? syncAccount(account, options) : syncAllAccounts(options);
+    run.catch(error => console.error('Mail sync failed:', error.message));
+    await audit(req, 'mail_sync.run', 'mail_sync', account || null, null, { full: options.full });
+
+    res.json({ success: true, accounts: account ? [account] : accounts });
   } catch (error) {
-    console.error('Error deleting publisher:', error);
+    console.error('Error starting mail sync:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -588,7 +2622,11 @@ app.get('/api/tasks', async (req, res) => {
 /**
  * POST /api/tasks
  * Create a new task
- * Body: { name: "Task Name", domains: ["domain1.com", "domain2.com"] }
+ * Body: { name: "Task Name", domains: ["domain1.com", "domain2.com"],
+ *         budget: { maxLlmCalls: 500, maxTokens: 2000000, maxCost: 5 } }
+ * The task pauses itself once any budget limit is used up. Limits are checked before every LLM
+ * call, but calls already running in parallel still count, so a task can go over by up to one
+ * call per task worker
  */
 app.post('/api/tasks', async (req, res) => {
   try {
@@ -598,6 +2636,11 @@ app.post('/api/tasks', async (req, res) => {
       return res.status(400).json({ error: 'Please provide an array of domains' });
     }
 
+    const { budget, error: budgetError } = parseTaskBudget(req.body.budget || {});
+    if (budgetError) {
+      return res.status(400).json({ error: budgetError });
+    }
+
     // Clean and dedupe domains
     const cleanDomains = [...new Set(
       domains
@@ -615,7 +2658,8 @@ app.post('/api/tasks', async (req, res) => {
       name = `Task #${count}`;
     }
 
-    const task = await db.createTask(name, cleanDomains);
+    const task = await db.createTask(name, cleanDomains, { createdBy: req.user?.id, budget });
+    await audit(req, 'task.create', 'task', task.id, null, pickFields(task, TASK_AUDIT_FIELDS));
 
     res.json({
       success: true,
@@ -629,7 +2673,8 @@ app.post('/api/tasks', async (req, res) => {
 
 /**
  * GET /api/tasks/:id
- * Get a single task with its domains
+ * Get a single task with its domains and LLM usage by model and operation
+ * (running totals are on the task: llm_calls, prompt_tokens, completion_tokens, estimated_cost)
  */
 app.get('/api/tasks/:id', async (req, res) => {
   try {
@@ -641,8 +2686,9 @@ app.get('/api/tasks/:id', async (req, res) => {
     }
 
     const domains = await db.getTaskDomains(taskId);
+    const usage = await db.getTaskUsage(taskId);
 
-    res.json({ task, domains });
+    res.json({ task, domains, usage });
   } catch (error) {
     console.error('Error fetching task:', error);
     res.status(500).json({ error: error.message });
@@ -652,10 +2698,12 @@ app.get('/api/tasks/:id', async (req, res) => {
 /**
  * DELETE /api/tasks/:id
  * Delete a task
+ * Admin only
  */
-app.delete('/api/tasks/:id', async (req, res) => {
+app.delete('/api/tasks/:id', requireRole('admin'), async (req, res) => {
   try {
     const taskId = parseInt(req.params.id);
+    const task = await db.getTask(taskId);
 
     // Stop if running
     if (taskRunners.has(taskId)) {
@@ -663,7 +2711,15 @@ app.delete('/api/tasks/:id', async (req, res) => {
       taskRunners.delete(taskId);
     }
 
+    await finishScheduledRefresh(taskId, 'cancelled');
     await db.deleteTask(taskId);
+    await audit(req, 'task.delete', 'task', taskId, pickFields(task, TASK_AUDIT_FIELDS));
+
+    // Let the next queued task take its slot
+    if (currentRunningTaskId === taskId) {
+      currentRunningTaskId = null;
+      startNextQueuedTask();
+    }
 
     res.json({ success: true, message: 'Task deleted' });
   } catch (error) {
@@ -693,16 +2749,16 @@ app.post('/api/tasks/:id/start', async (req, res) => {
       return res.status(400).json({ error: 'Task is already queued' });
     }
 
-    // Check if another task is running
-    if (isAnyTaskRunning()) {
-      // Add to queue instead of starting immediately
-      await db.updateTaskStatus(taskId, 'queued');
-      await broadcastTaskUpdate(taskId);
-      console.log(`Task ${taskId} added to queue (task ${currentRunningTaskId} is running)`);
+    const exhausted = getBudgetExhaustion(task);
+    if (exhausted) {
+      return res.status(400).json({ error: `${exhausted}. Raise the budget to continue.` });
+    }
+
+    const queued = await startOrQueueTask(taskId);
+    await audit(req, 'task.start', 'task', taskId, { status: task.status }, { status: queued ? 'queued' : 'running' });
+    if (queued) {
       res.json({ success: true, message: 'Task added to queue', queued: true });
     } else {
-      // Start the task immediately
-      runTask(taskId);
       res.json({ success: true, message: 'Task started', queued: false });
     }
   } catch (error) {
@@ -734,6 +2790,7 @@ app.post('/api/tasks/:id/pause', async (req, res) => {
     }
 
     await db.updateTaskStatus(taskId, 'paused');
+    await audit(req, 'task.pause', 'task', taskId, { status: task.status }, { status: 'paused' });
 
     // Broadcast status change
     await broadcastTaskUpdate(taskId);
@@ -745,6 +2802,57 @@ app.post('/api/tasks/:id/pause', async (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/tasks/:id/budget
+ * Change a task's budget, e.g. to continue after it paused itself
+ * Body: { maxLlmCalls, maxTokens, maxCost, resume: true } - null removes a limit,
+ * resume restarts a paused task (queued if another task is running)
+ * Admin only
+ */
+app.patch('/api/tasks/:id/budget', requireRole('admin'), async (req, res) => {
+  try {
+    const taskId = parseInt(req.params.id);
+    const task = await db.getTask(taskId);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { budget, error: budgetError } = parseTaskBudget(req.body || {});
+    if (budgetError) {
+      return res.status(400).json({ error: budgetError });
+    }
+
+    const resume = req.body?.resume === true && task.status === 'paused';
+    const exhausted = getBudgetExhaustion({
+      ...task,
+      max_llm_calls: budget.maxLlmCalls !== undefined ? budget.maxLlmCalls : task.max_llm_calls,
+      max_tokens: budget.maxTokens !== undefined ? budget.maxTokens : task.max_tokens,
+      max_cost: budget.maxCost !== undefined ? budget.maxCost : task.max_cost
+    });
+    if (resume && exhausted) {
+      return res.status(400).json({ error: `${exhausted}. Set a higher limit to resume.` });
+    }
+
+    const updated = await db.updateTaskBudget(taskId, budget);
+    console.log(`Task ${taskId} budget changed by ${req.user?.username || 'unknown'}`);
+    const budgetFields = ['max_llm_calls', 'max_tokens', 'max_cost'];
+    await audit(req, 'task.budget', 'task', taskId, pickFields(task, budgetFields), { ...pickFields(updated, budgetFields), resume });
+
+    let queued = false;
+    if (resume) {
+      queued = await startOrQueueTask(taskId);
+    } else {
+      await broadcastTaskUpdate(taskId);
+    }
+
+    res.json({ success: true, task: updated, resumed: resume, queued });
+  } catch (error) {
+    console.error('Error updating task budget:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/tasks/:id/cancel
  * Cancel a task (or remove from queue)
@@ -761,6 +2869,7 @@ app.post('/api/tasks/:id/cancel', async (req, res) => {
     // If task was queued, just set back to pending (can be started later)
     if (task.status === 'queued') {
       await db.updateTaskStatus(taskId, 'pending');
+      await audit(req, 'task.cancel', 'task', taskId, { status: task.status }, { status: 'pending' });
       await broadcastTaskUpdate(taskId);
       res.json({ success: true, message: 'Task removed from queue' });
       return;
@@ -780,6 +2889,8 @@ app.post('/api/tasks/:id/cancel', async (req, res) => {
     // Skip remaining domains
     await db.skipRemainingDomains(taskId);
     await db.updateTaskStatus(taskId, 'cancelled');
+    await finishScheduledRefresh(taskId, 'cancelled');
+    await audit(req, 'task.cancel', 'task', taskId, { status: task.status }, { status: 'cancelled' });
 
     // Broadcast status change
     await broadcastTaskUpdate(taskId);
@@ -808,6 +2919,7 @@ app.post('/api/tasks/:id/retry-failed', async (req, res) => {
     }
 
     const count = await db.retryFailedDomains(taskId);
+    await audit(req, 'task.retry_failed', 'task', taskId, { failed_domains: task.failed_domains }, { retried: count });
 
     res.json({
       success: true,
@@ -861,6 +2973,30 @@ app.get('/api/tasks/:id/stream', async (req, res) => {
   });
 });
 
+/**
+ * GET /api/tasks/:id/domains/:domain/emails
+ * Emails scored for a domain in the task's latest run, best ranked first, with the
+ * rules behind each priority score
+ */
+app.get('/api/tasks/:id/domains/:domain/emails', async (req, res) => {
+  try {
+    const taskId = parseInt(req.params.id);
+    const domain = req.params.domain.toLowerCase();
+    const emails = await db.getCandidateEmails(domain, taskId);
+
+    res.json({
+      domain,
+      emails: emails.map(email => ({
+        ...email,
+        message_link: getMessageLink(email.account, email.message_id)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching candidate emails:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/tasks/:id/export
  * Export task results to CSV
@@ -890,9 +3026,9 @@ app.get('/api/tasks/:id/export', async (req, res) => {
 });
 
 /**
- * Broadcast task update to all connected SSE clients
+ * Send the current task snapshot to all connected SSE clients
  */
-async function broadcastTaskUpdate(taskId) {
+async function sendTaskSnapshot(taskId) {
   const connections = taskSseConnections.get(taskId);
   if (!connections) return;
 
@@ -907,91 +3043,200 @@ async function broadcastTaskUpdate(taskId) {
 }
 
 /**
- * Run a task - process domains one by one
+ * Send a one-off event (other than the regular update snapshot) to a task's SSE clients
  */
-async function runTask(taskId) {
-  const task = await db.getTask(taskId);
-  if (!task) return;
+function broadcastTaskEvent(taskId, event, payload) {
+  const connections = taskSseConnections.get(taskId);
+  if (!connections) return;
 
-  // Track this as the current running task
-  currentRunningTaskId = taskId;
+  const data = JSON.stringify(payload);
+  connections.forEach(res => {
+    res.write(`event: ${event}\ndata: ${data}\n\n`);
+  });
+}
 
-  // Set up runner state
-  taskRunners.set(taskId, { paused: false, cancelled: false });
-  await db.updateTaskStatus(taskId, 'running');
+/**
+ * Broadcast task update to all connected SSE clients
+ * Calls made while a snapshot is being sent are folded into one follow-up
+ * snapshot, so clients always end on the latest state
+ */
+function broadcastTaskUpdate(taskId) {
+  if (!taskSseConnections.get(taskId)) return Promise.resolve();
+
+  const pending = pendingTaskBroadcasts.get(taskId);
+  if (pending) {
+    pending.dirty = true;
+    return pending.done;
+  }
+
+  const state = { dirty: false };
+  state.done = (async () => {
+    try {
+      do {
+        state.dirty = false;
+        await sendTaskSnapshot(taskId);
+      } while (state.dirty);
+    } finally {
+      pendingTaskBroadcasts.delete(taskId);
+    }
+  })();
+  pendingTaskBroadcasts.set(taskId, state);
+  return state.done;
+}
+
+/**
+ * Process a single domain of a task and record the outcome
+ * Results that land after the task was cancelled are dropped - the domain
+ * was already marked skipped and the task counters are final
+ */
+async function processTaskDomain(taskId, domainRecord, accounts, runner, searchOptions = {}) {
+  const domain = domainRecord.domain;
+  console.log(`Task ${taskId}: Processing ${domain}`);
+
+  // Mark domain as running
+  await db.updateTaskDomain(domainRecord.id, 'running');
   await broadcastTaskUpdate(taskId);
 
-  const accounts = config.emailAccounts;
-  const pendingDomains = await db.getTaskDomains(taskId, 'pending');
+  try {
+    // Search for the domain
+    const result = await searchDomain(domain, accounts, searchOptions);
 
-  console.log(`Starting task ${taskId}: ${pendingDomains.length} domains to process`);
+    if (runner.cancelled) {
+      console.log(`Task ${taskId}: Dropping result for ${domain} (task cancelled)`);
+      return;
+    }
 
-  for (const domainRecord of pendingDomains) {
-    // Check for pause/cancel
-    const runner = taskRunners.get(taskId);
-    if (!runner || runner.cancelled) {
-      console.log(`Task ${taskId} cancelled`);
-      break;
+    // Check if we found any pricing data
+    if (hasPricing(result)) {
+      // Found price - mark as completed (success)
+      await db.updateTaskDomain(domainRecord.id, 'completed', result);
+      await db.incrementTaskProgress(taskId, 'successful');
+      await db.savePublisher(result, taskId);
+      console.log(`Task ${taskId}: Found price for ${domain}: ${result.guest_post_price} ${result.currency}`);
+    } else {
+      // No price found - mark as no_result (not failed, just no data)
+      await db.updateTaskDomain(domainRecord.id, 'no_result', { guest_post_price: null });
+      await db.incrementTaskProgress(taskId, 'no_result');
+      // Still save to publishers for manual outreach, with the scores of the emails that were passed over
+      await db.savePublisher({ domain, candidate_emails: result?.candidate_emails }, taskId);
+      console.log(`Task ${taskId}: No price found for ${domain} (added to publishers for outreach)`);
     }
-    if (runner.paused) {
-      console.log(`Task ${taskId} paused`);
-      break;
+  } catch (error) {
+    if (runner.cancelled) return;
+    if (error.budgetExceeded) {
+      // Processed again from the start once the task resumes with a raised budget
+      console.log(`Task ${taskId}: Budget used up while processing ${domain}, returning it to the queue`);
+      await db.updateTaskDomain(domainRecord.id, 'pending');
+      await pauseIfOverBudget(taskId, runner);
+      await broadcastTaskUpdate(taskId);
+      return;
     }
+    console.error(`Task ${taskId}: Error processing ${domain}:`, error.message);
+    await db.updateTaskDomain(domainRecord.id, 'failed', { error: error.message });
+    await db.incrementTaskProgress(taskId, 'failed');
+  }
 
-    const domain = domainRecord.domain;
-    console.log(`Task ${taskId}: Processing ${domain}`);
+  // Broadcast progress
+  await broadcastTaskUpdate(taskId);
+}
 
-    // Mark domain as running
-    await db.updateTaskDomain(domainRecord.id, 'running');
-    await broadcastTaskUpdate(taskId);
+/**
+ * Pause a task whose budget is used up
+ * Clients get a "paused" event with the reason, then the usual update.
+ * Returns true when the task must not pick up more domains
+ */
+async function pauseIfOverBudget(taskId, runner) {
+  const task = await db.getTask(taskId);
+  const reason = task ? getBudgetExhaustion(task) : null;
+  if (!reason) return false;
 
-    try {
-      // Search for the domain
-      const result = await searchDomain(domain, accounts);
+  // Another worker got here first
+  if (runner.paused || runner.cancelled) return true;
 
-      // Check if we found any pricing data
-      const hasPricing = result && (
-        result.guest_post_price || result.link_insertion_price ||
-        result.sponsored_post_price || result.homepage_link_price || result.casino_price
-      );
+  runner.paused = true;
+  runner.pauseReason = reason;
+  console.log(`Task ${taskId} paused: ${reason}`);
 
-      if (hasPricing) {
-        // Found price - mark as completed (success)
-        await db.updateTaskDomain(domainRecord.id, 'completed', result);
-        await db.incrementTaskProgress(taskId, 'successful');
-        await db.savePublisher(result, taskId);
-        console.log(`Task ${taskId}: Found price for ${domain}: ${result.guest_post_price} ${result.currency}`);
-      } else {
-        // No price found - mark as no_result (not failed, just no data)
-        await db.updateTaskDomain(domainRecord.id, 'no_result', { guest_post_price: null });
-        await db.incrementTaskProgress(taskId, 'no_result');
-        // Still save to publishers for manual outreach
-        await db.savePublisher({ domain }, taskId);
-        console.log(`Task ${taskId}: No price found for ${domain} (added to publishers for outreach)`);
-      }
-    } catch (error) {
-      console.error(`Task ${taskId}: Error processing ${domain}:`, error.message);
-      await db.updateTaskDomain(domainRecord.id, 'failed', { error: error.message });
-      await db.incrementTaskProgress(taskId, 'failed');
-    }
+  await db.updateTaskStatus(taskId, 'paused', reason);
+  broadcastTaskEvent(taskId, 'paused', { taskId, reason });
+  await broadcastTaskUpdate(taskId);
+  return true;
+}
 
-    // Broadcast progress
-    await broadcastTaskUpdate(taskId);
+/**
+ * Stops a task's domain search before an LLM call the budget no longer allows
+ * The error (budgetExceeded) makes processTaskDomain put the domain back and pause the task
+ */
+async function checkTaskBudget(taskId) {
+  const task = await db.getTask(taskId);
+  const reason = task ? getBudgetExhaustion(task) : null;
+  if (reason) {
+    const error = new Error(reason);
+    error.budgetExceeded = true;
+    throw error;
   }
+}
+
+/**
+ * Run a task - process domains with a pool of concurrent workers
+ * Pausing or cancelling stops workers from picking up new domains;
+ * domains already in flight are allowed to finish
+ */
+async function runTask(taskId) {
+  const task = await db.getTask(taskId);
+  if (!task) return;
 
-  // Check final state
-  const runner = taskRunners.get(taskId);
-  if (runner && !runner.paused && !runner.cancelled) {
+  // Track this as the current running task
+  currentRunningTaskId = taskId;
+
+  // Set up runner state (workers keep a reference to this run's runner, so a
+  // resumed run gets its own and doesn't revive workers of the paused one)
+  const runner = { paused: false, cancelled: false };
+  taskRunners.set(taskId, runner);
+  await db.updateTaskStatus(taskId, 'running');
+  await broadcastTaskUpdate(taskId);
+
+  const accounts = getSearchAccounts();
+  // LLM spend is attributed to the task and whoever created it; rules edited
+  // while the task runs apply from its next run
+  const ruleSet = await classificationRules.loadRuleSet();
+  const searchOptions = { taskId, userId: task.created_by || null, ruleSet, checkBudget: () => checkTaskBudget(taskId) };
+  const queue = await db.getTaskDomains(taskId, 'pending');
+  const workerCount = Math.max(1, Math.min(config.concurrency?.taskWorkers || 1, queue.length));
+
+  console.log(`Starting task ${taskId}: ${queue.length} domains to process with ${workerCount} worker(s), classification rules v${ruleSet.version ?? 'default'}`);
+
+  const { processed, failed, remaining } = await runWorkerPool(queue, {
+    workers: workerCount,
+    runner,
+    // Budgets are checked before each domain and before each LLM call (checkTaskBudget);
+    // calls other workers already started can still go over, by at most one per worker
+    beforeEach: () => pauseIfOverBudget(taskId, runner),
+    processItem: domainRecord => processTaskDomain(taskId, domainRecord, accounts, runner, searchOptions),
+    // Bookkeeping failed (e.g. the task was deleted) - keep the other workers going
+    onError: (domainRecord, error) => console.error(`Task ${taskId}: Error recording ${domainRecord.domain}:`, error.message)
+  });
+  console.log(`Task ${taskId}: ${processed} domain(s) processed, ${failed} not recorded, ${remaining} left`);
+
+  if (runner.cancelled) {
+    console.log(`Task ${taskId} cancelled`);
+  } else if (runner.paused) {
+    console.log(`Task ${taskId} paused${runner.pauseReason ? ` (${runner.pauseReason})` : ''}`);
+  } else {
     // Task completed normally
     await db.updateTaskStatus(taskId, 'completed');
     console.log(`Task ${taskId} completed`);
+    await finishScheduledRefresh(taskId, 'completed');
   }
 
-  // Clean up runner
-  taskRunners.delete(taskId);
+  // Clean up runner (unless the task was already resumed with a new one)
+  const superseded = taskRunners.get(taskId) !== runner;
+  if (!superseded) {
+    taskRunners.delete(taskId);
+  }
 
   // Clear current running task
-  if (currentRunningTaskId === taskId) {
+  if (currentRunningTaskId === taskId && !taskRunners.has(taskId)) {
     currentRunningTaskId = null;
   }
 
@@ -999,8 +3244,11 @@ async function runTask(taskId) {
   await broadcastTaskUpdate(taskId);
 
   // Start the next queued task (if any)
-  if (!runner?.paused) {
-    // Only auto-start next if this task wasn't paused (user might want to resume it)
+  if ((!runner.paused || runner.pauseReason) && !runner.cancelled && !superseded) {
+    // Only auto-start next if this task wasn't paused by hand (user might want to resume it);
+    // a task out of budget waits for a raise, so it doesn't hold up the queue.
+    // A run that was resumed meanwhile leaves that to the new run, and the cancel and
+    // delete routes start the next task themselves
     startNextQueuedTask();
   }
 }
@@ -1008,7 +3256,7 @@ async function runTask(taskId) {
 /**
  * Start the domain search process
  */
-function startSearch(sessionId, domains) {
+function startSearch(sessionId, domains, userId = null) {
   const session = activeSessions.get(sessionId);
 
   const onResult = async (result) => {
@@ -1054,7 +3302,7 @@ function startSearch(sessionId, domains) {
   };
 
   // Start the search
-  searchDomains(domains, onResult, onProgress, onComplete).catch(error => {
+  searchDomains(domains, onResult, onProgress, onComplete, { userId }).catch(error => {
     console.error('Search error:', error);
     session.status = 'error';
   });
@@ -1129,6 +3377,26 @@ async function startServer() {
     console.log('Checking for interrupted tasks...');
     await resumeInterruptedTasks();
 
+    // Refresh stale publishers on a schedule
+    if (config.scheduledRefresh?.enabled) {
+      scheduledRefreshJob = createScheduledJob(
+        config.scheduledRefresh.schedule,
+        () => runScheduledRefresh('schedule'),
+        { name: 'publisher refresh' }
+      );
+      scheduledRefreshJob.start();
+    }
+
+    // Keep the local Gmail index current
+    if (config.mailSync?.enabled) {
+      mailSyncJob = createScheduledJob(
+        config.mailSync.schedule,
+        () => syncAllAccounts(),
+        { name: 'mail sync' }
+      );
+      mailSyncJob.start();
+    }
+
     app.listen(PORT, '0.0.0.0', () => {
       console.log('='.repeat(50));
       console.log(`Domain Price Searcher running at http://localhost:${PORT}`);
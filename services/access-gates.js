@@ -0,0 +1,92 @@
+/**
+ * Access Gates
+ * Which paths need no sign-in, and what a signed-in user may still reach while their
+ * account needs attention: a password they must change, or two-factor authentication
+ * that admins require and they haven't set up yet
+ *
+ * Express matches routes case-insensitively and with or without a trailing slash, so paths
+ * are normalized the same way before any check - "/API/Tasks/" reaches the same route as
+ * "/api/tasks" and must run into the same gates.
+ */
+
+// Public paths that don't require auth
+const PUBLIC_PATHS = ['/login.html', '/api/auth/login', '/api/auth/login/2fa', '/api/auth/setup-required'];
+
+// Auth routes that act on the signed-in user - all a user who must change their password
+// or set up two-factor authentication can use
+const ACCOUNT_PATHS = [
+  '/api/auth/me',
+  '/api/auth/change-password',
+  '/api/auth/2fa',
+  '/api/auth/2fa/setup',
+  '/api/auth/2fa/enable',
+  '/api/auth/2fa/disable',
+  '/api/auth/2fa/recovery-codes'
+];
+
+// What the Account page needs while a user sets up two-factor authentication
+const TWO_FACTOR_SETUP_PAGE = '/account.html';
+const STYLESHEET_PREFIX = '/css/';
+
+/**
+ * A request path the way routes see it: lowercase, without trailing slashes
+ * @param {string} path - req.path
+ * @returns {string}
+ */
+function normalizePath(path) {
+  const normalized = String(path || '/').toLowerCase().replace(/\/+$/, '');
+  return normalized || '/';
+}
+
+function isApiPath(path) {
+  const normalized = normalizePath(path);
+  return normalized === '/api' || normalized.startsWith('/api/');
+}
+
+/**
+ * Whether a path is served without signing in
+ * Auth routes are, except the account routes that need to know who is asking
+ */
+function isPublicPath(path) {
+  const normalized = normalizePath(path);
+  return PUBLIC_PATHS.includes(normalized) ||
+    (normalized.startsWith('/api/auth/') && !ACCOUNT_PATHS.includes(normalized));
+}
+
+/**
+ * Whether a path is one of the account routes, which gated users can still use
+ */
+function isAccountPath(path) {
+  return ACCOUNT_PATHS.includes(normalizePath(path));
+}
+
+/**
+ * The gate a signed-in user's request runs into, if any
+ * Until users pick their own password they only get the account routes (the sign-in page
+ * that asks for it is public); until they set up required two-factor authentication they
+ * get the account routes and the Account page
+ * @param {string} path - req.path
+ * @param {Object} account
+ * @param {boolean} account.mustChangePassword - The password was set by an admin
+ * @param {boolean} [account.twoFactorMissing] - Admins require two-factor authentication and the user has none
+ * @returns {'change_password'|'setup_two_factor'|null}
+ */
+function getBlockingGate(path, { mustChangePassword, twoFactorMissing }) {
+  if (isAccountPath(path)) return null;
+
+  if (mustChangePassword) return 'change_password';
+
+  const normalized = normalizePath(path);
+  if (twoFactorMissing && normalized !== TWO_FACTOR_SETUP_PAGE && !normalized.startsWith(STYLESHEET_PREFIX)) {
+    return 'setup_two_factor';
+  }
+  return null;
+}
+
+module.exports = {
+  normalizePath,
+  isApiPath,
+  isPublicPath,
+  isAccountPath,
+  getBlockingGate
+};
@@ -137,7 +137,7 @@ async function parseWord(buffer) {
  * First tries direct access (for public sheets), then falls back to domain-wide delegation
  * @param {string} sheetUrl - Google Sheets URL
  * @param {string} authEmail - Email to impersonate (for domain-wide delegation fallback)
- * @returns {Promise<{type: string, text: string, sheetId: string, error?: string}>}
+ * @returns {Promise<{type: string, text: string, sheetId: string, tables: Array<{name: string, rows: Array<Array>}>, error?: string}>}
  */
 async function parseGoogleSheet(sheetUrl, authEmail) {
   try {
@@ -216,6 +216,7 @@ async function parseGoogleSheet(sheetUrl, authEmail) {
 
     const sheetNames = spreadsheet.data.sheets.map((sheet) => sheet.properties.title);
     const textParts = [];
+    const tables = [];
 
     // Fetch data from all sheets
     for (const sheetName of sheetNames) {
@@ -226,6 +227,7 @@ async function parseGoogleSheet(sheetUrl, authEmail) {
 
       const rows = response.data.values || [];
       if (rows.length > 0) {
+        tables.push({ name: sheetName, rows });
         const sheetText = rows
           .map((row) => row.join(' | '))
           .filter((line) => line.trim().length > 0)
@@ -241,6 +243,7 @@ async function parseGoogleSheet(sheetUrl, authEmail) {
       type: 'gsheet',
       text: textParts.join('\n\n'),
       sheetId,
+      tables,
     };
   } catch (error) {
     console.error('Google Sheets parsing error:', error.message);
@@ -248,6 +251,7 @@ async function parseGoogleSheet(sheetUrl, authEmail) {
       type: 'gsheet',
       text: '',
       sheetId: '',
+      tables: [],
       error: `Failed to parse Google Sheets: ${error.message}`,
     };
   }
@@ -362,6 +366,28 @@ async function parseAttachment(attachment) {
   }
 }
 
+/**
+ * Read every sheet of an Excel/CSV file as rows of cells
+ * A CSV file is a single table named after the file type
+ * @param {Buffer} buffer - Excel/CSV file buffer
+ * @param {string} fileType - 'excel' or 'csv'
+ * @returns {Array<{name: string, rows: Array<Array>}>} Tables with at least one row
+ */
+function readSheetTables(buffer, fileType = 'excel') {
+  if (fileType === 'csv') {
+    const rows = csvParse(buffer.toString('utf-8'), { skip_empty_lines: true, trim: true, relax_column_count: true });
+    return rows.length > 0 ? [{ name: 'CSV', rows }] : [];
+  }
+
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  return workbook.SheetNames
+    .map((sheetName) => ({
+      name: sheetName,
+      rows: XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '' }),
+    }))
+    .filter((table) => table.rows.length > 0);
+}
+
 /**
  * Extract pricing row for a specific domain from Excel/CSV content
  * Returns structured data with header-value mapping
@@ -526,5 +552,6 @@ module.exports = {
   parseGoogleSheet,
   findGoogleSheetUrls,
   parseAttachment,
+  readSheetTables,
   extractDomainPricingFromSheet,
 };
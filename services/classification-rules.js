@@ -0,0 +1,291 @@
+/**
+ * Classification Rules
+ * Keyword lists the domain searcher scores emails with (our own mailboxes,
+ * resellers, invoices, negotiation phrases...). They live in the database as
+ * numbered rule sets: every edit saves a new version, and each extraction
+ * records the version it was scored with.
+ *
+ * The lists below are the built-in defaults. They seed version 1 and are used
+ * as-is when the database isn't initialized (scripts, the evaluation).
+ */
+
+const db = require('../db');
+
+/**
+ * Every rule list, in the order the admin page shows them
+ */
+const RULE_LISTS = {
+  internal_email_domains: {
+    label: 'Internal email domains',
+    description: 'Our own mailboxes. Emails from these are outbound and count as the buying side of a negotiation.',
+    defaults: [
+      'instalinkoteam.com',
+      'instalinkomailer.com',
+      'instalinko-outreach.com',
+      'instalinkers.com'
+    ]
+  },
+  reseller_indicators: {
+    label: 'Reseller indicators',
+    description: 'Agencies, resellers and bulk price-list senders. Matched against the sender and the email text (heavy penalty).',
+    defaults: [
+      // Known agencies
+      'snack-media', 'snack media', 'imperium-comms', 'imperium comms',
+      'links@snack', 'j.clifford@imperium', 'messaging-service@post.xero',
+      'mashable partners', 'mashablepartners', 'info@mashablepartners',
+      'redhat media', 'redhatmedia', 'mashum@redhatmedia',
+      // Bulk media aggregators (send Google Sheets with many sites)
+      'entrepreneur media', 'entrepreneurmedia', 'entrepreneuredition',
+      'info@entrepreneuredition', 'elena vladimirovna', 'elenavladimirovna',
+      'nogentech', 'info@nogentech', 'nogentech media', 'nogentech.org',
+      'dailybanner1@gmail', 'daily banner', 'dailybanner',
+      'gposting.com', 'support@gposting', 'gposting',
+      'rabbiitfirm', 'admin@rabbiitfirm', 'rabbi it firm',
+      // Link building resellers
+      'bloggeroutreach.io', 'bloggeroutreach.com', 'ejaz@bloggeroutreach',
+      'bazoom', 'app@mg.bazoom',
+      // Resellers who send price lists for sites they don't own
+      'mamacasinos@gmail.com', 'mamacasinos', 'mama casinos',
+      // Bulk price list resellers (they send Google Sheets with many sites)
+      'markhombarg@gmail.com', 'frankheepsy', 'benjaminrutschle', 'benjamin.marketingoutreach',
+      'lancethompson', 'gabrielgoldenberg', 'lunahazel', 'jorjsmith', 'dylankohlstadt',
+      'lisamoni', 'bloggerslisamoni', 'randyorten', 'harrywin', 'jaxonmercer',
+      'alicemarketer', 'graceanna', 'ivanjhon', 'arabelajewel', 'samuelmax',
+      'lillyrose', 'wyattmoree', 'kateflower', 'freyamolly', 'norahjasmine',
+      'danielmarketer', 'danielmatthew', 'jamesvince', 'lecabrey', 'kitroberseo',
+      // Common reseller email patterns (be careful - some webmasters use these)
+      'linkbuilding@', 'link-building@', 'seoagency', 'seo-agency',
+      '.outreach@gmail', '.seo@gmail', 'marketingoutreach@',
+      // Payment processors (invoices)
+      'service@paypal.com'
+    ]
+  },
+  invoice_keywords: {
+    label: 'Invoice keywords',
+    description: 'Phrases that mark an email as an invoice or receipt (lowest priority).',
+    defaults: [
+      'invoice inv-', 'receipt', 'payment confirmation', 'order confirmation',
+      'payment received', 'billing statement', 'order #', 'invoice #',
+      'receipt #', 'payment #', 'order details', 'inv-'
+    ]
+  },
+  negotiation_confirmation_keywords: {
+    label: 'Negotiation confirmation keywords',
+    description: 'Phrases in the body that indicate the final agreed price rather than a first quote.',
+    defaults: [
+      'price agreed', 'agreed price', 'final price', 'we agree', 'i agree',
+      'deal confirmed', 'deal done', 'okay for', 'ok for', 'works for me',
+      'sounds good', 'accepted', 'confirmed', 'let\'s proceed', 'go ahead',
+      'send the article', 'send content', 'send the content', 'waiting for article',
+      'waiting for content', 'send me the article', 'please share the article',
+      'share the content', 'will publish', 'can publish', 'ready to publish'
+    ]
+  },
+  price_list_keywords: {
+    label: 'Price list keywords',
+    description: 'Phrases in the subject or body that indicate a price list.',
+    defaults: [
+      'full media list', 'here are all our sites', 'sites where we accept',
+      'below is our full', 'our sites', 'our websites', 'price list',
+      'our pricing', 'per link', 'general post', 'casino/forex', 'casino price',
+      'here are our', 'all our sites', 'media list'
+    ]
+  },
+  outbound_inquiry_patterns: {
+    label: 'Outbound inquiry subjects',
+    description: 'Subject phrases of the outreach we send. A reply to one of these is most likely from the webmaster.',
+    defaults: [
+      'guest post', 'sponsored post', 'inquiry', 'collaborate', 'partnership',
+      'guest posting', 'link insertion', 'sponsored content', 'paid post',
+      'contribute', 'content opportunity', 'backlink', 'article placement',
+      'order for', 'order on', 'placement on', 'post on', 'article on'
+    ]
+  },
+  response_body_patterns: {
+    label: 'Response body phrases',
+    description: 'Body phrases of a webmaster answering an inquiry, even without "Re:" in the subject.',
+    defaults: [
+      // Direct response indicators
+      'thank you for reaching out', 'thanks for your interest', 'thanks for contacting',
+      'in response to your', 'regarding your inquiry', 'following up on your',
+      'as per your request', 'as requested', 'here are our rates',
+      // Pricing response indicators
+      'our pricing', 'our rates', 'our prices', 'the price is', 'we charge',
+      'pricing for guest', 'cost for guest', 'rate for guest', 'price for sponsored',
+      'per article', 'per post', 'for one article', 'for one post',
+      // Quote/offer patterns
+      'please find', 'attached is', 'below are', 'here is our', 'i can offer',
+      'we can offer', 'happy to offer', 'we would charge', 'we accept'
+    ]
+  },
+  direct_pricing_subjects: {
+    label: 'Direct pricing subjects',
+    description: 'Subject phrases of a pricing email sent without "Re:".',
+    defaults: [
+      'pricing for', 'rates for', 'price for', 'quote for', 'offer for',
+      'guest post opportunity', 'sponsorship opportunity', 'advertising rates',
+      'media kit', 'rate card', 'pricing inquiry', 'our rates'
+    ]
+  }
+};
+
+/**
+ * Built-in rules keyed by list name
+ * @returns {Object<string, string[]>}
+ */
+function getDefaultRules() {
+  return Object.fromEntries(
+    Object.entries(RULE_LISTS).map(([name, list]) => [name, [...list.defaults]])
+  );
+}
+
+/**
+ * Whether a name is one of the rule lists
+ * @param {string} name - List name
+ * @returns {boolean}
+ */
+function isRuleList(name) {
+  return Object.prototype.hasOwnProperty.call(RULE_LISTS, name);
+}
+
+/**
+ * Cleans up a list's entries: lowercased, trimmed, without blanks or repeats
+ * Matching is case-insensitive, so case only makes duplicates
+ * @param {Array<string>} entries - Raw entries
+ * @returns {string[]}
+ */
+function normalizeEntries(entries) {
+  const seen = new Set();
+  const result = [];
+  for (const entry of entries || []) {
+    const value = String(entry ?? '').trim().toLowerCase();
+    if (value && !seen.has(value)) {
+      seen.add(value);
+      result.push(value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Fills in every list, so a stored rule set that predates a list still works
+ * @param {Object<string, string[]>} rules - Stored rules
+ * @returns {Object<string, string[]>}
+ */
+function completeRules(rules) {
+  return Object.fromEntries(
+    Object.keys(RULE_LISTS).map(name => [
+      name,
+      Array.isArray(rules?.[name]) ? rules[name] : [...RULE_LISTS[name].defaults]
+    ])
+  );
+}
+
+/**
+ * Latest rule set, saving the built-in defaults as version 1 the first time
+ * @returns {Promise<{version: number, rules: Object, note: string, created_at: string, created_by_name: string}>}
+ */
+async function getCurrentRuleSet() {
+  let ruleSet = await db.getRuleSet();
+  if (!ruleSet) {
+    await db.seedRuleSet(getDefaultRules(), 'Built-in defaults');
+    ruleSet = await db.getRuleSet();
+  }
+  return { ...ruleSet, rules: completeRules(ruleSet.rules) };
+}
+
+/**
+ * A stored rule set version
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} As getCurrentRuleSet, or null if there is no such version
+ */
+async function getRuleSetVersion(version) {
+  const ruleSet = await db.getRuleSet(version);
+  return ruleSet ? { ...ruleSet, rules: completeRules(ruleSet.rules) } : null;
+}
+
+/**
+ * Loads the rules a search runs with - called once at the start of a task or search,
+ * so edits made while it runs apply from the next one
+ * Falls back to the built-in defaults (version null) without a database or when loading fails
+ * @returns {Promise<{version: number|null, rules: Object<string, string[]>}>}
+ */
+async function loadRuleSet() {
+  if (!db.isInitialized()) {
+    return { version: null, rules: getDefaultRules() };
+  }
+
+  try {
+    const { version, rules } = await getCurrentRuleSet();
+    return { version, rules };
+  } catch (error) {
+    console.error('Failed to load classification rules, using built-in defaults:', error.message);
+    return { version: null, rules: getDefaultRules() };
+  }
+}
+
+/**
+ * Saves changed lists as a new rule set version
+ * @param {Object<string, string[]>} changes - New entries by list name (other lists are kept)
+ * @param {Object} [options]
+ * @param {number} [options.baseVersion] - Version the edit was made against; a newer one is a conflict
+ * @param {number} [options.userId] - User making the change
+ * @param {string} [options.note] - What changed
+ * @returns {Promise<{ruleSet: Object, changed: boolean}>} The resulting rule set, and whether a version was saved
+ * @throws {Error} With status 400 for an unknown list, 409 when baseVersion is out of date
+ */
+async function updateRules(changes, options = {}) {
+  for (const name of Object.keys(changes)) {
+    if (!isRuleList(name)) {
+      const error = new Error(`Unknown rule list: ${name}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  const current = await getCurrentRuleSet();
+  if (options.baseVersion && Number(options.baseVersion) !== current.version) {
+    const error = new Error(`Rules were changed since version ${options.baseVersion} (now version ${current.version}). Reload and try again.`);
+    error.status = 409;
+    throw error;
+  }
+
+  const rules = { ...current.rules };
+  for (const [name, entries] of Object.entries(changes)) {
+    rules[name] = normalizeEntries(entries);
+  }
+
+  const changed = Object.keys(RULE_LISTS).some(name =>
+    JSON.stringify(rules[name]) !== JSON.stringify(current.rules[name])
+  );
+  if (!changed) {
+    return { ruleSet: current, changed: false };
+  }
+
+  const version = await db.createRuleSet(rules, options.userId || null, options.note || null);
+  return { ruleSet: await getRuleSetVersion(version), changed: true };
+}
+
+/**
+ * Makes an older version current again by saving its rules as a new version
+ * @param {number} version - Version to restore
+ * @param {Object} [options] - userId
+ * @returns {Promise<{ruleSet: Object, changed: boolean}|null>} null if the version doesn't exist
+ */
+async function restoreRuleSet(version, options = {}) {
+  const old = await getRuleSetVersion(version);
+  if (!old) return null;
+  return updateRules(old.rules, { userId: options.userId, note: `Restored version ${version}` });
+}
+
+module.exports = {
+  RULE_LISTS,
+  getDefaultRules,
+  isRuleList,
+  normalizeEntries,
+  loadRuleSet,
+  getCurrentRuleSet,
+  getRuleSetVersion,
+  updateRules,
+  restoreRuleSet
+};
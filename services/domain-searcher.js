@@ -4,32 +4,64 @@
  * Prioritizes webmaster/direct source emails over reseller invoices
  */
 
-const { searchEmails, getEmailWithAttachments } = require('./gmail');
-const { extractPricingForDomain } = require('./extractor');
+const { searchEmails, getEmailWithAttachments, getThread, getSearchAccounts } = require('./mail-source');
+const { searchIndexedEmails, getIndexedThread } = require('./mail-sync');
+const { extractPricingForDomain, extractNegotiationForDomain } = require('./extractor');
 const { parseGoogleSheet, findGoogleSheetUrls, parseAttachment, extractDomainPricingFromSheet } = require('./attachments');
-const config = require('../config');
+const { getDefaultRules, loadRuleSet } = require('./classification-rules');
+const { loadSenderReputations, getReputationSignal } = require('./sender-reputation');
 
 /**
- * Internal email domains - emails FROM these are outbound (lower priority)
+ * Keyword lists used when a caller passes no rule set (see services/classification-rules.js)
  */
-const INTERNAL_EMAIL_DOMAINS = [
-  'instalinkoteam.com',
-  'instalinkomailer.com',
-  'instalinko-outreach.com',
-  'instalinkers.com'
+const DEFAULT_RULES = getDefaultRules();
+
+/**
+ * Price fields a pricing result can carry
+ */
+const PRICE_FIELDS = [
+  'guest_post_price', 'link_insertion_price', 'sponsored_post_price', 'homepage_link_price', 'casino_price'
 ];
 
+/**
+ * Most content sent to the model in one prompt (~12k tokens)
+ */
+const MAX_CONTENT_LENGTH = 50000;
+
+/**
+ * Keyword lists a search was started with, or the built-in ones
+ * @param {Object} [options] - Search options carrying ruleSet ({version, rules})
+ * @returns {Object<string, string[]>}
+ */
+function getRules(options = {}) {
+  return (options.ruleSet && options.ruleSet.rules) || DEFAULT_RULES;
+}
+
+/**
+ * Whether a sender is one of our own mailboxes (the buying side of a negotiation)
+ * @param {string} from - From header
+ * @param {string} account - Account the message was found in
+ * @param {Object} [rules] - Classification rules (default: built-in)
+ * @returns {boolean}
+ */
+function isInternalSender(from, account, rules = DEFAULT_RULES) {
+  const fromLower = (from || '').toLowerCase();
+  return rules.internal_email_domains.some(domain => fromLower.includes(domain.toLowerCase())) ||
+    Boolean(account && account.includes('@') && fromLower.includes(account.toLowerCase()));
+}
+
 /**
  * Extract the actual webmaster contact from email content
  * Looks for non-internal email addresses in the email body (from reply chains)
  * @param {string} from - Original sender
  * @param {string} body - Email body
+ * @param {Object} [rules] - Classification rules (default: built-in)
  * @returns {string} The webmaster contact email or original from
  */
-function extractWebmasterContact(from, body) {
+function extractWebmasterContact(from, body, rules = DEFAULT_RULES) {
   // If the sender is not internal, return as-is
   const fromLower = from.toLowerCase();
-  const isInternalSender = INTERNAL_EMAIL_DOMAINS.some(domain =>
+  const isInternalSender = rules.internal_email_domains.some(domain =>
     fromLower.includes(domain.toLowerCase())
   );
 
@@ -55,7 +87,7 @@ function extractWebmasterContact(from, body) {
       const contactLower = contact.toLowerCase();
 
       // Skip internal emails
-      const isInternal = INTERNAL_EMAIL_DOMAINS.some(domain =>
+      const isInternal = rules.internal_email_domains.some(domain =>
         contactLower.includes(domain.toLowerCase())
       );
 
@@ -76,108 +108,14 @@ function extractWebmasterContact(from, body) {
 }
 
 /**
- * Keywords that indicate an email is an invoice/receipt (lowest priority)
- */
-const INVOICE_KEYWORDS = [
-  'invoice inv-', 'receipt', 'payment confirmation', 'order confirmation',
-  'payment received', 'billing statement', 'order #', 'invoice #',
-  'receipt #', 'payment #', 'order details', 'inv-'
-];
-
-/**
- * Keywords that indicate a negotiated/confirmed price (HIGHEST priority)
- * These indicate the FINAL agreed price, not just initial quotes
- */
-const NEGOTIATION_CONFIRMATION_KEYWORDS = [
-  'price agreed', 'agreed price', 'final price', 'we agree', 'i agree',
-  'deal confirmed', 'deal done', 'okay for', 'ok for', 'works for me',
-  'sounds good', 'accepted', 'confirmed', 'let\'s proceed', 'go ahead',
-  'send the article', 'send content', 'send the content', 'waiting for article',
-  'waiting for content', 'send me the article', 'please share the article',
-  'share the content', 'will publish', 'can publish', 'ready to publish'
-];
-
-/**
- * Known reseller/agency domains and names (deprioritize these)
- */
-const RESELLER_INDICATORS = [
-  // Known agencies
-  'snack-media', 'snack media', 'imperium-comms', 'imperium comms',
-  'links@snack', 'j.clifford@imperium', 'messaging-service@post.xero',
-  'mashable partners', 'mashablepartners', 'info@mashablepartners',
-  'redhat media', 'redhatmedia', 'mashum@redhatmedia',
-  // Bulk media aggregators (send Google Sheets with many sites)
-  'entrepreneur media', 'entrepreneurmedia', 'entrepreneuredition',
-  'info@entrepreneuredition', 'elena vladimirovna', 'elenavladimirovna',
-  'nogentech', 'info@nogentech', 'nogentech media', 'nogentech.org',
-  'dailybanner1@gmail', 'daily banner', 'dailybanner',
-  'gposting.com', 'support@gposting', 'gposting',
-  'rabbiitfirm', 'admin@rabbiitfirm', 'rabbi it firm',
-  // Link building resellers
-  'bloggeroutreach.io', 'bloggeroutreach.com', 'ejaz@bloggeroutreach',
-  'bazoom', 'app@mg.bazoom',
-  // Resellers who send price lists for sites they don't own
-  'mamacasinos@gmail.com', 'mamacasinos', 'mama casinos',
-  // Bulk price list resellers (they send Google Sheets with many sites)
-  'markhombarg@gmail.com', 'frankheepsy', 'benjaminrutschle', 'benjamin.marketingoutreach',
-  'lancethompson', 'gabrielgoldenberg', 'lunahazel', 'jorjsmith', 'dylankohlstadt',
-  'lisamoni', 'bloggerslisamoni', 'randyorten', 'harrywin', 'jaxonmercer',
-  'alicemarketer', 'graceanna', 'ivanjhon', 'arabelajewel', 'samuelmax',
-  'lillyrose', 'wyattmoree', 'kateflower', 'freyamolly', 'norahjasmine',
-  'danielmarketer', 'danielmatthew', 'jamesvince', 'lecabrey', 'kitroberseo',
-  // Common reseller email patterns (be careful - some webmasters use these)
-  'linkbuilding@', 'link-building@', 'seoagency', 'seo-agency',
-  '.outreach@gmail', '.seo@gmail', 'marketingoutreach@',
-  // Payment processors (invoices)
-  'service@paypal.com'
-];
-
-/**
- * Keywords that indicate an email contains a price list (highest priority)
+ * First entry of a rule list found in the text (entries are matched case-insensitively)
+ * @param {string[]} entries - Rule list entries
+ * @param {string} text - Lowercased text to search
+ * @returns {string|null} Matching entry or null
  */
-const PRICE_LIST_KEYWORDS = [
-  'full media list', 'here are all our sites', 'sites where we accept',
-  'below is our full', 'our sites', 'our websites', 'price list',
-  'our pricing', 'per link', 'general post', 'casino/forex', 'casino price',
-  'here are our', 'all our sites', 'media list'
-];
-
-/**
- * Outbound inquiry subject patterns - emails we send asking for prices
- */
-const OUTBOUND_INQUIRY_PATTERNS = [
-  'guest post', 'sponsored post', 'inquiry', 'collaborate', 'partnership',
-  'guest posting', 'link insertion', 'sponsored content', 'paid post',
-  'contribute', 'content opportunity', 'backlink', 'article placement',
-  'order for', 'order on', 'placement on', 'post on', 'article on'
-];
-
-/**
- * Patterns in email BODY that indicate a webmaster responding to an inquiry
- * (even if the subject doesn't have "Re:")
- */
-const RESPONSE_BODY_PATTERNS = [
-  // Direct response indicators
-  'thank you for reaching out', 'thanks for your interest', 'thanks for contacting',
-  'in response to your', 'regarding your inquiry', 'following up on your',
-  'as per your request', 'as requested', 'here are our rates',
-  // Pricing response indicators
-  'our pricing', 'our rates', 'our prices', 'the price is', 'we charge',
-  'pricing for guest', 'cost for guest', 'rate for guest', 'price for sponsored',
-  'per article', 'per post', 'for one article', 'for one post',
-  // Quote/offer patterns
-  'please find', 'attached is', 'below are', 'here is our', 'i can offer',
-  'we can offer', 'happy to offer', 'we would charge', 'we accept'
-];
-
-/**
- * Subject line patterns that indicate a direct pricing response (without "Re:")
- */
-const DIRECT_PRICING_SUBJECTS = [
-  'pricing for', 'rates for', 'price for', 'quote for', 'offer for',
-  'guest post opportunity', 'sponsorship opportunity', 'advertising rates',
-  'media kit', 'rate card', 'pricing inquiry', 'our rates'
-];
+function findRuleMatch(entries, text) {
+  return entries.find(entry => text.includes(entry.toLowerCase())) ?? null;
+}
 
 /**
  * Calculates a priority score for an email (higher = better source)
@@ -190,30 +128,35 @@ const DIRECT_PRICING_SUBJECTS = [
  * @param {string} subject - Email subject
  * @param {string} body - Email body text
  * @param {string} targetDomain - The domain we're searching for
- * @returns {number} Priority score (0-100)
+ * @param {Object} [rules] - Classification rules (default: built-in)
+ * @param {{sender: string, points: number}|null} [reputation] - The sender's learned reputation (see sender-reputation.js)
+ * @returns {{score: number, breakdown: Array<{rule: string, points: number, match?: string}>}}
+ *   Priority score (0-100) and every rule that added or took away points, in the order applied
  */
-function calculateEmailPriority(from, subject, body, targetDomain) {
+function calculateEmailPriority(from, subject, body, targetDomain, rules = DEFAULT_RULES, reputation = null) {
   const combinedText = `${subject} ${body}`.toLowerCase();
   const subjectLower = subject.toLowerCase();
   const fromLower = from.toLowerCase();
-  let score = 30; // Lower base score - earn points by being a reply to our outreach
+  const breakdown = [];
+  const apply = (rule, points, match = null) => {
+    breakdown.push(match === null ? { rule, points } : { rule, points, match });
+  };
+  apply('base', 30); // Lower base score - earn points by being a reply to our outreach
 
   // Check if this is from our internal team
-  const isOutbound = INTERNAL_EMAIL_DOMAINS.some(domain =>
-    fromLower.includes(domain.toLowerCase())
-  );
+  const internalMatch = findRuleMatch(rules.internal_email_domains, fromLower);
+  const isOutbound = internalMatch !== null;
 
   // DEPRIORITIZE: Outbound emails (from our internal team)
   if (isOutbound) {
-    score -= 50; // Strong penalty - we want webmaster replies, not our outreach
+    apply('outbound', -50, internalMatch); // Strong penalty - we want webmaster replies, not our outreach
   }
 
   // CRITICAL: Is this a REPLY to our outreach? (indicates webmaster, not reseller)
   // Pattern: "Re: Guest post on domain.com" from non-internal sender
   const isReply = subjectLower.startsWith('re:') || subjectLower.startsWith('re ');
-  const isInquiryReply = OUTBOUND_INQUIRY_PATTERNS.some(pattern =>
-    subjectLower.includes(pattern.toLowerCase())
-  );
+  const inquiryMatch = findRuleMatch(rules.outbound_inquiry_patterns, subjectLower);
+  const isInquiryReply = inquiryMatch !== null;
   const domainInSubject = subjectLower.includes(targetDomain.toLowerCase());
   const domainInBody = combinedText.includes(targetDomain.toLowerCase());
   const mentionsDomain = domainInSubject || domainInBody;
@@ -226,16 +169,16 @@ function calculateEmailPriority(from, subject, body, targetDomain) {
     !targetDomain.toLowerCase().includes(otherDomainInSubject[1]);
 
   if (isAboutDifferentDomain) {
-    score -= 40; // HEAVY penalty - this email is about a different domain!
+    apply('different_domain_in_subject', -40, otherDomainInSubject[1]); // HEAVY penalty - this email is about a different domain!
   }
 
   if (!isOutbound && isReply && isInquiryReply && domainInSubject) {
-    score += 50; // HUGE bonus - reply to OUR inquiry WITH target domain in subject = definitely webmaster!
+    apply('inquiry_reply_naming_domain', 50, inquiryMatch); // HUGE bonus - reply to OUR inquiry WITH target domain in subject = definitely webmaster!
   } else if (!isOutbound && isReply && isInquiryReply && !isAboutDifferentDomain) {
-    score += 40; // Good bonus - reply to our inquiry, not about a different domain
+    apply('inquiry_reply', 40, inquiryMatch); // Good bonus - reply to our inquiry, not about a different domain
   } else if (!isOutbound && !isReply) {
     // Not a reply = they initiated contact = likely reseller/spam
-    score -= 15; // Penalty for unsolicited contact
+    apply('unsolicited', -15); // Penalty for unsolicited contact
   }
 
   // HIGH PRIORITY: Body contains response/pricing patterns (webmaster responding without "Re:")
@@ -244,28 +187,22 @@ function calculateEmailPriority(from, subject, body, targetDomain) {
     const bodyLower = body.toLowerCase();
 
     // Check for direct pricing subject patterns (without "Re:")
-    const hasDirectPricingSubject = DIRECT_PRICING_SUBJECTS.some(pattern =>
-      subjectLower.includes(pattern.toLowerCase())
-    );
-    if (hasDirectPricingSubject && mentionsDomain) {
-      score += 25; // Direct pricing email for this domain
+    const directPricingMatch = findRuleMatch(rules.direct_pricing_subjects, subjectLower);
+    if (directPricingMatch !== null && mentionsDomain) {
+      apply('direct_pricing_subject', 25, directPricingMatch); // Direct pricing email for this domain
     }
 
     // Check for response body patterns that indicate replying to inquiry
-    const hasResponsePattern = RESPONSE_BODY_PATTERNS.some(pattern =>
-      bodyLower.includes(pattern.toLowerCase())
-    );
-    if (hasResponsePattern && mentionsDomain) {
-      score += 20; // Body suggests this is a response to our inquiry
+    const responseMatch = findRuleMatch(rules.response_body_patterns, bodyLower);
+    if (responseMatch !== null && mentionsDomain) {
+      apply('response_body', 20, responseMatch); // Body suggests this is a response to our inquiry
     }
 
     // HIGHEST PRIORITY: Negotiation confirmation keywords
     // These indicate the FINAL agreed price (after negotiation), not initial quotes
-    const hasNegotiationConfirmation = NEGOTIATION_CONFIRMATION_KEYWORDS.some(pattern =>
-      bodyLower.includes(pattern.toLowerCase())
-    );
-    if (hasNegotiationConfirmation) {
-      score += 25; // Strong bonus - this email likely contains the final agreed price
+    const confirmationMatch = findRuleMatch(rules.negotiation_confirmation_keywords, bodyLower);
+    if (confirmationMatch !== null) {
+      apply('negotiation_confirmation', 25, confirmationMatch); // Strong bonus - this email likely contains the final agreed price
     }
   }
 
@@ -285,55 +222,50 @@ function calculateEmailPriority(from, subject, body, targetDomain) {
 
   // Check for abbreviated domain match (e.g., "daveschererpwi@gmail.com" for "pwinsider.com")
   // Try multiple lengths: full domain base, then progressively shorter (minimum 3 chars)
-  let hasAbbreviatedMatch = false;
+  let abbreviatedMatch = null;
   if (!isOutbound && targetDomainBase.length >= 3) {
-    // Check full domain base first (e.g., "pwinsider")
-    if (senderUsername.includes(targetDomainBase)) {
-      hasAbbreviatedMatch = true;
-    } else {
-      // Try progressively shorter prefixes (pwinside, pwinsi, pwins, pwin, pwi)
-      for (let len = targetDomainBase.length - 1; len >= 3; len--) {
-        const abbrev = targetDomainBase.substring(0, len);
-        if (senderUsername.includes(abbrev)) {
-          hasAbbreviatedMatch = true;
-          break;
-        }
+    // Check full domain base first (e.g., "pwinsider"), then progressively shorter prefixes (pwinside, pwinsi, pwins, pwin, pwi)
+    for (let len = targetDomainBase.length; len >= 3; len--) {
+      const abbrev = targetDomainBase.substring(0, len);
+      if (senderUsername.includes(abbrev)) {
+        abbreviatedMatch = abbrev;
+        break;
       }
     }
   }
 
   if (senderDomainMatch) {
-    score += 70; // STRONGEST match - email FROM the target domain = definitely the webmaster!
-  } else if (hasAbbreviatedMatch) {
-    score += 30; // Partial match - likely webmaster with personal email
+    apply('sender_is_target_domain', 70, senderEmail); // STRONGEST match - email FROM the target domain = definitely the webmaster!
+  } else if (abbreviatedMatch !== null) {
+    apply('sender_abbreviates_domain', 30, abbreviatedMatch); // Partial match - likely webmaster with personal email
   }
 
   // HIGH PRIORITY: Contains price list indicators
-  const hasPriceList = PRICE_LIST_KEYWORDS.some(keyword =>
-    combinedText.includes(keyword.toLowerCase())
-  );
-  if (hasPriceList) {
-    score += 20;
+  const priceListMatch = findRuleMatch(rules.price_list_keywords, combinedText);
+  if (priceListMatch !== null) {
+    apply('price_list', 20, priceListMatch);
   }
 
   // DEPRIORITIZE: Known resellers/agencies (strong penalty!)
-  const isReseller = RESELLER_INDICATORS.some(indicator =>
-    fromLower.includes(indicator.toLowerCase()) ||
-    combinedText.includes(indicator.toLowerCase())
-  );
-  if (isReseller) {
-    score -= 60; // Heavy penalty - resellers should NOT be preferred over webmasters
+  const resellerMatch = findRuleMatch(rules.reseller_indicators, fromLower) ??
+    findRuleMatch(rules.reseller_indicators, combinedText);
+  if (resellerMatch !== null) {
+    apply('reseller', -60, resellerMatch); // Heavy penalty - resellers should NOT be preferred over webmasters
   }
 
   // LOWEST PRIORITY: Invoice emails
-  const isInvoice = INVOICE_KEYWORDS.some(keyword =>
-    combinedText.includes(keyword.toLowerCase())
-  );
-  if (isInvoice) {
-    score -= 30;
+  const invoiceMatch = findRuleMatch(rules.invoice_keywords, combinedText);
+  if (invoiceMatch !== null) {
+    apply('invoice', -30, invoiceMatch);
+  }
+
+  // LEARNED: Reviewers marked this sender (or its domain) as a reseller, the webmaster or wrong before
+  if (!isOutbound && reputation) {
+    apply('sender_reputation', reputation.points, reputation.sender);
   }
 
-  return score;
+  const score = breakdown.reduce((total, item) => total + item.points, 0);
+  return { score, breakdown };
 }
 
 /**
@@ -342,14 +274,16 @@ function calculateEmailPriority(from, subject, body, targetDomain) {
  * @param {string} subject - Email subject
  * @param {string} body - Email body text
  * @param {string} targetDomain - Target domain
- * @returns {object} Classification with type and score
+ * @param {Object} [rules] - Classification rules (default: built-in)
+ * @param {Object|null} [reputation] - The sender's learned reputation
+ * @returns {object} Classification with type, score and the score's breakdown
  */
-function classifyEmail(from, subject, body, targetDomain) {
-  const score = calculateEmailPriority(from, subject, body, targetDomain);
+function classifyEmail(from, subject, body, targetDomain, rules = DEFAULT_RULES, reputation = null) {
+  const { score, breakdown } = calculateEmailPriority(from, subject, body, targetDomain, rules, reputation);
 
   // Check if outbound (from internal team)
   const fromLower = from.toLowerCase();
-  const isOutbound = INTERNAL_EMAIL_DOMAINS.some(domain =>
+  const isOutbound = rules.internal_email_domains.some(domain =>
     fromLower.includes(domain.toLowerCase())
   );
 
@@ -361,7 +295,7 @@ function classifyEmail(from, subject, body, targetDomain) {
   else if (score >= 10) type = 'reseller';
   else type = 'invoice';
 
-  return { type, score };
+  return { type, score, breakdown };
 }
 
 /**
@@ -371,9 +305,12 @@ function classifyEmail(from, subject, body, targetDomain) {
  * @param {Function} onResult - Callback when a result is found: (result) => void
  * @param {Function} onProgress - Callback for progress updates: (searched, total) => void
  * @param {Function} onComplete - Callback when search is complete: () => void
+ * @param {Object} [options] - Passed to searchDomain (e.g. { userId })
  */
-async function searchDomains(domains, onResult, onProgress, onComplete) {
-  const accounts = config.emailAccounts;
+async function searchDomains(domains, onResult, onProgress, onComplete, options = {}) {
+  const accounts = getSearchAccounts();
+  // Every domain of the search is scored with the same rules
+  options = { ...options, ruleSet: options.ruleSet || await loadRuleSet() };
   let searched = 0;
   const total = domains.length;
 
@@ -381,8 +318,8 @@ async function searchDomains(domains, onResult, onProgress, onComplete) {
   // (Account fetching within each domain is still parallel for speed)
   for (const domain of domains) {
     try {
-      const result = await searchDomain(domain, accounts);
-      if (result) {
+      const result = await searchDomain(domain, accounts, options);
+      if (hasPricing(result)) {
         onResult(result);
       }
     } catch (error) {
@@ -401,9 +338,17 @@ async function searchDomains(domains, onResult, onProgress, onComplete) {
  * Prioritizes newest emails first across ALL accounts to get the latest prices
  * @param {string} domain - Domain to search for
  * @param {string[]} accounts - Email accounts to search
- * @returns {Promise<Object|null>} Result object or null if not found
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Re-extract with the LLM instead of using cached results
+ * @param {number} [options.taskId] - Task LLM token usage is attributed to
+ * @param {number} [options.userId] - User LLM token usage is attributed to
+ * @param {Object} [options.ruleSet] - Classification rules ({version, rules}); the current ones are loaded if omitted
+ * @param {Function} [options.checkBudget] - Called before each LLM call; a task whose budget is used up throws
+ *   an error with budgetExceeded set, which stops the search
+ * @returns {Promise<Object|null>} Result object; without prices, only the domain and its scored emails
+ *   (candidate_emails) when no price was found; null if no email mentions the domain
  */
-async function searchDomain(domain, accounts) {
+async function searchDomain(domain, accounts, options = {}) {
   // Clean domain (remove protocol, www, trailing slashes)
   const cleanDomain = domain
     .replace(/^https?:\/\//, '')
@@ -414,6 +359,11 @@ async function searchDomain(domain, accounts) {
 
   if (!cleanDomain) return null;
 
+  if (!options.ruleSet) {
+    options = { ...options, ruleSet: await loadRuleSet() };
+  }
+  const rules = getRules(options);
+
   console.log(`Searching for: ${cleanDomain}`);
 
   // Collect all emails from ALL accounts in PARALLEL (faster!)
@@ -423,6 +373,10 @@ async function searchDomain(domain, accounts) {
   const accountResults = await Promise.all(
     accounts.map(async (account) => {
       try {
+        // Synced Gmail accounts are searched in the local index, without the API's result cap
+        const indexed = await searchIndexedEmails(account, cleanDomain);
+        if (indexed) return { account, emails: indexed, error: null };
+
         const searchQuery = `${cleanDomain}`;
         const emails = await searchEmails(account, searchQuery);
         return { account, emails, error: null };
@@ -453,11 +407,16 @@ async function searchDomain(domain, accounts) {
     for (const emailItem of recentEmails) {
       allEmails.push({
         id: emailItem.id,
+        threadId: emailItem.threadId || null,
         account: account,
         // Gmail returns in reverse chronological order, so we use index as proxy for recency
         // Lower index = newer email
         accountOrder: accounts.indexOf(account),
-        emailOrder: recentEmails.indexOf(emailItem)
+        emailOrder: recentEmails.indexOf(emailItem),
+        // Messages from the local index come with their content
+        prefetched: emailItem.email || null,
+        // What happened to the email: not_read, price_found, no_price, in_read_thread or error
+        outcome: 'not_read'
       });
     }
   }
@@ -466,26 +425,47 @@ async function searchDomain(domain, accounts) {
     return null;
   }
 
-  // First pass: fetch basic email info and classify them with priority scores
+  // First pass: fetch basic email info, then classify them with priority scores
   console.log(`Classifying ${allEmails.length} emails for ${cleanDomain}...`);
 
+  const markUnreadable = (emailInfo) => {
+    emailInfo.classification = 'unknown';
+    emailInfo.priorityScore = 0;
+    emailInfo.scoreBreakdown = [];
+    emailInfo.emailDate = new Date(0);
+    emailInfo.outcome = 'error';
+  };
+
   for (const emailInfo of allEmails) {
     try {
-      const emailData = await getEmailWithAttachments(emailInfo.account, emailInfo.id);
+      const emailData = emailInfo.prefetched || await getEmailWithAttachments(emailInfo.account, emailInfo.id);
       emailInfo.subject = emailData.subject;
       emailInfo.body = emailData.body || '';
       emailInfo.from = emailData.from;
       emailInfo.emailData = emailData;
       // Parse email date for proper sorting across accounts
       emailInfo.emailDate = emailData.date ? new Date(emailData.date) : new Date(0);
+    } catch (error) {
+      markUnreadable(emailInfo);
+    }
+  }
+
+  // Reviewer verdicts on these senders, looked up once for all of them
+  const reputations = await loadSenderReputations(
+    allEmails.filter(emailInfo => emailInfo.emailData).map(emailInfo => emailInfo.from)
+  );
+
+  for (const emailInfo of allEmails) {
+    if (!emailInfo.emailData) continue;
+    try {
+      const { from, subject, body } = emailInfo.emailData;
       // Pass target domain for smarter classification
-      const classification = classifyEmail(emailData.from, emailData.subject, emailData.body, cleanDomain);
+      const classification = classifyEmail(from, subject, body, cleanDomain, rules, getReputationSignal(from, reputations));
       emailInfo.classification = classification.type;
       emailInfo.priorityScore = classification.score;
+      emailInfo.scoreBreakdown = classification.breakdown;
     } catch (error) {
-      emailInfo.classification = 'unknown';
-      emailInfo.priorityScore = 0;
-      emailInfo.emailDate = new Date(0);
+      markUnreadable(emailInfo);
     }
   }
 
@@ -525,6 +505,9 @@ async function searchDomain(domain, accounts) {
   const foundPrices = [];
   const maxSourcesPerTier = 5; // Process up to 5 sources per priority tier
 
+  // Threads already read as a whole - their other messages are skipped
+  const processedThreads = new Set();
+
   // Group emails by priority tier
   const tiers = {
     'direct-webmaster': allEmails.filter(e => e.priorityScore >= 70),
@@ -549,28 +532,56 @@ async function searchDomain(domain, accounts) {
       // Skip if this sender already gave us a price (but try other emails from same sender if no price yet)
       if (sendersWithPrices.has(senderKey)) continue;
 
+      const threadKey = emailInfo.threadId ? `${emailInfo.account}:${emailInfo.threadId}` : null;
+      if (threadKey && processedThreads.has(threadKey)) {
+        emailInfo.outcome = 'in_read_thread';
+        continue;
+      }
+
       emailsTriedInTier++;
 
       try {
-        const result = await processEmailForDomain(
-          emailInfo.account,
-          emailInfo.id,
-          cleanDomain,
-          emailInfo.emailData
-        );
+        // A reply thread is read as one negotiation, so the agreed price wins over the first quote
+        let result = null;
+        const thread = threadKey ? await fetchThread(emailInfo.account, emailInfo.threadId) : null;
+        if (thread && thread.length > 1) {
+          processedThreads.add(threadKey);
+          result = await processThreadForDomain(emailInfo.account, thread, cleanDomain, options);
+        }
+
+        // Single messages, and threads without a negotiated price for the domain
+        if (!result) {
+          result = await processEmailForDomain(
+            emailInfo.account,
+            emailInfo.id,
+            cleanDomain,
+            emailInfo.emailData,
+            options
+          );
+        }
         if (result) {
           console.log(`  → Found price in [${emailInfo.classification}:${emailInfo.priorityScore}] from: ${emailInfo.from}`);
-          foundPrices.push({
+          emailInfo.outcome = 'price_found';
+          emailInfo.foundPrice = {
             ...result,
             priorityScore: emailInfo.priorityScore,
             classification: emailInfo.classification,
-            emailDate: emailInfo.emailDate
-          });
+            score_breakdown: emailInfo.scoreBreakdown,
+            rule_set_version: options.ruleSet.version,
+            // A thread's price dates from the message that settled it
+            emailDate: result.source_email_date ? new Date(result.source_email_date) : emailInfo.emailDate
+          };
+          foundPrices.push(emailInfo.foundPrice);
           sendersWithPrices.add(senderKey); // Mark this sender as having given us a price
           sourcesProcessed++;
+        } else {
+          emailInfo.outcome = 'no_price';
         }
       } catch (error) {
+        // Out of budget: the domain isn't finished, so don't settle for what was found so far
+        if (error.budgetExceeded) throw error;
         console.error(`Error processing email ${emailInfo.id}:`, error.message);
+        emailInfo.outcome = 'error';
       }
     }
 
@@ -582,7 +593,8 @@ async function searchDomain(domain, accounts) {
   }
 
   if (foundPrices.length === 0) {
-    return null;
+    // No price, but reviewers can still see why each email was passed over
+    return { domain: cleanDomain, candidate_emails: describeCandidateEmails(allEmails, processedThreads, null) };
   }
 
   // Pick the best price based on PRIORITY SCORE first (webmaster > reseller), then recency as tiebreaker
@@ -603,10 +615,85 @@ async function searchDomain(domain, accounts) {
   console.log(`✓ Selected best price from ${foundPrices.length} source(s): [${bestResult.classification}:${bestResult.priorityScore}] ${bestResult.source_email}`);
   console.log(`Found: ${cleanDomain} - GP: ${bestResult.guest_post_price} ${bestResult.currency}${bestResult.casino_price ? ` | Casino: ${bestResult.casino_price} ${bestResult.currency}` : ''}`);
 
+  // Keep every candidate so reviewers can see what was passed over
+  const reviewReasons = getReviewReasons(foundPrices);
+  if (reviewReasons.length > 0) {
+    console.log(`  ⚠ Flagged for review: ${reviewReasons.join(', ')}`);
+  }
+  bestResult.candidates = foundPrices.map((candidate, index) => ({ ...candidate, selected: index === 0 }));
+  bestResult.review_reasons = reviewReasons;
+  bestResult.candidate_emails = describeCandidateEmails(allEmails, processedThreads, bestResult);
 
   return bestResult;
 }
 
+/**
+ * Every email a search scored, in the order it was ranked, with why it got its score
+ * @param {Array} allEmails - Scored emails, ranked
+ * @param {Set<string>} processedThreads - "account:threadId" of the threads that were read
+ * @param {Object|null} bestResult - The price that was picked, if any
+ * @returns {Array}
+ */
+function describeCandidateEmails(allEmails, processedThreads, bestResult) {
+  return allEmails.map((emailInfo, index) => ({
+    rank: index + 1,
+    account: emailInfo.account,
+    message_id: emailInfo.id,
+    thread_id: emailInfo.threadId,
+    from: emailInfo.from || null,
+    subject: emailInfo.subject || null,
+    email_date: emailInfo.emailDate && emailInfo.emailDate.getTime() > 0 ? emailInfo.emailDate.toISOString() : null,
+    classification: emailInfo.classification,
+    priority_score: emailInfo.priorityScore,
+    score_breakdown: emailInfo.scoreBreakdown,
+    outcome: emailInfo.outcome === 'not_read' && processedThreads.has(`${emailInfo.account}:${emailInfo.threadId}`)
+      ? 'in_read_thread'
+      : emailInfo.outcome,
+    selected: Boolean(bestResult) && emailInfo.foundPrice === bestResult
+  }));
+}
+
+/**
+ * Whether a search result found any price - results without one only carry the scored emails
+ * @param {Object|null} result - What searchDomain returned
+ * @returns {boolean}
+ */
+function hasPricing(result) {
+  return Boolean(result && PRICE_FIELDS.some(field => result[field]));
+}
+
+/**
+ * Works out why a domain's extraction should be checked by a person
+ * @param {Array} foundPrices - Candidates sorted best first
+ * @returns {string[]} Reasons: 'low_confidence', 'flagged_by_extractor', 'conflicting_prices'
+ */
+function getReviewReasons(foundPrices) {
+  const best = foundPrices[0];
+  const reasons = [];
+
+  if (best.confidence === 'low') {
+    reasons.push('low_confidence');
+  }
+  if (best.needs_review) {
+    reasons.push('flagged_by_extractor');
+  }
+
+  // Candidates quoting different amounts for the same price type disagree
+  const disagrees = ['guest_post_price', 'casino_price'].some(field => {
+    const quotes = new Set(
+      foundPrices
+        .filter(candidate => candidate[field])
+        .map(candidate => `${candidate[field]} ${candidate.currency || 'USD'}`)
+    );
+    return quotes.size > 1;
+  });
+  if (disagrees) {
+    reasons.push('conflicting_prices');
+  }
+
+  return reasons;
+}
+
 /**
  * Extract pricing from email body using regex patterns (no AI needed)
  * Handles common patterns like "Budget: $X" or "Standard content: X USD"
@@ -705,22 +792,244 @@ function extractPricingFromBodyRegex(body, targetDomain) {
   };
 }
 
+/**
+ * Builds a regex matching a price as it may be written in an email
+ * e.g. 1500 matches "1500", "1,500", "1.500" and "1500.00"
+ * @param {number} price - Extracted price
+ * @returns {RegExp} Global regex for the price
+ */
+function buildPricePattern(price) {
+  const whole = String(Math.round(price));
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, '[.,\\s]?');
+  return new RegExp(`(?<!\\d)(?<!\\d[.,])${grouped}(?:[.,]\\d{1,2})?(?![\\d])`, 'g');
+}
+
+/**
+ * Cuts a short excerpt of the source text around the extracted price
+ * Prefers the occurrence closest to a mention of the target domain
+ * @param {string} content - Text the price was extracted from
+ * @param {number} price - Extracted price
+ * @param {string} targetDomain - Domain the price belongs to
+ * @returns {string|null} Excerpt or null if the price doesn't appear verbatim
+ */
+function buildEvidenceExcerpt(content, price, targetDomain) {
+  if (!content || !price) return null;
+
+  const priceMatches = [...content.matchAll(buildPricePattern(price))].map(m => m.index);
+  if (priceMatches.length === 0) return null;
+
+  const contentLower = content.toLowerCase();
+  const domainLower = targetDomain.toLowerCase();
+  const domainMatches = [];
+  for (let i = contentLower.indexOf(domainLower); i !== -1; i = contentLower.indexOf(domainLower, i + 1)) {
+    domainMatches.push(i);
+  }
+
+  const distanceToDomain = (index) => domainMatches.length === 0
+    ? 0
+    : Math.min(...domainMatches.map(d => Math.abs(d - index)));
+  const matchIndex = priceMatches.reduce((best, index) =>
+    distanceToDomain(index) < distanceToDomain(best) ? index : best
+  );
+
+  const radius = 200;
+  const start = Math.max(0, matchIndex - radius);
+  const end = Math.min(content.length, matchIndex + radius);
+  const excerpt = content.substring(start, end).replace(/\s+/g, ' ').trim();
+
+  return `${start > 0 ? '…' : ''}${excerpt}${end < content.length ? '…' : ''}`;
+}
+
+/**
+ * Collects where a price came from so it can be traced back to the message
+ * @param {Object} emailData - Email the price was extracted from
+ * @param {string} method - Extraction method: 'regex', 'sheet', 'ai' or 'thread'
+ * @param {string|null} excerpt - Text around the matched price
+ * @returns {Object} Evidence fields merged into the pricing result
+ */
+function buildEvidence(emailData, method, excerpt) {
+  const emailDate = emailData.date ? new Date(emailData.date) : null;
+  return {
+    source_message_id: emailData.id || null,
+    source_thread_id: emailData.threadId || null,
+    source_email_date: emailDate && !isNaN(emailDate) ? emailDate.toISOString() : null,
+    extraction_method: method,
+    evidence_excerpt: excerpt
+  };
+}
+
+/**
+ * Cuts content down to MAX_CONTENT_LENGTH, keeping the part that mentions the target domain
+ * @param {string} content - Prompt content
+ * @param {string} targetDomain - Domain to keep in view
+ * @returns {string}
+ */
+function truncateAroundDomain(content, targetDomain) {
+  if (content.length <= MAX_CONTENT_LENGTH) return content;
+
+  const domainIndex = content.toLowerCase().indexOf(targetDomain.toLowerCase());
+  const start = domainIndex > MAX_CONTENT_LENGTH / 2 ? Math.max(0, domainIndex - MAX_CONTENT_LENGTH / 2) : 0;
+  console.log(`  Truncated content from ${content.length} to ${MAX_CONTENT_LENGTH} chars`);
+  return content.substring(start, start + MAX_CONTENT_LENGTH);
+}
+
+/**
+ * Fetches every message of a thread, from the local mail index when it has the thread
+ * @param {string} account - Account label
+ * @param {string} threadId - Thread ID
+ * @returns {Promise<Array<Object>|null>} Emails oldest first, or null if the thread can't be fetched
+ */
+async function fetchThread(account, threadId) {
+  try {
+    return (await getIndexedThread(account, threadId)) || await getThread(account, threadId);
+  } catch (error) {
+    console.error(`Error fetching thread ${threadId} from ${account}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Extracts the negotiated outcome for a domain from a whole thread
+ * Messages are numbered oldest first and labelled with the side that sent them
+ * @param {string} account - Account the thread belongs to
+ * @param {Array<Object>} messages - Thread messages (from getThread)
+ * @param {string} targetDomain - Domain to find pricing for
+ * @param {Object} [options] - force, taskId, userId, ruleSet (as for processEmailForDomain)
+ * @returns {Promise<Object|null>} Pricing result with a negotiation timeline, or null
+ */
+async function processThreadForDomain(account, messages, targetDomain, options = {}) {
+  const rules = getRules(options);
+  const timeOf = email => new Date(email.date).getTime() || 0;
+  const thread = [...messages].sort((a, b) => timeOf(a) - timeOf(b));
+
+  let transcript = '';
+  for (const [index, email] of thread.entries()) {
+    const side = isInternalSender(email.from, account, rules) ? 'OUR TEAM (buyer)' : 'OTHER SIDE (publisher)';
+    // Replies quote the whole conversation again - every message is already in the transcript
+    const body = (email.body || '').split('\n').filter(line => !line.trim().startsWith('>')).join('\n').trim();
+
+    transcript += `=== Message ${index + 1} of ${thread.length} - sent by ${side} ===\n`;
+    transcript += `From: ${email.from}\nDate: ${email.date}\nSubject: ${email.subject}\n\n${body}\n`;
+
+    for (const attachment of email.attachments || []) {
+      try {
+        const text = await getAttachmentText(attachment);
+        if (text) transcript += `\n--- Attachment: ${attachment.filename} ---\n${text}\n`;
+      } catch (error) {
+        console.error(`Error parsing attachment:`, error.message);
+      }
+    }
+    transcript += '\n';
+  }
+
+  if (!transcript.toLowerCase().includes(targetDomain.toLowerCase())) {
+    return null;
+  }
+
+  console.log(`  Reading ${thread.length}-message thread ${thread[0].threadId} for ${targetDomain}`);
+  const negotiation = await extractNegotiationForDomain(truncateAroundDomain(transcript, targetDomain), targetDomain, {
+    messageId: `thread:${thread[0].threadId}`,
+    account,
+    force: options.force,
+    taskId: options.taskId,
+    userId: options.userId,
+    checkBudget: options.checkBudget
+  });
+
+  if (!negotiation || !PRICE_FIELDS.some(field => negotiation[field])) {
+    return null;
+  }
+
+  const messageAt = number => (Number.isInteger(number) && thread[number - 1]) || null;
+  const toIso = email => {
+    const date = email && email.date ? new Date(email.date) : null;
+    return date && !isNaN(date) ? date.toISOString() : null;
+  };
+
+  // Evidence points at the message that settled the price, or the latest one that named it
+  const pricedEvents = negotiation.events.filter(event => event.price && messageAt(event.message));
+  const outcomeMessage = messageAt(negotiation.agreed_message) ||
+    messageAt(pricedEvents.length > 0 ? pricedEvents[pricedEvents.length - 1].message : null) ||
+    thread[thread.length - 1];
+  const publisherMessages = thread.filter(email => !isInternalSender(email.from, account, rules));
+  const firstQuote = negotiation.events.find(event => event.type === 'quote' && event.price);
+
+  return {
+    domain: targetDomain,
+    ...Object.fromEntries(PRICE_FIELDS.map(field => [field, negotiation[field]])),
+    casino_accepted: negotiation.casino_accepted || 'yes',
+    currency: negotiation.currency || 'USD',
+    source_email: publisherMessages.length > 0
+      ? publisherMessages[publisherMessages.length - 1].from
+      : extractWebmasterContact(thread[0].from, thread[0].body || '', rules),
+    subject: thread[0].subject,
+    account: account,
+    confidence: negotiation.confidence || 'medium',
+    needs_review: negotiation.needs_review || 0,
+    notes: negotiation.notes,
+    ...buildEvidence(
+      outcomeMessage,
+      'thread',
+      buildEvidenceExcerpt(outcomeMessage.body, negotiation.guest_post_price || negotiation.casino_price, targetDomain)
+    ),
+    negotiation: {
+      account,
+      thread_id: thread[0].threadId,
+      subject: thread[0].subject,
+      status: negotiation.status,
+      agreed_by: negotiation.agreed_by,
+      agreed_at: negotiation.status === 'agreed' ? toIso(messageAt(negotiation.agreed_message)) : null,
+      initial_price: firstQuote ? firstQuote.price : null,
+      final_price: negotiation.guest_post_price,
+      currency: negotiation.currency || 'USD',
+      message_count: thread.length,
+      events: negotiation.events.map(event => {
+        const email = messageAt(event.message);
+        return {
+          ...event,
+          message_id: email ? email.id : null,
+          from: email ? email.from : null,
+          date: toIso(email)
+        };
+      })
+    }
+  };
+}
+
+/**
+ * Text of an attachment - messages from the local mail index carry it already
+ * @param {Object} attachment - {filename, mimeType, data?, text?}
+ * @returns {Promise<string|null>}
+ */
+async function getAttachmentText(attachment) {
+  if (typeof attachment.text === 'string') return attachment.text;
+  const parsed = await parseAttachment(attachment);
+  return parsed ? parsed.text : null;
+}
+
 /**
  * Process a single email to extract pricing for a specific domain
  * @param {string} account - Email account
  * @param {string} emailId - Email ID
  * @param {string} targetDomain - Domain to find pricing for
  * @param {Object} [prefetchedData] - Pre-fetched email data (optional)
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Bypass the extraction cache
+ * @param {number} [options.taskId] - Task LLM token usage is attributed to
+ * @param {number} [options.userId] - User LLM token usage is attributed to
+ * @param {Object} [options.ruleSet] - Classification rules ({version, rules}); built-in ones if omitted
+ * @param {Function} [options.checkBudget] - Called before each LLM call (see searchDomain)
  * @returns {Promise<Object|null>} Pricing result or null
  */
-async function processEmailForDomain(account, emailId, targetDomain, prefetchedData = null) {
+async function processEmailForDomain(account, emailId, targetDomain, prefetchedData = null, options = {}) {
   const emailData = prefetchedData || await getEmailWithAttachments(account, emailId);
+  const rules = getRules(options);
 
   // Try regex extraction first (fast, no AI needed)
   const regexResult = extractPricingFromBodyRegex(emailData.body, targetDomain);
   if (regexResult && regexResult.guest_post_price) {
     console.log(`  → Using regex extraction for ${targetDomain}`);
-    const webmasterContact = extractWebmasterContact(emailData.from, emailData.body || '');
+    const webmasterContact = extractWebmasterContact(emailData.from, emailData.body || '', rules);
     return {
       domain: targetDomain,
       guest_post_price: regexResult.guest_post_price,
@@ -734,7 +1043,12 @@ async function processEmailForDomain(account, emailId, targetDomain, prefetchedD
       subject: emailData.subject,
       account: account,
       confidence: regexResult.confidence,
-      notes: regexResult.notes
+      notes: regexResult.notes,
+      ...buildEvidence(
+        emailData,
+        'regex',
+        buildEvidenceExcerpt(emailData.body, regexResult.guest_post_price, targetDomain)
+      )
     };
   }
 
@@ -743,19 +1057,21 @@ async function processEmailForDomain(account, emailId, targetDomain, prefetchedD
 
   // Parse attachments - try structured extraction first for Excel/CSV
   let structuredSheetData = null;
+  let structuredSheetFilename = null;
   if (emailData.attachments && emailData.attachments.length > 0) {
     for (const attachment of emailData.attachments) {
       try {
         const ext = attachment.filename.split('.').pop().toLowerCase();
 
-        // For Excel/CSV, try structured extraction first
-        if (['xlsx', 'xls', 'csv'].includes(ext)) {
+        // For Excel/CSV, try structured extraction first (indexed messages may only have the text)
+        if (['xlsx', 'xls', 'csv'].includes(ext) && attachment.data) {
           const buffer = Buffer.from(attachment.data, 'base64');
           const extracted = extractDomainPricingFromSheet(buffer, targetDomain, ext === 'csv' ? 'csv' : 'excel');
 
           if (extracted && (extracted.casino_price || extracted.general_price || extracted.guest_post_price)) {
             console.log(`  Found structured pricing in ${attachment.filename}:`, JSON.stringify(extracted));
             structuredSheetData = extracted;
+            structuredSheetFilename = attachment.filename;
             // Add structured data to content for AI context
             combinedContent += `\n\n--- STRUCTURED PRICING DATA FROM ${attachment.filename} ---\n`;
             combinedContent += `Domain: ${extracted.domain}\n`;
@@ -768,16 +1084,16 @@ async function processEmailForDomain(account, emailId, targetDomain, prefetchedD
             combinedContent += `Raw Data: ${JSON.stringify(extracted.raw_data)}\n`;
           } else {
             // Fall back to text parsing if structured extraction didn't find the domain
-            const parsed = await parseAttachment(attachment);
-            if (parsed && parsed.text) {
-              combinedContent += `\n\n--- Attachment: ${attachment.filename} ---\n${parsed.text}`;
+            const text = await getAttachmentText(attachment);
+            if (text) {
+              combinedContent += `\n\n--- Attachment: ${attachment.filename} ---\n${text}`;
             }
           }
         } else {
           // For other file types, use regular text parsing
-          const parsed = await parseAttachment(attachment);
-          if (parsed && parsed.text) {
-            combinedContent += `\n\n--- Attachment: ${attachment.filename} ---\n${parsed.text}`;
+          const text = await getAttachmentText(attachment);
+          if (text) {
+            combinedContent += `\n\n--- Attachment: ${attachment.filename} ---\n${text}`;
           }
         }
       } catch (error) {
@@ -813,7 +1129,7 @@ async function processEmailForDomain(account, emailId, targetDomain, prefetchedD
     const casinoPrice = structuredSheetData.casino_price || guestPostPrice; // Default casino to guest post if not specified
 
     // Extract actual webmaster contact from email body if sender is internal
-    const webmasterContact = extractWebmasterContact(emailData.from, emailData.body || '');
+    const webmasterContact = extractWebmasterContact(emailData.from, emailData.body || '', rules);
 
     return {
       domain: targetDomain,
@@ -828,28 +1144,28 @@ async function processEmailForDomain(account, emailId, targetDomain, prefetchedD
       subject: emailData.subject,
       account: account,
       confidence: 'high',
-      notes: `Extracted from sheet. Raw: ${JSON.stringify(structuredSheetData.raw_data)}`
+      notes: `Extracted from sheet. Raw: ${JSON.stringify(structuredSheetData.raw_data)}`,
+      ...buildEvidence(
+        emailData,
+        'sheet',
+        `${structuredSheetFilename}${structuredSheetData.sheet ? ` (${structuredSheetData.sheet})` : ''}: ` +
+          Object.entries(structuredSheetData.raw_data).map(([header, value]) => `${header}: ${value}`).join(' | ')
+      )
     };
   }
 
-  // Truncate content to prevent token limit errors (max ~50k chars ≈ ~12k tokens)
-  const maxContentLength = 50000;
-  if (combinedContent.length > maxContentLength) {
-    // Try to keep the part that mentions the target domain
-    const domainIndex = combinedContent.toLowerCase().indexOf(targetDomain.toLowerCase());
-    if (domainIndex > maxContentLength / 2) {
-      // Domain is in the second half, take content around it
-      const start = Math.max(0, domainIndex - maxContentLength / 2);
-      combinedContent = combinedContent.substring(start, start + maxContentLength);
-    } else {
-      // Domain is in the first half, just truncate from end
-      combinedContent = combinedContent.substring(0, maxContentLength);
-    }
-    console.log(`  Truncated content from ${combinedContent.length} to ${maxContentLength} chars`);
-  }
+  // Truncate content to prevent token limit errors
+  combinedContent = truncateAroundDomain(combinedContent, targetDomain);
 
   // Extract pricing specifically for the target domain using AI
-  const pricingData = await extractPricingForDomain(combinedContent, targetDomain);
+  const pricingData = await extractPricingForDomain(combinedContent, targetDomain, {
+    messageId: emailData.id || emailId,
+    account,
+    force: options.force,
+    taskId: options.taskId,
+    userId: options.userId,
+    checkBudget: options.checkBudget
+  });
 
   // Validate we got pricing data
   if (!pricingData) {
@@ -868,7 +1184,7 @@ async function processEmailForDomain(account, emailId, targetDomain, prefetchedD
   }
 
   // Extract actual webmaster contact from email body if sender is internal
-  const webmasterContact = extractWebmasterContact(emailData.from, emailData.body || '');
+  const webmasterContact = extractWebmasterContact(emailData.from, emailData.body || '', rules);
 
   return {
     domain: targetDomain,
@@ -883,11 +1199,25 @@ async function processEmailForDomain(account, emailId, targetDomain, prefetchedD
     subject: emailData.subject,
     account: account,
     confidence: pricingData.confidence || 'medium',
-    notes: pricingData.notes
+    needs_review: pricingData.needs_review || 0,
+    notes: pricingData.notes,
+    ...buildEvidence(
+      emailData,
+      'ai',
+      buildEvidenceExcerpt(
+        combinedContent,
+        pricingData.guest_post_price || pricingData.casino_price || pricingData.link_insertion_price ||
+          pricingData.sponsored_post_price || pricingData.homepage_link_price,
+        targetDomain
+      )
+    )
   };
 }
 
 module.exports = {
   searchDomains,
-  searchDomain
+  searchDomain,
+  hasPricing,
+  // Single-email pipeline, used by scripts/evaluate-extraction.js
+  processEmailForDomain
 };
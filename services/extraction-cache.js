@@ -0,0 +1,58 @@
+/**
+ * Extraction Cache
+ * Persists LLM extraction results keyed by (account, message id, target domain,
+ * prompt version, model) so repeated searches don't pay for identical prompts
+ *
+ * The cache is best-effort: it is skipped when the database isn't initialized
+ * (scripts, tests) and lookup/store failures never fail an extraction.
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+
+/**
+ * Hash of the exact content sent to the model
+ * Message IDs stay the same when a linked Google Sheet changes, so the hash
+ * makes sure a changed prompt is never answered from the cache
+ * @param {string} content - Prompt content
+ * @returns {string} sha256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Looks up a cached extraction
+ * @param {Object} entry - { account, messageId, domain, promptVersion, model, content }
+ * @returns {Promise<{result: Object|null}|null>} Cached result (which may itself be null), or null on a miss
+ */
+async function getCachedExtraction(entry) {
+  if (!db.isInitialized()) return null;
+
+  try {
+    return await db.getCachedExtraction({ ...entry, contentHash: hashContent(entry.content) });
+  } catch (error) {
+    console.error('Extraction cache lookup failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Stores an extraction result (null results are cached too - "no price" costs the same to find)
+ * @param {Object} entry - { account, messageId, domain, promptVersion, model, content }
+ * @param {Object|null} result - Extraction result
+ */
+async function saveCachedExtraction(entry, result) {
+  if (!db.isInitialized()) return;
+
+  try {
+    await db.saveCachedExtraction({ ...entry, contentHash: hashContent(entry.content) }, result);
+  } catch (error) {
+    console.error('Extraction cache store failed:', error.message);
+  }
+}
+
+module.exports = {
+  getCachedExtraction,
+  saveCachedExtraction
+};
@@ -1,15 +1,29 @@
 /**
  * AI-Powered Price Extraction Service
- * Uses OpenAI GPT model to extract structured pricing information from email content
+ * Uses an LLM (OpenAI or any OpenAI-compatible server, see services/llm.js)
+ * to extract structured pricing information from email content
  */
 
-const OpenAI = require('openai');
-const config = require('../config');
+const { getLLMProvider } = require('./llm');
+const { getCachedExtraction, saveCachedExtraction } = require('./extraction-cache');
+const { recordLLMUsage } = require('./llm-usage');
+
+// Version of the target-domain prompt and its post-processing. Bump it whenever either
+// changes so cached extractions made with the old prompt are no longer reused.
+const DOMAIN_PROMPT_VERSION = '1';
+
+// Version of the thread negotiation prompt, cached alongside the target-domain prompt
+const NEGOTIATION_PROMPT_VERSION = 'thread-1';
+
+// What a step of a negotiation can be, and who can take it
+const NEGOTIATION_EVENT_TYPES = ['quote', 'counter_offer', 'accepted', 'declined'];
+const NEGOTIATION_PARTIES = ['publisher', 'buyer'];
 
 /**
- * Extracts pricing information from email content using OpenAI API
+ * Extracts pricing information from email content using the configured LLM
  *
  * @param {string} emailContent - The raw email content to analyze
+ * @param {Object} [usageContext] - { taskId, domain, userId } the token usage is attributed to
  * @returns {Promise<Object>} Structured pricing data object
  * @throws {Error} If API call fails or content is invalid
  *
@@ -17,29 +31,21 @@ const config = require('../config');
  * const result = await extractPricing(emailBody);
  * console.log(result.guest_post_price); // 150
  */
-async function extractPricing(emailContent) {
+async function extractPricing(emailContent, usageContext = {}) {
   // Validate input
   if (!emailContent || typeof emailContent !== 'string') {
     throw new Error('Invalid email content provided');
   }
 
-  // Validate API key configuration
-  if (!config.openai?.apiKey) {
-    throw new Error('OpenAI API key not configured');
-  }
+  // Validate provider configuration
+  const llm = getLLMProvider();
 
   try {
-    // Initialize OpenAI client
-    const openai = new OpenAI({
-      apiKey: config.openai.apiKey
-    });
-
     // Construct the extraction prompt
     const prompt = buildExtractionPrompt(emailContent);
 
-    // Call OpenAI API
-    const response = await openai.chat.completions.create({
-      model: config.openai.model,
+    // Call the LLM
+    const response = await llm.complete({
       messages: [
         {
           role: 'system',
@@ -51,13 +57,14 @@ async function extractPricing(emailContent) {
         }
       ],
       temperature: 0.1, // Low temperature for consistent, factual extraction
-      response_format: { type: 'json_object' } // Enforce JSON response
+      json: true // Enforce JSON response
     });
+    await recordLLMUsage({ ...usageContext, operation: 'pricing' }, response);
 
     // Parse the response
-    const content = response.choices[0]?.message?.content;
+    const content = response.content;
     if (!content) {
-      throw new Error('Empty response from OpenAI API');
+      throw new Error('Empty response from LLM');
     }
 
     const extractedData = JSON.parse(content);
@@ -68,14 +75,9 @@ async function extractPricing(emailContent) {
     return result;
 
   } catch (error) {
-    // Handle specific OpenAI API errors
-    if (error.response) {
-      throw new Error(`OpenAI API error: ${error.response.status} - ${error.response.data?.error?.message || 'Unknown error'}`);
-    }
-
     // Handle JSON parsing errors
     if (error instanceof SyntaxError) {
-      throw new Error(`Failed to parse OpenAI response as JSON: ${error.message}`);
+      throw new Error(`Failed to parse LLM response as JSON: ${error.message}`);
     }
 
     // Re-throw other errors
@@ -84,7 +86,7 @@ async function extractPricing(emailContent) {
 }
 
 /**
- * Builds the extraction prompt for the OpenAI API
+ * Builds the extraction prompt for the LLM
  *
  * @param {string} emailContent - Raw email content
  * @returns {string} Formatted prompt
@@ -167,7 +169,7 @@ IMPORTANT:
  * Normalizes and validates extracted data
  * Ensures all required fields are present with correct types
  *
- * @param {Object} data - Raw extracted data from OpenAI
+ * @param {Object} data - Raw extracted data from the LLM
  * @returns {Object} Normalized data object
  */
 function normalizeExtractedData(data) {
@@ -387,22 +389,17 @@ function priceExistsInContent(content, price) {
 /**
  * Extracts ALL pricing entries from content that contains multiple domains (like Google Sheets)
  * @param {string} content - Content with multiple domain pricing (e.g., from a spreadsheet)
+ * @param {Object} [usageContext] - { taskId, domain, userId } the token usage is attributed to
  * @returns {Promise<Array>} Array of pricing data objects
  */
-async function extractMultiplePricing(content) {
+async function extractMultiplePricing(content, usageContext = {}) {
   if (!content || typeof content !== 'string') {
     return [];
   }
 
-  if (!config.openai?.apiKey) {
-    throw new Error('OpenAI API key not configured');
-  }
+  const llm = getLLMProvider();
 
   try {
-    const openai = new OpenAI({
-      apiKey: config.openai.apiKey
-    });
-
     // Truncate content if too large to avoid token limits
     const maxContentLength = 25000;
     const truncatedContent = content.length > maxContentLength
@@ -456,8 +453,7 @@ IMPORTANT:
 - Skip entries without any pricing
 - Return empty array [] if no pricing found`;
 
-    const response = await openai.chat.completions.create({
-      model: config.openai.model,
+    const response = await llm.complete({
       messages: [
         {
           role: 'system',
@@ -469,10 +465,11 @@ IMPORTANT:
         }
       ],
       temperature: 0.1,
-      response_format: { type: 'json_object' }
+      json: true
     });
+    await recordLLMUsage({ ...usageContext, operation: 'multiple_pricing' }, response);
 
-    const responseContent = response.choices[0]?.message?.content;
+    const responseContent = response.content;
     if (!responseContent) {
       return [];
     }
@@ -509,23 +506,73 @@ IMPORTANT:
  *
  * @param {string} emailContent - The raw email content to analyze
  * @param {string} targetDomain - The specific domain to find pricing for
+ * @param {Object} [options]
+ * @param {string} [options.messageId] - Source message ID; enables the extraction cache
+ * @param {string} [options.account] - Account the message belongs to
+ * @param {boolean} [options.force] - Skip the cache and re-extract (the new result replaces the cached one)
+ * @param {number} [options.taskId] - Task the token usage is attributed to
+ * @param {number} [options.userId] - User the token usage is attributed to
+ * @param {Function} [options.checkBudget] - Called before the LLM call; its error (a used-up task budget)
+ *   is passed on instead of being treated as a failed extraction
  * @returns {Promise<Object|null>} Pricing data for the target domain or null
  */
-async function extractPricingForDomain(emailContent, targetDomain) {
+async function extractPricingForDomain(emailContent, targetDomain, options = {}) {
   if (!emailContent || typeof emailContent !== 'string') {
     return null;
   }
 
-  if (!config.openai?.apiKey) {
-    throw new Error('OpenAI API key not configured');
+  const llm = getLLMProvider();
+
+  // Same message, domain, prompt and model always gives the same answer - reuse it
+  const cacheEntry = options.messageId ? {
+    account: options.account,
+    messageId: options.messageId,
+    domain: targetDomain,
+    promptVersion: DOMAIN_PROMPT_VERSION,
+    model: llm.model,
+    content: emailContent
+  } : null;
+
+  if (cacheEntry && !options.force) {
+    const cached = await getCachedExtraction(cacheEntry);
+    if (cached) {
+      console.log(`  → Using cached extraction for ${targetDomain} from message ${options.messageId}`);
+      return cached.result;
+    }
+  }
+
+  if (options.checkBudget) {
+    await options.checkBudget();
   }
 
   try {
-    const openai = new OpenAI({
-      apiKey: config.openai.apiKey
+    const result = await runDomainExtraction(llm, emailContent, targetDomain, {
+      taskId: options.taskId,
+      userId: options.userId
     });
+    // Only completed extractions are cached - errors are retried next time
+    if (cacheEntry) {
+      await saveCachedExtraction(cacheEntry, result);
+    }
+    return result;
+  } catch (error) {
+    console.error('Extraction error for domain:', targetDomain, error.message);
+    return null;
+  }
+}
 
-    const prompt = `You are analyzing an email to find pricing information for a SPECIFIC website domain.
+/**
+ * Runs the target-domain prompt and validates the answer against the content
+ *
+ * @param {Object} llm - LLM provider
+ * @param {string} emailContent - The raw email content to analyze
+ * @param {string} targetDomain - The specific domain to find pricing for
+ * @param {Object} [usageContext] - { taskId, userId } the token usage is attributed to
+ * @returns {Promise<Object|null>} Pricing data, or null if the domain has no (verifiable) price
+ * @throws {Error} If the LLM call fails or returns invalid JSON
+ */
+async function runDomainExtraction(llm, emailContent, targetDomain, usageContext = {}) {
+  const prompt = `You are analyzing an email to find pricing information for a SPECIFIC website domain.
 
 TARGET DOMAIN TO FIND: ${targetDomain}
 
@@ -626,10 +673,12 @@ OUTPUT FORMAT (JSON only):
   "casino_accepted": "yes" or "no",
   "currency": "USD" or "EUR" or "GBP",
   "confidence": "high" or "medium" or "low",
+  "needs_review": true or false,
   "notes": "any relevant notes about pricing or multipliers applied"
 }
 
 IMPORTANT:
+- Set needs_review to true when the email contains several plausible prices for the target domain and you had to choose between them
 - Return found: false if the target domain is not found in the content
 - Return found: false if no pricing is found for the target domain
 - Prices must be numbers only (no currency symbols)
@@ -650,106 +699,293 @@ CRITICAL - "ONE PRICE FOR ALL SITES" PATTERN:
 - The key phrase is "all our websites", "all our media", "all sites listed", "same price for all"
 - This is NOT hallucination - the webmaster explicitly said the price applies to all their sites`;
 
-    const response = await openai.chat.completions.create({
-      model: config.openai.model,
-      messages: [
-        {
-          role: 'system',
-          content: 'You extract pricing data for specific domains from emails. You must respond with valid JSON only. Be VERY conservative - only return prices you are 100% certain belong to the target domain. When in doubt, return found: false.'
-        },
-        {
-          role: 'user',
-          content: prompt + `
+  const response = await llm.complete({
+    messages: [
+      {
+        role: 'system',
+        content: 'You extract pricing data for specific domains from emails. You must respond with valid JSON only. Be VERY conservative - only return prices you are 100% certain belong to the target domain. When in doubt, return found: false.'
+      },
+      {
+        role: 'user',
+        content: prompt + `
 
 FINAL VERIFICATION: Before returning, verify:
 1. Is "${targetDomain}" explicitly listed?
 2. Is there a price ON THE SAME LINE/ROW as "${targetDomain}"?
 3. Is that price clearly monetary (has $ € £ or in "Price" column)?
 If ANY answer is NO, return {"found": false}`
-        }
-      ],
-      temperature: 0.1,
-      response_format: { type: 'json_object' }
-    });
+      }
+    ],
+    temperature: 0.1,
+    json: true
+  });
+  await recordLLMUsage({ ...usageContext, domain: targetDomain, operation: 'domain_extraction' }, response);
+
+  const content = response.content;
+  if (!content) {
+    return null;
+  }
 
-    const content = response.choices[0]?.message?.content;
-    if (!content) {
-      return null;
-    }
+  const extracted = JSON.parse(content);
 
-    const extracted = JSON.parse(content);
+  console.log(`  GPT extraction for ${targetDomain}:`, JSON.stringify(extracted));
 
-    console.log(`  GPT extraction for ${targetDomain}:`, JSON.stringify(extracted));
+  // If domain not found, return null
+  if (!extracted.found) {
+    console.log(`  → GPT returned found: false for ${targetDomain}`);
+    return null;
+  }
 
-    // If domain not found, return null
-    if (!extracted.found) {
-      console.log(`  → GPT returned found: false for ${targetDomain}`);
-      return null;
-    }
+  // CODE-LEVEL VALIDATION: Verify the extracted price actually appears in the email
+  const extractedGuestPrice = extracted.guest_post_price;
+  const extractedCasinoPrice = extracted.casino_price;
 
-    // CODE-LEVEL VALIDATION: Verify the extracted price actually appears in the email
-    const extractedGuestPrice = extracted.guest_post_price;
-    const extractedCasinoPrice = extracted.casino_price;
+  // If a price was extracted, verify it exists in the content
+  if (extractedGuestPrice && !priceExistsInContent(emailContent, extractedGuestPrice)) {
+    console.log(`  → REJECTED: Price ${extractedGuestPrice} not found in email content for ${targetDomain} (possible hallucination)`);
+    return null;
+  }
 
-    // If a price was extracted, verify it exists in the content
-    if (extractedGuestPrice && !priceExistsInContent(emailContent, extractedGuestPrice)) {
-      console.log(`  → REJECTED: Price ${extractedGuestPrice} not found in email content for ${targetDomain} (possible hallucination)`);
-      return null;
-    }
+  if (extractedCasinoPrice && extractedCasinoPrice !== extractedGuestPrice && !priceExistsInContent(emailContent, extractedCasinoPrice)) {
+    console.log(`  → REJECTED: Casino price ${extractedCasinoPrice} not found in email content for ${targetDomain} (possible hallucination)`);
+    // Don't reject entirely, just null out the casino price
+    extracted.casino_price = null;
+  }
 
-    if (extractedCasinoPrice && extractedCasinoPrice !== extractedGuestPrice && !priceExistsInContent(emailContent, extractedCasinoPrice)) {
-      console.log(`  → REJECTED: Casino price ${extractedCasinoPrice} not found in email content for ${targetDomain} (possible hallucination)`);
-      // Don't reject entirely, just null out the casino price
-      extracted.casino_price = null;
-    }
+  // CODE-LEVEL OVERRIDE: Find highest price for this domain in content
+  // This handles cases where domain appears in multiple sheets with different prices
+  const highestPrice = findHighestPriceForDomain(emailContent, targetDomain);
+  let guestPostPrice = normalizePrice(extracted.guest_post_price);
+  const confidence = normalizeConfidence(extracted.confidence);
+  let needsReview = normalizeNeedsReview(extracted.needs_review, confidence);
+
+  if (highestPrice && highestPrice > guestPostPrice) {
+    console.log(`  → OVERRIDE: Found higher price €${highestPrice} for ${targetDomain} (GPT extracted €${guestPostPrice})`);
+    guestPostPrice = highestPrice;
+    // The model and the content scan disagree - a human should confirm
+    needsReview = 1;
+  }
 
-    // CODE-LEVEL OVERRIDE: Find highest price for this domain in content
-    // This handles cases where domain appears in multiple sheets with different prices
-    const highestPrice = findHighestPriceForDomain(emailContent, targetDomain);
-    let guestPostPrice = normalizePrice(extracted.guest_post_price);
+  const linkInsertionPrice = normalizePrice(extracted.link_insertion_price);
+  let casinoPrice = normalizePrice(extracted.casino_price);
+  const casinoAccepted = extracted.casino_accepted?.toLowerCase() !== 'no';
 
-    if (highestPrice && highestPrice > guestPostPrice) {
-      console.log(`  → OVERRIDE: Found higher price €${highestPrice} for ${targetDomain} (GPT extracted €${guestPostPrice})`);
-      guestPostPrice = highestPrice;
+  // Apply casino price logic: if casino is accepted but no explicit price, use guest post price
+  // Also: if casino price is lower than guest post (likely 1-year price), upgrade to guest post (permanent)
+  if (casinoAccepted) {
+    if (!casinoPrice || casinoPrice < guestPostPrice) {
+      casinoPrice = guestPostPrice;
     }
+  }
 
-    const linkInsertionPrice = normalizePrice(extracted.link_insertion_price);
-    let casinoPrice = normalizePrice(extracted.casino_price);
-    const casinoAccepted = extracted.casino_accepted?.toLowerCase() !== 'no';
+  // If casino is not accepted, ensure price is null
+  if (!casinoAccepted) {
+    casinoPrice = null;
+  }
 
-    // Apply casino price logic: if casino is accepted but no explicit price, use guest post price
-    // Also: if casino price is lower than guest post (likely 1-year price), upgrade to guest post (permanent)
-    if (casinoAccepted) {
-      if (!casinoPrice || casinoPrice < guestPostPrice) {
-        casinoPrice = guestPostPrice;
-      }
-    }
+  return {
+    guest_post_price: guestPostPrice,
+    link_insertion_price: linkInsertionPrice,
+    sponsored_post_price: normalizePrice(extracted.sponsored_post_price),
+    homepage_link_price: normalizePrice(extracted.homepage_link_price),
+    casino_price: casinoPrice,
+    casino_accepted: casinoAccepted ? 'yes' : 'no',
+    currency: extracted.currency || 'USD',
+    confidence,
+    needs_review: needsReview,
+    notes: extracted.notes || null
+  };
+}
+
+/**
+ * Extracts the negotiated outcome for a target domain from a whole email thread
+ * The thread is read as one conversation: the publisher's initial quote, counter-offers
+ * from either side and the price finally agreed (and who agreed to it)
+ *
+ * @param {string} threadContent - Thread transcript, oldest message first, messages numbered from 1
+ * @param {string} targetDomain - The specific domain to find pricing for
+ * @param {Object} [options] - Same as extractPricingForDomain; messageId should identify the thread
+ * @returns {Promise<Object|null>} Outcome prices plus status, agreed_by, agreed_message and events, or null
+ */
+async function extractNegotiationForDomain(threadContent, targetDomain, options = {}) {
+  if (!threadContent || typeof threadContent !== 'string') {
+    return null;
+  }
 
-    // If casino is not accepted, ensure price is null
-    if (!casinoAccepted) {
-      casinoPrice = null;
+  const llm = getLLMProvider();
+
+  const cacheEntry = options.messageId ? {
+    account: options.account,
+    messageId: options.messageId,
+    domain: targetDomain,
+    promptVersion: NEGOTIATION_PROMPT_VERSION,
+    model: llm.model,
+    content: threadContent
+  } : null;
+
+  if (cacheEntry && !options.force) {
+    const cached = await getCachedExtraction(cacheEntry);
+    if (cached) {
+      console.log(`  → Using cached negotiation for ${targetDomain} from thread ${options.messageId}`);
+      return cached.result;
     }
+  }
 
-    return {
-      guest_post_price: guestPostPrice,
-      link_insertion_price: linkInsertionPrice,
-      sponsored_post_price: normalizePrice(extracted.sponsored_post_price),
-      homepage_link_price: normalizePrice(extracted.homepage_link_price),
-      casino_price: casinoPrice,
-      casino_accepted: casinoAccepted ? 'yes' : 'no',
-      currency: extracted.currency || 'USD',
-      confidence: normalizeConfidence(extracted.confidence),
-      notes: extracted.notes || null
-    };
+  if (options.checkBudget) {
+    await options.checkBudget();
+  }
 
+  try {
+    const result = await runNegotiationExtraction(llm, threadContent, targetDomain, {
+      taskId: options.taskId,
+      userId: options.userId
+    });
+    if (cacheEntry) {
+      await saveCachedExtraction(cacheEntry, result);
+    }
+    return result;
   } catch (error) {
-    console.error('Extraction error for domain:', targetDomain, error.message);
+    console.error('Negotiation extraction error for domain:', targetDomain, error.message);
     return null;
   }
 }
 
+/**
+ * Runs the thread negotiation prompt and validates every price against the transcript
+ *
+ * @param {Object} llm - LLM provider
+ * @param {string} threadContent - Thread transcript
+ * @param {string} targetDomain - The specific domain to find pricing for
+ * @param {Object} [usageContext] - { taskId, userId } the token usage is attributed to
+ * @returns {Promise<Object|null>} Negotiation outcome, or null if the thread has no price for the domain
+ * @throws {Error} If the LLM call fails or returns invalid JSON
+ */
+async function runNegotiationExtraction(llm, threadContent, targetDomain, usageContext = {}) {
+  const prompt = `You are reading a complete email thread between our link-building team (the BUYER) and a website owner or reseller (the PUBLISHER), negotiating the price of content on a SPECIFIC website.
+
+TARGET DOMAIN: ${targetDomain}
+
+THREAD (oldest message first; each message says whether it was sent by our team or the other side):
+${threadContent}
+
+INSTRUCTIONS:
+1. Follow the conversation in order and list every step that states or reacts to a price for "${targetDomain}" (or for "all our sites" when the target domain is one of them):
+   - "quote": a price offered by the publisher
+   - "counter_offer": a different price proposed by either side
+   - "accepted": one side agrees to the other side's latest price ("okay for $X", "deal", "agreed", "let's go with $X")
+   - "declined": one side refuses a price or refuses to work together
+2. Work out the outcome:
+   - status "agreed" if one side accepted the other side's price - the accepted price is the outcome
+   - status "declined" if the negotiation ended in a refusal
+   - status "open" if there is no agreement yet
+   - for "declined" and "open" the outcome is the publisher's most recent offer (null prices if they never made one)
+3. agreed_by is the side that accepted ("publisher" or "buyer"); agreed_message is the number of the message that accepted
+4. Later messages override earlier ones. A price our team merely proposed is NOT the outcome unless the publisher accepted it
+5. Ignore quoted text (lines starting with >) - every message of the thread is already listed
+6. DA, DR, traffic and similar metrics are NOT prices
+
+OUTPUT FORMAT (JSON only):
+{
+  "found": true or false,
+  "status": "agreed" or "open" or "declined",
+  "agreed_by": "publisher" or "buyer" or null,
+  "agreed_message": number or null,
+  "guest_post_price": number or null,
+  "link_insertion_price": number or null,
+  "sponsored_post_price": number or null,
+  "homepage_link_price": number or null,
+  "casino_price": number or null,
+  "casino_accepted": "yes" or "no",
+  "currency": "USD" or "EUR" or "GBP",
+  "events": [
+    { "message": number, "type": "quote" or "counter_offer" or "accepted" or "declined", "by": "publisher" or "buyer", "price": number or null, "currency": "USD" or "EUR" or "GBP" or null, "note": "short description" }
+  ],
+  "confidence": "high" or "medium" or "low",
+  "needs_review": true or false,
+  "notes": "how the outcome was reached"
+}
+
+Return {"found": false} if the thread never states a price for "${targetDomain}". Prices must be numbers only, and every price must appear in the thread. WHEN IN DOUBT, return found: false.`;
+
+  const response = await llm.complete({
+    messages: [
+      {
+        role: 'system',
+        content: 'You reconstruct price negotiations from email threads. You must respond with valid JSON only. Be conservative - only report prices written in the thread.'
+      },
+      { role: 'user', content: prompt }
+    ],
+    temperature: 0.1,
+    json: true
+  });
+  await recordLLMUsage({ ...usageContext, domain: targetDomain, operation: 'negotiation_extraction' }, response);
+
+  const content = response.content;
+  if (!content) {
+    return null;
+  }
+
+  const extracted = JSON.parse(content);
+
+  console.log(`  Negotiation extraction for ${targetDomain}:`, JSON.stringify(extracted));
+
+  if (!extracted.found) {
+    return null;
+  }
+
+  // Same guard as the single-message prompt: the outcome must be written in the thread
+  const guestPostPrice = normalizePrice(extracted.guest_post_price);
+  if (guestPostPrice && !priceExistsInContent(threadContent, guestPostPrice)) {
+    console.log(`  → REJECTED: Negotiated price ${guestPostPrice} not found in thread for ${targetDomain} (possible hallucination)`);
+    return null;
+  }
+
+  const priceFields = {};
+  for (const field of ['link_insertion_price', 'sponsored_post_price', 'homepage_link_price', 'casino_price']) {
+    const price = normalizePrice(extracted[field]);
+    priceFields[field] = price && (price === guestPostPrice || priceExistsInContent(threadContent, price)) ? price : null;
+  }
+
+  // Steps quoting a price that isn't in the thread keep their place but lose the price
+  const events = (Array.isArray(extracted.events) ? extracted.events : [])
+    .filter(event => event && NEGOTIATION_EVENT_TYPES.includes(event.type))
+    .map(event => {
+      const price = normalizePrice(event.price);
+      return {
+        message: Number.isInteger(event.message) ? event.message : null,
+        type: event.type,
+        by: NEGOTIATION_PARTIES.includes(event.by) ? event.by : null,
+        price: price && priceExistsInContent(threadContent, price) ? price : null,
+        currency: event.currency || null,
+        note: event.note || null
+      };
+    });
+
+  const status = ['agreed', 'open', 'declined'].includes(extracted.status) ? extracted.status : 'open';
+  const confidence = normalizeConfidence(extracted.confidence);
+  const casinoAccepted = extracted.casino_accepted?.toLowerCase() !== 'no';
+
+  return {
+    status,
+    agreed_by: status === 'agreed' && NEGOTIATION_PARTIES.includes(extracted.agreed_by) ? extracted.agreed_by : null,
+    agreed_message: status === 'agreed' && Number.isInteger(extracted.agreed_message) ? extracted.agreed_message : null,
+    guest_post_price: guestPostPrice,
+    ...priceFields,
+    casino_price: casinoAccepted ? priceFields.casino_price || guestPostPrice : null,
+    casino_accepted: casinoAccepted ? 'yes' : 'no',
+    currency: extracted.currency || 'USD',
+    events,
+    confidence,
+    needs_review: normalizeNeedsReview(extracted.needs_review, confidence),
+    notes: extracted.notes || null
+  };
+}
+
 module.exports = {
+  DOMAIN_PROMPT_VERSION,
+  NEGOTIATION_PROMPT_VERSION,
   extractPricing,
   extractMultiplePricing,
-  extractPricingForDomain
+  extractPricingForDomain,
+  extractNegotiationForDomain
 };
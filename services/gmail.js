@@ -61,6 +61,97 @@ async function searchEmails(account, query, maxResults = 100) {
   }
 }
 
+/**
+ * Returns the mailbox's current history ID (the starting point for incremental sync)
+ * @param {string} account - Email account
+ * @returns {Promise<{historyId: string, messagesTotal: number}>}
+ */
+async function getProfile(account) {
+  try {
+    const auth = getAuth(account);
+    const gmail = google.gmail({ version: 'v1', auth });
+
+    const response = await gmail.users.getProfile({ userId: 'me' });
+    return { historyId: response.data.historyId, messagesTotal: response.data.messagesTotal };
+  } catch (error) {
+    console.error(`Error fetching profile for ${account}:`, error.message);
+    throw new Error(`Failed to fetch profile: ${error.message}`);
+  }
+}
+
+/**
+ * Lists one page of message IDs, newest first
+ * @param {string} account - Email account
+ * @param {Object} [options]
+ * @param {string} [options.query] - Gmail search query (default: all mail)
+ * @param {string} [options.pageToken] - Token from the previous page
+ * @param {number} [options.maxResults] - Page size (default: 500, the API maximum)
+ * @returns {Promise<{messages: Array<{id: string, threadId: string}>, nextPageToken: string|null}>}
+ */
+async function listMessagePage(account, options = {}) {
+  try {
+    const auth = getAuth(account);
+    const gmail = google.gmail({ version: 'v1', auth });
+
+    const response = await gmail.users.messages.list({
+      userId: 'me',
+      q: options.query || undefined,
+      pageToken: options.pageToken || undefined,
+      maxResults: options.maxResults || 500
+    });
+
+    return {
+      messages: response.data.messages || [],
+      nextPageToken: response.data.nextPageToken || null
+    };
+  } catch (error) {
+    console.error(`Error listing messages for ${account}:`, error.message);
+    throw new Error(`Failed to list messages: ${error.message}`);
+  }
+}
+
+/**
+ * Lists one page of mailbox changes since a history ID
+ * @param {string} account - Email account
+ * @param {string} startHistoryId - History ID of the last sync
+ * @param {string} [pageToken] - Token from the previous page
+ * @returns {Promise<{added: string[], deleted: string[], historyId: string, nextPageToken: string|null}>}
+ * @throws {Error} With status 404 when startHistoryId is too old - a full sync is needed
+ */
+async function listHistory(account, startHistoryId, pageToken = null) {
+  try {
+    const auth = getAuth(account);
+    const gmail = google.gmail({ version: 'v1', auth });
+
+    const response = await gmail.users.history.list({
+      userId: 'me',
+      startHistoryId,
+      pageToken: pageToken || undefined,
+      historyTypes: ['messageAdded', 'messageDeleted'],
+      maxResults: 500
+    });
+
+    const added = [];
+    const deleted = [];
+    for (const entry of response.data.history || []) {
+      for (const item of entry.messagesAdded || []) added.push(item.message.id);
+      for (const item of entry.messagesDeleted || []) deleted.push(item.message.id);
+    }
+
+    return {
+      added,
+      deleted,
+      historyId: response.data.historyId,
+      nextPageToken: response.data.nextPageToken || null
+    };
+  } catch (error) {
+    console.error(`Error listing history for ${account}:`, error.message);
+    const wrapped = new Error(`Failed to list history: ${error.message}`);
+    wrapped.status = error.code || error.status;
+    throw wrapped;
+  }
+}
+
 /**
  * Recursively extracts body text and attachments from email message parts
  * @param {object} gmail - Gmail API client instance
@@ -115,11 +206,49 @@ async function extractParts(gmail, account, messageId, payload, email) {
   }
 }
 
+/**
+ * Builds the email object for a message fetched with format 'full'
+ * @param {object} gmail - Gmail API client instance
+ * @param {string} account - Email account
+ * @param {object} message - Gmail message resource
+ * @returns {Promise<{id: string, threadId: string, from: string, subject: string, date: string, body: string, attachments: Array}>}
+ */
+async function buildEmail(gmail, account, message) {
+  const payload = message.payload;
+  const headers = payload.headers;
+
+  // Extract relevant headers
+  const fromHeader = headers.find(h => h.name.toLowerCase() === 'from');
+  const subjectHeader = headers.find(h => h.name.toLowerCase() === 'subject');
+  const dateHeader = headers.find(h => h.name.toLowerCase() === 'date');
+
+  // Initialize email object
+  const email = {
+    id: message.id,
+    threadId: message.threadId,
+    from: fromHeader ? fromHeader.value : '',
+    subject: subjectHeader ? subjectHeader.value : '',
+    date: dateHeader ? dateHeader.value : '',
+    body: '',
+    attachments: []
+  };
+
+  // Extract body and attachments recursively
+  await extractParts(gmail, account, message.id, payload, email);
+
+  // If no text/plain body was found, try text/html as fallback
+  if (!email.body && payload.body && payload.body.data) {
+    email.body = Buffer.from(payload.body.data, 'base64').toString('utf-8');
+  }
+
+  return email;
+}
+
 /**
  * Fetches a complete email with all attachments
  * @param {string} account - Email account
  * @param {string} messageId - Message ID to fetch
- * @returns {Promise<{id: string, from: string, subject: string, date: string, body: string, attachments: Array}>}
+ * @returns {Promise<{id: string, threadId: string, from: string, subject: string, date: string, body: string, attachments: Array}>}
  */
 async function getEmailWithAttachments(account, messageId) {
   try {
@@ -133,43 +262,60 @@ async function getEmailWithAttachments(account, messageId) {
       format: 'full'
     });
 
-    const message = response.data;
-    const payload = message.payload;
-    const headers = payload.headers;
-
-    // Extract relevant headers
-    const fromHeader = headers.find(h => h.name.toLowerCase() === 'from');
-    const subjectHeader = headers.find(h => h.name.toLowerCase() === 'subject');
-    const dateHeader = headers.find(h => h.name.toLowerCase() === 'date');
+    return await buildEmail(gmail, account, response.data);
+  } catch (error) {
+    console.error(`Error fetching email ${messageId} for ${account}:`, error.message);
+    throw new Error(`Failed to fetch email: ${error.message}`);
+  }
+}
 
-    // Initialize email object
-    const email = {
-      id: messageId,
-      from: fromHeader ? fromHeader.value : '',
-      subject: subjectHeader ? subjectHeader.value : '',
-      date: dateHeader ? dateHeader.value : '',
-      body: '',
-      attachments: []
-    };
+/**
+ * Fetches every message of a thread with attachments, oldest first
+ * @param {string} account - Email account
+ * @param {string} threadId - Thread ID returned by searchEmails
+ * @returns {Promise<Array<Object>>} Emails shaped like getEmailWithAttachments results
+ */
+async function getThread(account, threadId) {
+  try {
+    const auth = getAuth(account);
+    const gmail = google.gmail({ version: 'v1', auth });
 
-    // Extract body and attachments recursively
-    await extractParts(gmail, account, messageId, payload, email);
+    const response = await gmail.users.threads.get({
+      userId: 'me',
+      id: threadId,
+      format: 'full'
+    });
 
-    // If no text/plain body was found, try text/html as fallback
-    if (!email.body && payload.body && payload.body.data) {
-      email.body = Buffer.from(payload.body.data, 'base64').toString('utf-8');
+    // Gmail returns thread messages in chronological order
+    const emails = [];
+    for (const message of response.data.messages || []) {
+      emails.push(await buildEmail(gmail, account, message));
     }
-
-    return email;
+    return emails;
   } catch (error) {
-    console.error(`Error fetching email ${messageId} for ${account}:`, error.message);
-    throw new Error(`Failed to fetch email: ${error.message}`);
+    console.error(`Error fetching thread ${threadId} for ${account}:`, error.message);
+    throw new Error(`Failed to fetch thread: ${error.message}`);
   }
 }
 
+/**
+ * Builds a Gmail web link that opens the message in the given mailbox
+ * @param {string} account - Email account the message belongs to
+ * @param {string} messageId - Gmail API message ID
+ * @returns {string} URL
+ */
+function getMessageLink(account, messageId) {
+  return `https://mail.google.com/mail/?authuser=${encodeURIComponent(account)}#all/${encodeURIComponent(messageId)}`;
+}
+
 module.exports = {
   getAuth,
   searchEmails,
+  getProfile,
+  listMessagePage,
+  listHistory,
   getEmailWithAttachments,
+  getThread,
+  getMessageLink,
   extractParts
 };
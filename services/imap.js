@@ -0,0 +1,179 @@
+/**
+ * IMAP Mail Source
+ * Searches non-Google mailboxes over IMAP with the same contract as the Gmail service
+ */
+
+const { ImapFlow } = require('imapflow');
+const { parseRawEmail } = require('./mime');
+
+// A shared connection is logged out after this long without use
+const IDLE_LOGOUT_MS = 60 * 1000;
+
+/**
+ * Creates a mail source backed by an IMAP mailbox
+ * Message IDs are "<mailbox>:<uid>" so they stay valid across connections
+ *
+ * Each account uses one connection, shared by all searches and fetches (task workers included),
+ * so providers' per-account connection limits are never hit. ImapFlow's mailbox lock runs the
+ * requests one at a time. The connection is opened on first use, reopened after it drops and
+ * logged out after a minute without use.
+ *
+ * @param {Object} options - IMAP account settings
+ * @param {string} options.host - IMAP server hostname
+ * @param {number} [options.port] - Port (default: 993, or 143 when secure is false)
+ * @param {boolean} [options.secure] - Use implicit TLS (default: true)
+ * @param {string} options.user - Login username
+ * @param {string} options.password - Login password
+ * @param {string} [options.mailbox] - Mailbox to search (default: INBOX)
+ * @param {Object} [options.tls] - Extra TLS options, e.g. { rejectUnauthorized: false } for local servers
+ * @returns {{searchEmails: Function, getEmailWithAttachments: Function, close: Function}}
+ */
+function createImapSource(options) {
+  const secure = options.secure !== false;
+  const mailbox = options.mailbox || 'INBOX';
+
+  // The shared connection (a promise while it connects), requests using it, and the idle timer
+  let connection = null;
+  let activeRequests = 0;
+  let idleTimer = null;
+
+  /**
+   * Returns the shared connection, opening a new one if there is none or it dropped
+   * @returns {Promise<ImapFlow>}
+   */
+  function getClient() {
+    if (connection) return connection;
+
+    const client = new ImapFlow({
+      host: options.host,
+      port: options.port || (secure ? 993 : 143),
+      secure,
+      auth: { user: options.user, pass: options.password },
+      tls: options.tls,
+      logger: false
+    });
+
+    // A dropped connection is replaced on the next request; errors surface there too
+    const forget = () => {
+      if (connection === pending) connection = null;
+    };
+    client.on('error', error => {
+      console.error(`IMAP connection error for ${options.user}:`, error.message);
+      forget();
+    });
+    client.on('close', forget);
+
+    const pending = client.connect().then(() => client, error => {
+      forget();
+      throw error;
+    });
+    connection = pending;
+    return pending;
+  }
+
+  /**
+   * Logs out of the shared connection
+   */
+  async function close() {
+    clearTimeout(idleTimer);
+    const pending = connection;
+    connection = null;
+    if (!pending) return;
+
+    const client = await pending.catch(() => null);
+    if (client) await client.logout().catch(() => client.close());
+  }
+
+  /**
+   * Runs fn on the shared connection with the mailbox locked
+   * @param {string} path - Mailbox to open
+   * @param {Function} fn - async (client) => result
+   * @returns {Promise<*>} Result of fn
+   */
+  async function withMailbox(path, fn) {
+    clearTimeout(idleTimer);
+    activeRequests++;
+    try {
+      const client = await getClient();
+      const lock = await client.getMailboxLock(path);
+      try {
+        return await fn(client);
+      } finally {
+        lock.release();
+      }
+    } finally {
+      if (--activeRequests === 0) {
+        idleTimer = setTimeout(close, IDLE_LOGOUT_MS);
+        idleTimer.unref();
+      }
+    }
+  }
+
+  return {
+    /**
+     * Searches the mailbox for messages containing the query in headers or body
+     * @param {string} account - Account label (used for logging)
+     * @param {string} query - Search text (e.g. a domain)
+     * @param {number} maxResults - Maximum number of results (default: 100)
+     * @returns {Promise<Array<{id: string, threadId: string}>>} Newest first, like Gmail
+     */
+    async searchEmails(account, query, maxResults = 100) {
+      try {
+        return await withMailbox(mailbox, async (client) => {
+          const uids = await client.search({ text: query }, { uid: true }) || [];
+          // UIDs increase with arrival, so the highest are the newest
+          const newest = uids.sort((a, b) => b - a).slice(0, maxResults);
+          if (newest.length === 0) return [];
+
+          // Use server thread IDs where supported (OBJECTID / X-GM-EXT-1)
+          const threadIds = new Map();
+          for await (const message of client.fetch(newest, { uid: true, threadId: true }, { uid: true })) {
+            if (message.threadId) threadIds.set(message.uid, message.threadId);
+          }
+
+          return newest.map(uid => {
+            const id = `${mailbox}:${uid}`;
+            return { id, threadId: threadIds.get(uid) || id };
+          });
+        });
+      } catch (error) {
+        console.error(`Error searching IMAP emails for ${account}:`, error.message);
+        throw new Error(`Failed to search emails: ${error.message}`);
+      }
+    },
+
+    /**
+     * Fetches a complete email with all attachments
+     * @param {string} account - Account label (used for logging)
+     * @param {string} messageId - Message ID returned by searchEmails
+     * @returns {Promise<{id: string, from: string, subject: string, date: string, body: string, attachments: Array}>}
+     */
+    async getEmailWithAttachments(account, messageId) {
+      const separator = messageId.lastIndexOf(':');
+      const path = messageId.slice(0, separator);
+      const uid = messageId.slice(separator + 1);
+
+      try {
+        const message = await withMailbox(path, client =>
+          client.fetchOne(uid, { source: true }, { uid: true })
+        );
+        if (!message || !message.source) {
+          throw new Error(`message ${messageId} not found`);
+        }
+
+        const email = await parseRawEmail(message.source, messageId);
+        // Keep the IMAP ID so it round-trips through the task pipeline
+        return { ...email, id: messageId };
+      } catch (error) {
+        console.error(`Error fetching email ${messageId} for ${account}:`, error.message);
+        throw new Error(`Failed to fetch email: ${error.message}`);
+      }
+    },
+
+    close
+  };
+}
+
+module.exports = {
+  createImapSource
+};
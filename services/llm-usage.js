@@ -0,0 +1,83 @@
+/**
+ * LLM Usage Accounting
+ * Records the tokens of every LLM call with the task, domain and user that caused it,
+ * and estimates spend from the per-model prices in config.llm.pricing
+ *
+ * Like the extraction cache, recording is best-effort: it is skipped when the
+ * database isn't initialized and a failed insert never fails an extraction.
+ */
+
+const config = require('../config');
+const db = require('../db');
+
+/**
+ * Finds the price entry for a model
+ * Providers report dated snapshots ("gpt-4o-mini-2024-07-18"), so the longest
+ * configured name the model starts with wins
+ * @param {string} model - Model name reported by the provider
+ * @returns {{input: number, output: number}|null} USD per million tokens, or null if unpriced
+ */
+function getModelPricing(model) {
+  const pricing = config.llm?.pricing || {};
+  if (!model) return null;
+  if (pricing[model]) return pricing[model];
+
+  const base = Object.keys(pricing)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? pricing[base] : null;
+}
+
+/**
+ * Estimates the cost of one call
+ * @param {string} model - Model name
+ * @param {{prompt_tokens: number, completion_tokens: number}} usage - Token counts
+ * @returns {number|null} USD, or null if the model has no configured price
+ */
+function estimateCost(model, usage) {
+  const price = getModelPricing(model);
+  if (!price || !usage) return null;
+
+  return ((usage.prompt_tokens || 0) * (price.input || 0) +
+    (usage.completion_tokens || 0) * (price.output || 0)) / 1000000;
+}
+
+/**
+ * Records the usage of one completed LLM call
+ * @param {Object} context - Who caused the call
+ * @param {number} [context.taskId] - Task being processed
+ * @param {string} [context.domain] - Target domain
+ * @param {number} [context.userId] - User who started the task or search
+ * @param {string} context.operation - Which extraction made the call
+ * @param {{model: string, usage: Object|null}} response - complete() response
+ */
+async function recordLLMUsage(context, response) {
+  if (!db.isInitialized()) return;
+
+  // Servers that don't report usage are still counted as calls
+  const usage = response.usage || {};
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+
+  try {
+    await db.recordLLMUsage({
+      taskId: context.taskId || null,
+      domain: context.domain || null,
+      userId: context.userId || null,
+      operation: context.operation,
+      model: response.model,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.total_tokens || promptTokens + completionTokens,
+      estimatedCost: estimateCost(response.model, usage)
+    });
+  } catch (error) {
+    console.error('LLM usage recording failed:', error.message);
+  }
+}
+
+module.exports = {
+  getModelPricing,
+  estimateCost,
+  recordLLMUsage
+};
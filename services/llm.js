@@ -0,0 +1,241 @@
+/**
+ * LLM Provider
+ * Chat-completion backends used by the extractor. Any OpenAI-compatible server
+ * (api.openai.com, a self-hosted model, a local mock) works through the same
+ * provider; the fake provider replays recorded responses for deterministic tests.
+ *
+ * Every provider implements:
+ *   complete({ messages, temperature, json }) -> { content, model, usage }
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const OpenAI = require('openai');
+const config = require('../config');
+const { createRateLimiter } = require('./rate-limiter');
+
+// Provider built from config, shared by all callers
+let activeProvider = null;
+
+/**
+ * Key a request is recorded and replayed under
+ * Only the conversation and output mode count, so recordings survive model or temperature changes
+ * @param {Object} request - complete() request
+ * @returns {string} sha256 hex digest
+ */
+function getRequestKey(request) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ messages: request.messages, json: Boolean(request.json) }))
+    .digest('hex');
+}
+
+/**
+ * Creates a provider for an OpenAI-compatible chat completions API
+ * @param {Object} options
+ * @param {string} [options.baseURL] - API base URL (default: https://api.openai.com/v1)
+ * @param {string} [options.apiKey] - API key (optional for servers that don't check it)
+ * @param {string} options.model - Model name
+ * @param {Object} [options.headers] - Extra headers sent with every request
+ * @param {number} [options.timeoutMs] - Request timeout (default: 60000)
+ * @param {number} [options.maxRetries] - Retries on connection errors, 429 and 5xx (default: 2)
+ * @param {boolean} [options.jsonMode] - Send response_format json_object when JSON is requested (default: true)
+ * @param {number} [options.requestsPerMinute] - Shared per-minute request limit
+ * @returns {{name: string, model: string, complete: Function}}
+ */
+function createOpenAICompatibleProvider(options) {
+  if (!options.baseURL && !options.apiKey) {
+    throw new Error('OpenAI API key not configured (set OPENAI_API_KEY, or LLM_BASE_URL for a local server)');
+  }
+
+  const client = new OpenAI({
+    // The SDK insists on a key; self-hosted servers usually ignore it
+    apiKey: options.apiKey || 'not-needed',
+    baseURL: options.baseURL || undefined,
+    defaultHeaders: options.headers || {},
+    timeout: options.timeoutMs || 60000,
+    maxRetries: options.maxRetries ?? 2
+  });
+  const limiter = createRateLimiter({ perMinute: options.requestsPerMinute });
+  const jsonMode = options.jsonMode !== false;
+
+  return {
+    name: options.baseURL ? `openai-compatible (${options.baseURL})` : 'openai',
+    model: options.model,
+
+    /**
+     * Runs a chat completion
+     * @param {Object} request
+     * @param {Array<{role: string, content: string}>} request.messages - Conversation
+     * @param {number} [request.temperature] - Sampling temperature
+     * @param {boolean} [request.json] - Ask for a JSON object response
+     * @returns {Promise<{content: string|null, model: string, usage: Object|null}>}
+     */
+    async complete(request) {
+      try {
+        const response = await limiter.run(() => client.chat.completions.create({
+          model: options.model,
+          messages: request.messages,
+          temperature: request.temperature,
+          ...(request.json && jsonMode ? { response_format: { type: 'json_object' } } : {})
+        }));
+
+        return {
+          content: response.choices[0]?.message?.content || null,
+          model: response.model || options.model,
+          usage: response.usage || null
+        };
+      } catch (error) {
+        if (error instanceof OpenAI.APIError && error.status) {
+          throw new Error(`LLM API error: ${error.status} - ${error.message}`);
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Loads recorded responses from a JSON Lines file ({ key, response } per line)
+ * @param {string} fixturesPath - Path to the recordings
+ * @returns {Map<string, Object>} Responses by request key
+ */
+function loadRecordings(fixturesPath) {
+  const recordings = new Map();
+  if (!fixturesPath || !fs.existsSync(fixturesPath)) return recordings;
+
+  fs.readFileSync(fixturesPath, 'utf-8').split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      recordings.set(entry.key, entry.response);
+    } catch (error) {
+      throw new Error(`Invalid recording on line ${index + 1} of ${fixturesPath}: ${error.message}`);
+    }
+  });
+  return recordings;
+}
+
+/**
+ * Creates a deterministic provider that replays recorded responses
+ * @param {Object} [options]
+ * @param {string} [options.fixturesPath] - JSON Lines file written by a recording provider
+ * @param {Array<{messages: Array, json: boolean, content: string}>} [options.responses] - Inline responses
+ * @param {string|null} [options.fallback] - Content returned for unrecorded requests (default: throw)
+ * @param {string} [options.model] - Model name reported in results (default: "fake")
+ * @returns {{name: string, model: string, complete: Function, calls: Array}}
+ */
+function createFakeProvider(options = {}) {
+  const recordings = loadRecordings(options.fixturesPath);
+  for (const entry of options.responses || []) {
+    recordings.set(getRequestKey(entry), { content: entry.content, usage: entry.usage || null });
+  }
+  const model = options.model || 'fake';
+  const calls = [];
+
+  return {
+    name: 'fake',
+    model,
+    // Every request seen, for assertions in tests
+    calls,
+
+    async complete(request) {
+      const key = getRequestKey(request);
+      calls.push({ key, request });
+
+      const recorded = recordings.get(key);
+      if (recorded) {
+        return { content: recorded.content, model: recorded.model || model, usage: recorded.usage || null };
+      }
+      if (options.fallback !== undefined && options.fallback !== null) {
+        return { content: options.fallback, model, usage: null };
+      }
+      throw new Error(`No recorded LLM response for request ${key.substring(0, 12)}`);
+    }
+  };
+}
+
+/**
+ * Wraps a provider so every response is appended to a JSON Lines file the fake provider can replay
+ * @param {Object} provider - Provider to record
+ * @param {string} recordPath - File to append to
+ * @returns {Object} Provider with the same interface
+ */
+function createRecordingProvider(provider, recordPath) {
+  return {
+    ...provider,
+    name: `${provider.name} (recording)`,
+
+    async complete(request) {
+      const response = await provider.complete(request);
+      const entry = {
+        key: getRequestKey(request),
+        recorded_at: new Date().toISOString(),
+        response
+      };
+      fs.appendFileSync(recordPath, JSON.stringify(entry) + '\n');
+      return response;
+    }
+  };
+}
+
+/**
+ * Builds the provider described by config.llm
+ * @param {Object} settings - config.llm (falls back to config.openai for key and model)
+ * @returns {Object} Provider
+ */
+function createProviderFromConfig(settings) {
+  const providerName = settings.provider || 'openai';
+  let provider;
+
+  if (providerName === 'fake') {
+    provider = createFakeProvider({
+      fixturesPath: settings.fixturesPath,
+      fallback: settings.fallback,
+      model: settings.model
+    });
+  } else if (providerName === 'openai') {
+    provider = createOpenAICompatibleProvider({
+      baseURL: settings.baseURL,
+      apiKey: settings.apiKey || config.openai?.apiKey,
+      model: settings.model || config.openai?.model,
+      headers: settings.headers,
+      timeoutMs: settings.timeoutMs,
+      maxRetries: settings.maxRetries,
+      jsonMode: settings.jsonMode,
+      requestsPerMinute: config.rateLimit?.openaiRequestsPerMinute
+    });
+  } else {
+    throw new Error(`Unknown LLM provider "${providerName}" (expected "openai" or "fake")`);
+  }
+
+  return settings.recordPath ? createRecordingProvider(provider, settings.recordPath) : provider;
+}
+
+/**
+ * Returns the configured provider
+ * @returns {{name: string, model: string, complete: Function}}
+ * @throws {Error} If the provider is misconfigured (e.g. no API key for api.openai.com)
+ */
+function getLLMProvider() {
+  if (!activeProvider) {
+    activeProvider = createProviderFromConfig(config.llm || {});
+  }
+  return activeProvider;
+}
+
+/**
+ * Replaces the provider used by the extractor (e.g. with a fake provider in tests)
+ * @param {Object|null} provider - Provider, or null to rebuild from config on next use
+ */
+function setLLMProvider(provider) {
+  activeProvider = provider;
+}
+
+module.exports = {
+  getLLMProvider,
+  setLLMProvider,
+  createOpenAICompatibleProvider,
+  createFakeProvider,
+  createRecordingProvider,
+  getRequestKey
+};
@@ -0,0 +1,107 @@
+/**
+ * Login Security
+ * Throttles sign-in attempts and checks the passwords users choose
+ *
+ * Failed sign-ins are counted per username (since its last successful sign-in) and per
+ * IP address. When either count reaches its limit within the lockout window, attempts are
+ * refused until the oldest counted failure has left the window. Refused attempts are not
+ * counted, so a locked account unlocks on time even while someone keeps trying.
+ */
+
+const config = require('../config');
+const db = require('../db');
+
+/**
+ * Limits from config.auth, with defaults for configs that predate them
+ */
+function getSettings() {
+  return {
+    maxFailuresPerUser: 5,
+    maxFailuresPerIp: 20,
+    lockoutMinutes: 15,
+    minPasswordLength: 10,
+    ...(config.auth || {})
+  };
+}
+
+/**
+ * Passwords too common to allow, whatever their length
+ */
+const COMMON_PASSWORDS = new Set([
+  'admin123', 'password', 'password1', 'password123', 'passw0rd', '12345678', '123456789', '1234567890',
+  'qwerty123', 'qwertyuiop', 'letmein123', 'welcome123', 'iloveyou', 'changeme', 'changeme123', 'administrator'
+]);
+
+/**
+ * Checks a new password against the password policy
+ * @param {string} password
+ * @param {string} [username] - The password may not contain it
+ * @returns {string|null} What is wrong with the password, or null if it is fine
+ */
+function checkPasswordPolicy(password, username = '') {
+  const { minPasswordLength } = getSettings();
+
+  if (typeof password !== 'string' || password.length < minPasswordLength) {
+    return `Password must be at least ${minPasswordLength} characters`;
+  }
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+    return 'This password is too common';
+  }
+  if (username && password.toLowerCase().includes(username.toLowerCase())) {
+    return 'Password must not contain the username';
+  }
+  if (!/[a-zA-Z]/.test(password) || !/[^a-zA-Z]/.test(password)) {
+    return 'Password must mix letters with digits or symbols';
+  }
+  return null;
+}
+
+/**
+ * Whether sign-in attempts for a username or from an IP address are currently refused
+ * @param {string} username
+ * @param {string} ip
+ * @returns {Promise<{retryAfter: number}|null>} Seconds until the next attempt is allowed, or null
+ */
+async function getLoginBlock(username, ip) {
+  const settings = getSettings();
+  const checks = [
+    [{ username }, settings.maxFailuresPerUser],
+    [{ ip }, settings.maxFailuresPerIp]
+  ];
+
+  let retryAfter = 0;
+  for (const [key, maxFailures] of checks) {
+    if (!Object.values(key)[0]) continue;
+    const failures = await db.getRecentLoginFailures(key, settings.lockoutMinutes, maxFailures);
+    if (failures.length >= maxFailures) {
+      retryAfter = Math.max(retryAfter, failures[maxFailures - 1].secondsLeft);
+    }
+  }
+
+  return retryAfter > 0 ? { retryAfter } : null;
+}
+
+/**
+ * Records the outcome of a sign-in attempt
+ * @param {string} username
+ * @param {string} ip
+ * @param {boolean} success
+ */
+async function recordLoginAttempt(username, ip, success) {
+  await db.recordLoginAttempt(username, ip, success);
+}
+
+/**
+ * Lifts a username's lockout, e.g. after an admin reset its password
+ * @param {string} username
+ */
+async function clearLoginFailures(username) {
+  await db.clearLoginFailures(username);
+}
+
+module.exports = {
+  checkPasswordPolicy,
+  getLoginBlock,
+  recordLoginAttempt,
+  clearLoginFailures
+};
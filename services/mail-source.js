@@ -0,0 +1,145 @@
+/**
+ * Mail Source Registry
+ * Routes mail lookups to the right backend for each account so the domain
+ * searcher works the same against Gmail, IMAP mailboxes and offline archives
+ *
+ * Every source implements:
+ *   searchEmails(account, query, maxResults) -> [{id, threadId}]
+ *   getEmailWithAttachments(account, messageId) -> {id, threadId, from, subject, date, body, attachments}
+ * and optionally getMessageLink(account, messageId) -> URL for opening the message
+ * and getThread(account, threadId) -> [email, ...] oldest first
+ */
+
+const gmail = require('./gmail');
+const { createArchiveSource } = require('./mbox');
+const { createImapSource } = require('./imap');
+const { createRateLimiter } = require('./rate-limiter');
+const config = require('../config');
+
+// Non-Gmail sources by account label, built lazily from config
+let customSources = null;
+
+// Gmail rate limiters by account, shared by every caller
+const gmailLimiters = new Map();
+
+/**
+ * Normalizes config.mailboxArchives entries into {account, path}
+ * Plain strings use the path itself as the account label
+ * @returns {Array<{account: string, path: string}>}
+ */
+function getArchiveConfigs() {
+  return (config.mailboxArchives || [])
+    .map(entry => typeof entry === 'string' ? { account: entry, path: entry } : entry)
+    .filter(entry => entry && entry.path)
+    .map(entry => ({ account: entry.account || entry.path, path: entry.path }));
+}
+
+/**
+ * Returns IMAP and archive sources keyed by account label
+ * IMAP accounts are labelled by their address unless an account name is given
+ * @returns {Map<string, Object>}
+ */
+function getCustomSources() {
+  if (!customSources) {
+    customSources = new Map();
+    for (const imapAccount of config.imapAccounts || []) {
+      customSources.set(imapAccount.account || imapAccount.user, createImapSource(imapAccount));
+    }
+    for (const { account, path } of getArchiveConfigs()) {
+      customSources.set(account, createArchiveSource(path));
+    }
+  }
+  return customSources;
+}
+
+/**
+ * Returns the mail source for an account (Gmail unless it is a configured IMAP account or archive)
+ * @param {string} account - Account label
+ * @returns {{searchEmails: Function, getEmailWithAttachments: Function}}
+ */
+function getMailSource(account) {
+  return getCustomSources().get(account) || gmail;
+}
+
+/**
+ * Runs a mail call for an account, throttled by the account's Gmail limiter
+ * IMAP mailboxes and archives are not throttled
+ * @param {string} account - Account label
+ * @param {Function} fn - async (source) => result
+ * @returns {Promise<*>} Result of fn
+ */
+function withAccountLimit(account, fn) {
+  const source = getMailSource(account);
+  if (source !== gmail) return fn(source);
+
+  if (!gmailLimiters.has(account)) {
+    gmailLimiters.set(account, createRateLimiter({
+      maxConcurrent: config.rateLimit?.gmailConcurrentPerAccount,
+      perMinute: config.rateLimit?.gmailRequestsPerMinute
+    }));
+  }
+  return gmailLimiters.get(account).run(() => fn(source));
+}
+
+/**
+ * Returns every account the domain searcher should look through
+ * @returns {string[]} Gmail accounts followed by IMAP and archive labels
+ */
+function getSearchAccounts() {
+  return [...(config.emailAccounts || []), ...getCustomSources().keys()];
+}
+
+/**
+ * Searches emails in the account's mail source
+ * @param {string} account - Account label
+ * @param {string} query - Search query
+ * @param {number} maxResults - Maximum number of results (default: 100)
+ * @returns {Promise<Array<{id: string, threadId: string}>>}
+ */
+async function searchEmails(account, query, maxResults = 100) {
+  return withAccountLimit(account, source => source.searchEmails(account, query, maxResults));
+}
+
+/**
+ * Fetches a complete email with attachments from the account's mail source
+ * @param {string} account - Account label
+ * @param {string} messageId - Message ID returned by searchEmails
+ * @returns {Promise<Object>} Email data with attachments
+ */
+async function getEmailWithAttachments(account, messageId) {
+  return withAccountLimit(account, source => source.getEmailWithAttachments(account, messageId));
+}
+
+/**
+ * Fetches every message of a thread from the account's mail source, oldest first
+ * @param {string} account - Account label
+ * @param {string} threadId - Thread ID returned by searchEmails
+ * @returns {Promise<Array<Object>|null>} Emails, or null if the source can't fetch threads (IMAP)
+ */
+async function getThread(account, threadId) {
+  const source = getMailSource(account);
+  if (!source.getThread) return null;
+  return withAccountLimit(account, () => source.getThread(account, threadId));
+}
+
+/**
+ * Returns a link that opens the message in its mail client, if the source has one
+ * @param {string} account - Account label
+ * @param {string} messageId - Message ID
+ * @returns {string|null} URL or null for sources without a web client (IMAP, archives)
+ */
+function getMessageLink(account, messageId) {
+  if (!account || !messageId) return null;
+  const source = getMailSource(account);
+  return source.getMessageLink ? source.getMessageLink(account, messageId) : null;
+}
+
+module.exports = {
+  getMailSource,
+  withAccountLimit,
+  getMessageLink,
+  getSearchAccounts,
+  searchEmails,
+  getEmailWithAttachments,
+  getThread
+};
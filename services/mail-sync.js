@@ -0,0 +1,379 @@
+/**
+ * Mail Sync
+ * Keeps a local index of Gmail messages (headers, body and attachment text) in the
+ * database, using Gmail history IDs so each run only fetches what changed
+ *
+ * The first sync of an account lists every message (narrowed by config.mailSync.query
+ * if set) and resumes where it stopped if interrupted. Later syncs replay the mailbox
+ * history since the previous run; when Gmail no longer has that history, the account
+ * is listed again and only messages missing from the index are fetched.
+ *
+ * Once an account's first sync has finished, domain searches read the index and
+ * only ask the Gmail API for messages that arrived after the last sync.
+ */
+
+const db = require('../db');
+const config = require('../config');
+const gmail = require('./gmail');
+const { getMailSource, withAccountLimit, searchEmails, getEmailWithAttachments } = require('./mail-source');
+const { parseAttachment } = require('./attachments');
+
+// Hostnames (and email address domains) mentioned in a message
+const DOMAIN_PATTERN = /\b(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,24}\b/g;
+
+// Keeps a message quoting a huge site list from flooding the domain table
+const MAX_DOMAINS_PER_MESSAGE = 5000;
+
+// Spreadsheets are kept whole so structured extraction still works on indexed messages
+const SHEET_EXTENSIONS = ['xlsx', 'xls', 'csv'];
+
+// Messages fetched at the same time while syncing (the Gmail limiter still applies)
+const FETCH_BATCH_SIZE = 20;
+
+// Overlap when asking Gmail for messages newer than the last sync, for clock skew
+const UNSEEN_OVERLAP_SECONDS = 60 * 60;
+
+// Syncs in progress by account, so overlapping requests share one run
+const activeSyncs = new Map();
+
+/**
+ * Returns the Gmail accounts that can be synced (IMAP mailboxes and archives can't)
+ * @returns {string[]}
+ */
+function getSyncAccounts() {
+  return (config.emailAccounts || []).filter(account => getMailSource(account) === gmail);
+}
+
+/**
+ * Lists every domain mentioned in a text, including the parents of subdomains,
+ * so a search for example.com also finds blog.example.com
+ * @param {string} text - Text to scan
+ * @returns {string[]} Lowercase domains
+ */
+function extractDomains(text) {
+  const domains = new Set();
+
+  for (const match of (text || '').toLowerCase().matchAll(DOMAIN_PATTERN)) {
+    const labels = match[0].split('.');
+    for (let i = 0; i <= labels.length - 2; i++) {
+      domains.add(labels.slice(i).join('.'));
+    }
+    if (domains.size >= MAX_DOMAINS_PER_MESSAGE) break;
+  }
+
+  return [...domains];
+}
+
+/**
+ * Stores a fetched email in the index
+ * Attachments are stored as extracted text; spreadsheets up to config.mailSync.maxSheetBytes
+ * also keep their data
+ * @param {string} account - Gmail account
+ * @param {Object} email - Email from getEmailWithAttachments
+ * @returns {Promise<void>}
+ */
+async function indexEmail(account, email) {
+  const maxSheetBytes = config.mailSync?.maxSheetBytes || 5 * 1024 * 1024;
+  const searchable = [email.from, email.subject, email.body];
+  const attachments = [];
+
+  for (const attachment of email.attachments || []) {
+    const filename = attachment.filename || '';
+    const ext = filename.split('.').pop().toLowerCase();
+
+    let text = '';
+    try {
+      const parsed = await parseAttachment(attachment);
+      text = (parsed && parsed.text) || '';
+    } catch (error) {
+      console.error(`Mail sync: could not parse ${filename}:`, error.message);
+    }
+
+    const stored = { filename, mimeType: attachment.mimeType, text };
+    // Base64 is 4/3 of the decoded size
+    if (SHEET_EXTENSIONS.includes(ext) && attachment.data && attachment.data.length * 0.75 <= maxSheetBytes) {
+      stored.data = attachment.data;
+    }
+    attachments.push(stored);
+    searchable.push(filename, text);
+  }
+
+  await db.saveMailMessage(account, { ...email, attachments }, extractDomains(searchable.join('\n')));
+}
+
+/**
+ * Fetches and indexes the given messages that aren't indexed yet
+ * A message that can't be fetched is logged and skipped
+ * @param {string} account - Gmail account
+ * @param {string[]} messageIds - Gmail message IDs
+ * @returns {Promise<number>} Number of messages indexed
+ */
+async function indexMissingMessages(account, messageIds) {
+  const known = await db.getIndexedMessageIds(account, messageIds);
+  const missing = messageIds.filter(id => !known.has(id));
+  let indexed = 0;
+
+  for (let i = 0; i < missing.length; i += FETCH_BATCH_SIZE) {
+    await Promise.all(missing.slice(i, i + FETCH_BATCH_SIZE).map(async (messageId) => {
+      try {
+        const email = await getEmailWithAttachments(account, messageId);
+        await indexEmail(account, email);
+        indexed++;
+      } catch (error) {
+        console.error(`Mail sync: could not index message ${messageId} of ${account}:`, error.message);
+      }
+    }));
+  }
+
+  return indexed;
+}
+
+/**
+ * Lists the whole mailbox and indexes every message, resuming an interrupted run
+ * The history ID is taken before listing, so mail arriving meanwhile is picked up next time
+ * @param {string} account - Gmail account
+ * @param {Object|null} state - Saved sync state
+ * @returns {Promise<{indexed: number, deleted: number}>}
+ */
+async function syncFull(account, state) {
+  let historyId = state && state.pending_history_id;
+  let pageToken = state && state.page_token;
+
+  if (!historyId) {
+    const profile = await withAccountLimit(account, () => gmail.getProfile(account));
+    historyId = profile.historyId;
+    pageToken = null;
+    await db.saveMailSyncState(account, { pending_history_id: historyId, page_token: null });
+  } else if (pageToken) {
+    console.log(`Mail sync: resuming full sync of ${account}`);
+  }
+
+  let indexed = 0;
+  do {
+    const page = await withAccountLimit(account, () => gmail.listMessagePage(account, {
+      query: config.mailSync?.query,
+      pageToken
+    }));
+    indexed += await indexMissingMessages(account, page.messages.map(message => message.id));
+    pageToken = page.nextPageToken;
+    await db.saveMailSyncState(account, { page_token: pageToken });
+  } while (pageToken);
+
+  await db.saveMailSyncState(account, {
+    history_id: historyId,
+    pending_history_id: null,
+    page_token: null,
+    last_full_sync_at: new Date().toISOString()
+  });
+
+  return { indexed, deleted: 0 };
+}
+
+/**
+ * Applies the mailbox changes since the last sync
+ * @param {string} account - Gmail account
+ * @param {string} startHistoryId - History ID the index is current to
+ * @returns {Promise<{indexed: number, deleted: number}>}
+ * @throws {Error} With status 404 when Gmail no longer has history that old
+ */
+async function syncHistory(account, startHistoryId) {
+  const added = new Set();
+  const deleted = new Set();
+  let latestHistoryId = startHistoryId;
+  let pageToken = null;
+
+  do {
+    const page = await withAccountLimit(account, () => gmail.listHistory(account, startHistoryId, pageToken));
+    for (const id of page.added) {
+      added.add(id);
+      deleted.delete(id);
+    }
+    for (const id of page.deleted) {
+      deleted.add(id);
+      added.delete(id);
+    }
+    latestHistoryId = page.historyId || latestHistoryId;
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+
+  const removed = await db.deleteMailMessages(account, [...deleted]);
+  const indexed = await indexMissingMessages(account, [...added]);
+  await db.saveMailSyncState(account, { history_id: latestHistoryId });
+
+  return { indexed, deleted: removed };
+}
+
+/**
+ * Runs one sync of an account and records the outcome in its sync state
+ */
+async function runSync(account, options) {
+  const startedAt = new Date().toISOString();
+
+  if (options.full) {
+    await db.saveMailSyncState(account, { history_id: null, pending_history_id: null, page_token: null });
+  }
+  const state = await db.getMailSyncState(account);
+  await db.saveMailSyncState(account, { status: 'syncing', error: null });
+
+  try {
+    let mode = 'incremental';
+    let result;
+
+    if (state && state.history_id) {
+      try {
+        result = await syncHistory(account, state.history_id);
+      } catch (error) {
+        if (error.status !== 404) throw error;
+        console.log(`Mail sync: history of ${account} expired, listing the mailbox again`);
+        mode = 'full';
+        result = await syncFull(account, null);
+      }
+    } else {
+      mode = 'full';
+      result = await syncFull(account, state);
+    }
+
+    await db.saveMailSyncState(account, { status: 'idle', last_sync_at: startedAt });
+    console.log(`Mail sync (${mode}) of ${account}: ${result.indexed} indexed, ${result.deleted} removed`);
+    return { account, mode, ...result };
+  } catch (error) {
+    console.error(`Mail sync of ${account} failed:`, error.message);
+    await db.saveMailSyncState(account, { status: 'error', error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Syncs one Gmail account into the local index
+ * A sync already running for the account is joined instead of started twice
+ * @param {string} account - Gmail account
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Discard the history ID and list the whole mailbox again
+ * @returns {Promise<{account: string, mode: string, indexed: number, deleted: number}>}
+ */
+function syncAccount(account, options = {}) {
+  if (activeSyncs.has(account)) return activeSyncs.get(account);
+
+  const run = runSync(account, options).finally(() => activeSyncs.delete(account));
+  activeSyncs.set(account, run);
+  return run;
+}
+
+/**
+ * Syncs every Gmail account, one after another
+ * A failing account is recorded in its sync state and doesn't stop the others
+ * @param {Object} [options] - Passed to syncAccount
+ * @returns {Promise<Array<Object>>} Result (or {account, error}) per account
+ */
+async function syncAllAccounts(options = {}) {
+  const results = [];
+  for (const account of getSyncAccounts()) {
+    try {
+      results.push(await syncAccount(account, options));
+    } catch (error) {
+      results.push({ account, error: error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Sync state of every Gmail account, including accounts never synced
+ * @returns {Promise<Array<Object>>}
+ */
+async function getSyncStatus() {
+  const states = new Map((await db.getMailSyncStates()).map(state => [state.account, state]));
+
+  return getSyncAccounts().map(account => {
+    const state = states.get(account) || {};
+    return {
+      account,
+      indexed: Boolean(state.history_id),
+      syncing: activeSyncs.has(account),
+      status: state.status || 'never synced',
+      error: state.error || null,
+      message_count: state.message_count || 0,
+      last_sync_at: state.last_sync_at || null,
+      last_full_sync_at: state.last_full_sync_at || null
+    };
+  });
+}
+
+/**
+ * Returns whether an account's mail can be read from the local index
+ * @param {string} account - Account label
+ * @returns {Promise<Object|null>} The account's sync state, or null without a finished first sync
+ */
+async function getIndexedState(account) {
+  if (!db.isInitialized() || getMailSource(account) !== gmail) return null;
+
+  try {
+    const state = await db.getMailSyncState(account);
+    return state && state.history_id ? state : null;
+  } catch (error) {
+    console.error(`Mail index lookup failed for ${account}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Reads a thread from the local index
+ * Replies that arrived after the last sync are missing until the next one
+ * @param {string} account - Account label
+ * @param {string} threadId - Gmail thread ID
+ * @returns {Promise<Array<Object>|null>} Emails oldest first, or null when the index can't answer
+ */
+async function getIndexedThread(account, threadId) {
+  if (!await getIndexedState(account)) return null;
+
+  const emails = await db.getIndexedThread(account, threadId);
+  return emails.length > 0 ? emails : null;
+}
+
+/**
+ * Finds messages mentioning a domain through the local index
+ * Messages that arrived after the last sync are searched through the Gmail API
+ * (and indexed on the way); if that fails, the indexed messages are still returned
+ * @param {string} account - Account label
+ * @param {string} domain - Clean domain
+ * @returns {Promise<Array<{id: string, threadId: string, email: Object}>|null>}
+ *   Messages newest first, or null when the account has no finished index
+ */
+async function searchIndexedEmails(account, domain) {
+  const state = await getIndexedState(account);
+  if (!state) return null;
+
+  const indexed = await db.findIndexedMessages(account, domain);
+  const known = new Set(indexed.map(email => email.id));
+  const unseen = [];
+
+  try {
+    const since = Math.floor(new Date(state.last_sync_at || 0).getTime() / 1000) - UNSEEN_OVERLAP_SECONDS;
+    const recent = await searchEmails(account, `${domain} after:${Math.max(since, 0)}`);
+
+    for (const item of recent.filter(message => !known.has(message.id))) {
+      const email = await getEmailWithAttachments(account, item.id);
+      unseen.push(email);
+      await indexEmail(account, email).catch(error => {
+        console.error(`Mail sync: could not index message ${item.id} of ${account}:`, error.message);
+      });
+    }
+  } catch (error) {
+    console.error(`Searching new mail for ${domain} in ${account} failed, using the index only:`, error.message);
+  }
+
+  const timeOf = email => new Date(email.date).getTime() || 0;
+  return [...unseen, ...indexed]
+    .sort((a, b) => timeOf(b) - timeOf(a))
+    .map(email => ({ id: email.id, threadId: email.threadId, email }));
+}
+
+module.exports = {
+  extractDomains,
+  indexEmail,
+  syncAccount,
+  syncAllAccounts,
+  getSyncStatus,
+  getIndexedThread,
+  searchIndexedEmails
+};
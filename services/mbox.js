@@ -0,0 +1,203 @@
+/**
+ * Offline Mailbox Source
+ * Indexes local .mbox files and directories of .eml messages so exported
+ * archives can be searched with the same contract as the Gmail service
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseRawEmail } = require('./mime');
+
+// Cached indexes by archive path: { mtimeMs, messages: Map<id, entry> }
+const archiveIndexes = new Map();
+
+/**
+ * Splits an mbox file into raw messages
+ * Handles both mboxo and mboxrd quoting of body lines starting with "From "
+ * @param {string} content - Full mbox file content
+ * @returns {string[]} Raw RFC 822 messages
+ */
+function splitMbox(content) {
+  const messages = [];
+  let current = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (line.startsWith('From ')) {
+      if (current) messages.push(current.join('\r\n'));
+      current = [];
+      continue;
+    }
+    if (current) {
+      current.push(line.replace(/^>(>*From )/, '$1'));
+    }
+  }
+  if (current) messages.push(current.join('\r\n'));
+
+  return messages.filter(m => m.trim().length > 0);
+}
+
+/**
+ * Lists .eml files in a directory (recursively)
+ * @param {string} dir - Directory path
+ * @returns {Promise<string[]>} Absolute file paths
+ */
+async function listEmlFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listEmlFiles(fullPath));
+    } else if (entry.name.toLowerCase().endsWith('.eml')) {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Builds the text Gmail's plain-term search would match against
+ * @param {Object} email - Parsed email
+ * @returns {string} Lowercased searchable text
+ */
+function buildSearchText(email) {
+  return [
+    email.from,
+    email.to,
+    email.subject,
+    email.body,
+    ...email.attachments.map(a => a.filename)
+  ].join('\n').toLowerCase();
+}
+
+/**
+ * Returns the modification time of an archive (newest file for .eml directories)
+ * @param {string} archivePath - Path to .mbox file or .eml directory
+ * @returns {Promise<number>} mtime in ms
+ */
+async function getArchiveMtime(archivePath) {
+  const stat = await fs.stat(archivePath);
+  if (!stat.isDirectory()) return stat.mtimeMs;
+
+  let newest = stat.mtimeMs;
+  for (const file of await listEmlFiles(archivePath)) {
+    newest = Math.max(newest, (await fs.stat(file)).mtimeMs);
+  }
+  return newest;
+}
+
+/**
+ * Loads (or reuses) the message index for an archive
+ * @param {string} archivePath - Path to .mbox file or .eml directory
+ * @returns {Promise<Map<string, Object>>} Messages by ID
+ */
+async function loadArchive(archivePath) {
+  const mtimeMs = await getArchiveMtime(archivePath);
+  const cached = archiveIndexes.get(archivePath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.messages;
+  }
+
+  const stat = await fs.stat(archivePath);
+  const rawMessages = [];
+
+  if (stat.isDirectory()) {
+    for (const file of await listEmlFiles(archivePath)) {
+      rawMessages.push({ raw: await fs.readFile(file), fallbackId: path.relative(archivePath, file) });
+    }
+  } else {
+    const content = await fs.readFile(archivePath, 'utf-8');
+    splitMbox(content).forEach((raw, index) => {
+      rawMessages.push({ raw, fallbackId: `${path.basename(archivePath)}#${index}` });
+    });
+  }
+
+  const messages = new Map();
+  for (const { raw, fallbackId } of rawMessages) {
+    try {
+      const email = await parseRawEmail(raw, fallbackId);
+      // Same message exported twice (e.g. Inbox and Sent) - keep the first copy
+      if (messages.has(email.id)) continue;
+      messages.set(email.id, {
+        email,
+        searchText: buildSearchText(email),
+        timestamp: email.date ? new Date(email.date).getTime() || 0 : 0
+      });
+    } catch (error) {
+      console.error(`Error parsing message ${fallbackId} in ${archivePath}:`, error.message);
+    }
+  }
+
+  console.log(`Indexed ${messages.size} messages from archive ${archivePath}`);
+  archiveIndexes.set(archivePath, { mtimeMs, messages });
+  return messages;
+}
+
+/**
+ * Creates a mail source backed by a local archive
+ * @param {string} archivePath - Path to a .mbox file or a directory of .eml files
+ * @returns {{searchEmails: Function, getEmailWithAttachments: Function, getThread: Function}}
+ */
+function createArchiveSource(archivePath) {
+  const resolvedPath = path.resolve(archivePath);
+
+  return {
+    /**
+     * Searches the archive - every whitespace-separated term must appear (case-insensitive)
+     * @param {string} account - Account label (unused, kept for contract parity)
+     * @param {string} query - Search terms
+     * @param {number} maxResults - Maximum number of results (default: 100)
+     * @returns {Promise<Array<{id: string, threadId: string}>>} Newest first, like Gmail
+     */
+    async searchEmails(account, query, maxResults = 100) {
+      try {
+        const messages = await loadArchive(resolvedPath);
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        return [...messages.values()]
+          .filter(entry => terms.every(term => entry.searchText.includes(term)))
+          .sort((a, b) => b.timestamp - a.timestamp)
+          .slice(0, maxResults)
+          .map(entry => ({ id: entry.email.id, threadId: entry.email.threadId }));
+      } catch (error) {
+        console.error(`Error searching archive ${resolvedPath}:`, error.message);
+        throw new Error(`Failed to search emails: ${error.message}`);
+      }
+    },
+
+    /**
+     * Fetches a complete message with attachments from the archive
+     * @param {string} account - Account label (unused, kept for contract parity)
+     * @param {string} messageId - Message ID returned by searchEmails
+     * @returns {Promise<{id: string, from: string, subject: string, date: string, body: string, attachments: Array}>}
+     */
+    async getEmailWithAttachments(account, messageId) {
+      const messages = await loadArchive(resolvedPath);
+      const entry = messages.get(messageId);
+      if (!entry) {
+        throw new Error(`Failed to fetch email: ${messageId} not found in ${resolvedPath}`);
+      }
+      // Hand out a copy so callers can't mutate the index
+      return { ...entry.email, attachments: [...entry.email.attachments] };
+    },
+
+    /**
+     * Fetches every archived message of a thread (grouped by References / In-Reply-To), oldest first
+     * @param {string} account - Account label (unused, kept for contract parity)
+     * @param {string} threadId - Thread ID returned by searchEmails
+     * @returns {Promise<Array<Object>>} Emails shaped like getEmailWithAttachments results
+     */
+    async getThread(account, threadId) {
+      const messages = await loadArchive(resolvedPath);
+      return [...messages.values()]
+        .filter(entry => entry.email.threadId === threadId)
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(entry => ({ ...entry.email, attachments: [...entry.email.attachments] }));
+    }
+  };
+}
+
+module.exports = {
+  createArchiveSource,
+  splitMbox
+};
@@ -0,0 +1,75 @@
+/**
+ * MIME Parsing Helpers
+ * Converts raw RFC 822 messages into the email shape used by the Gmail service
+ */
+
+const { simpleParser } = require('mailparser');
+const crypto = require('crypto');
+
+/**
+ * Returns the raw (unfolded) value of a header, as Gmail would report it
+ * @param {Array<{key: string, line: string}>} headerLines - Header lines from mailparser
+ * @param {string} name - Header name (case-insensitive)
+ * @returns {string} Header value or empty string
+ */
+function getRawHeader(headerLines, name) {
+  const header = (headerLines || []).find(h => h.key === name.toLowerCase());
+  if (!header) return '';
+  return header.line
+    .replace(/^[^:]+:\s*/, '')
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Strips angle brackets from a Message-ID style value
+ * @param {string} value - e.g. "<abc@example.com>"
+ * @returns {string} e.g. "abc@example.com"
+ */
+function stripBrackets(value) {
+  return String(value || '').trim().replace(/^<|>$/g, '');
+}
+
+/**
+ * Parses a raw RFC 822 message into the same shape getEmailWithAttachments returns for Gmail
+ * @param {string|Buffer} raw - Raw message source
+ * @param {string} [fallbackId] - ID to use when the message has no Message-ID header
+ * @returns {Promise<{id: string, threadId: string, from: string, to: string, subject: string, date: string, body: string, attachments: Array}>}
+ */
+async function parseRawEmail(raw, fallbackId = null) {
+  const parsed = await simpleParser(raw);
+
+  const messageId = stripBrackets(parsed.messageId);
+  const id = messageId || fallbackId ||
+    crypto.createHash('sha1').update(raw).digest('hex').substring(0, 16);
+
+  // Thread root: first entry of References, else In-Reply-To, else the message itself
+  const references = Array.isArray(parsed.references)
+    ? parsed.references
+    : (parsed.references ? [parsed.references] : []);
+  const threadId = stripBrackets(references[0] || parsed.inReplyTo || '') || id;
+
+  const attachments = (parsed.attachments || [])
+    .filter(a => a.filename)
+    .map(a => ({
+      filename: a.filename,
+      mimeType: a.contentType,
+      data: a.content.toString('base64') // Base64 encoded data, same as Gmail
+    }));
+
+  return {
+    id,
+    threadId,
+    from: getRawHeader(parsed.headerLines, 'from'),
+    to: getRawHeader(parsed.headerLines, 'to'),
+    subject: parsed.subject || '',
+    date: parsed.date ? parsed.date.toUTCString() : getRawHeader(parsed.headerLines, 'date'),
+    body: parsed.text || parsed.html || '',
+    attachments
+  };
+}
+
+module.exports = {
+  parseRawEmail,
+  getRawHeader
+};
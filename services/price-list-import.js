@@ -0,0 +1,513 @@
+/**
+ * Price List Import
+ * Reads reseller price lists (Excel, CSV or Google Sheets with many sites), maps
+ * their columns to publisher price fields and saves every site at once
+ *
+ * Importing takes two steps: previewPriceList() parses the list and shows what each
+ * row would do, then importPriceList() saves the rows the user kept. Sheets whose
+ * columns can't be recognized, and lists sent as PDF, Word or plain text, are read
+ * by the LLM instead (extractMultiplePricing).
+ */
+
+const path = require('path');
+const db = require('../db');
+const { getEmailWithAttachments } = require('./mail-source');
+const { parseAttachment, parseGoogleSheet, findGoogleSheetUrls, readSheetTables } = require('./attachments');
+const { extractMultiplePricing } = require('./extractor');
+
+/**
+ * Fields a price list column can be mapped to, in the order the preview shows them
+ */
+const IMPORT_FIELDS = {
+  domain: 'Domain',
+  guest_post_price: 'Guest post',
+  link_insertion_price: 'Link insertion',
+  sponsored_post_price: 'Sponsored post',
+  homepage_link_price: 'Homepage link',
+  casino_price: 'Casino',
+  currency: 'Currency',
+  notes: 'Notes'
+};
+
+const PRICE_FIELDS = ['guest_post_price', 'link_insertion_price', 'sponsored_post_price', 'homepage_link_price', 'casino_price'];
+
+// Imported prices are quoted by whoever sent the list (often a reseller), so a
+// high-confidence price found in a webmaster's email is kept over them
+const IMPORT_CONFIDENCE = 'medium';
+
+// Headers of SEO metrics - DA/DR and traffic columns hold numbers that are not prices
+const METRIC_HEADER = /\b(da|dr|pa|tf|cf|as|traffic|visits|spam|authority|rating|ahrefs|moz|semrush)\b/;
+
+// First matching rule wins for each column, and each field takes one column
+const COLUMN_RULES = [
+  ['domain', header => /domain|website|site|url/.test(header) && !/price|cost|\$|€|£/.test(header)],
+  ['currency', header => /^(currency|curr\.?)$/.test(header)],
+  ['notes', header => /note|comment|remark/.test(header)],
+  ['casino_price', header => /casino|igaming|gambling|betting/.test(header)],
+  ['link_insertion_price', header => /link.?insert|insertion|niche.?edit/.test(header)],
+  ['homepage_link_price', header => /home.?page|front.?page/.test(header)],
+  ['sponsored_post_price', header => /sponsor/.test(header)],
+  ['guest_post_price', header => /guest|general|standard|article|post|price|cost|rate/.test(header)]
+];
+
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'INR', 'AUD', 'CAD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'AED'];
+const CURRENCY_SYMBOLS = [['A$', 'AUD'], ['C$', 'CAD'], ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR']];
+
+const SHEET_EXTENSIONS = { xlsx: 'excel', xls: 'excel', csv: 'csv' };
+
+/**
+ * Creates an error the API answers with the given status
+ */
+function importError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Reduces a cell to a bare domain ("https://www.Example.com/blog" -> "example.com")
+ * @param {*} value - Cell value
+ * @returns {string|null} Domain, or null if the cell doesn't hold one
+ */
+function cleanDomain(value) {
+  const text = String(value ?? '').trim().toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#\s]/)[0]
+    .replace(/\.$/, '');
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/.test(text) ? text : null;
+}
+
+/**
+ * Currency named in a cell or header, by code or symbol
+ * @param {*} value - Cell value or header
+ * @returns {string|null} Currency code
+ */
+function findCurrency(value) {
+  const text = String(value ?? '');
+  const code = text.toUpperCase().match(new RegExp(`\\b(${CURRENCY_CODES.join('|')})\\b`));
+  if (code) return code[1];
+  const symbol = CURRENCY_SYMBOLS.find(([sign]) => text.includes(sign));
+  return symbol ? symbol[1] : null;
+}
+
+/**
+ * Amount in a price cell ("$1,200", "150 EUR", "1.200,50 €", "150-200")
+ * The first number is used, so a range counts as its lower end
+ * @param {*} value - Cell value
+ * @returns {number|null} Positive amount or null
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') return value > 0 ? value : null;
+
+  const match = String(value ?? '').match(/\d[\d.,\s]*/);
+  if (!match) return null;
+
+  let number = match[0].replace(/\s/g, '').replace(/[.,]$/, '');
+  if (/^\d{1,3}(\.\d{3})+$|^\d{1,3}(,\d{3})+$/.test(number)) {
+    // Only thousands separators: "1.200", "1,200,000"
+    number = number.replace(/[.,]/g, '');
+  } else {
+    // Whichever of "." and "," comes last is the decimal separator: "1.200,50", "1,200.50"
+    const decimalAt = Math.max(number.lastIndexOf('.'), number.lastIndexOf(','));
+    if (decimalAt !== -1) {
+      number = `${number.slice(0, decimalAt).replace(/[.,]/g, '')}.${number.slice(decimalAt + 1)}`;
+    }
+  }
+
+  const amount = parseFloat(number);
+  return amount > 0 ? amount : null;
+}
+
+/**
+ * Index of the header row: the first of the top rows that names a domain/site column
+ * @param {Array<Array>} rows - Table rows
+ * @returns {number}
+ */
+function findHeaderRow(rows) {
+  for (let i = 0; i < Math.min(5, rows.length); i++) {
+    const rowText = rows[i].join(' ').toLowerCase();
+    if (/domain|website|site|url/.test(rowText)) return i;
+  }
+  return 0;
+}
+
+/**
+ * Maps header cells to import fields
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array>} dataRows - Rows below the header, to find an unlabelled domain column
+ * @returns {Object<string, number>} Column index by field
+ */
+function detectColumns(headers, dataRows = []) {
+  const mapping = {};
+
+  headers.forEach((cell, index) => {
+    const header = String(cell ?? '').trim().toLowerCase();
+    if (!header || METRIC_HEADER.test(header)) return;
+
+    const rule = COLUMN_RULES.find(([field, test]) => mapping[field] === undefined && test(header));
+    if (rule) mapping[rule[0]] = index;
+  });
+
+  // No domain header: use the first column that mostly holds domains
+  if (mapping.domain === undefined && dataRows.length > 0) {
+    for (let index = 0; index < headers.length; index++) {
+      const values = dataRows.map(row => row[index]).filter(value => String(value ?? '').trim());
+      if (values.length > 0 && values.filter(cleanDomain).length >= values.length / 2) {
+        mapping.domain = index;
+        break;
+      }
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Checks a column mapping chosen by the user
+ * @param {Object} mapping - Column index by field (null or -1 leaves a field unmapped)
+ * @param {number} columnCount - Columns in the table
+ * @returns {Object<string, number>}
+ */
+function sanitizeMapping(mapping, columnCount) {
+  const result = {};
+  for (const [field, value] of Object.entries(mapping || {})) {
+    const index = Number(value);
+    if (!IMPORT_FIELDS[field] || !Number.isInteger(index) || index < 0) continue;
+    if (index >= columnCount) {
+      throw importError(`Column ${index + 1} mapped to ${IMPORT_FIELDS[field]} does not exist`);
+    }
+    result[field] = index;
+  }
+  return result;
+}
+
+/**
+ * Loads the tables and texts of a price list, and where it came from
+ * @param {Object} source
+ *   {type: 'file', filename, data, sender} - an upload, data base64-encoded
+ *   {type: 'message', account, messageId} - the attachments and linked Google Sheets of an email
+ *   {type: 'sheet', url, account} - a Google Sheet
+ * @returns {Promise<{origin: Object, tables: Array<{name: string, rows: Array<Array>}>, texts: Array<{name: string, text: string}>}>}
+ */
+async function loadPriceList(source = {}) {
+  const tables = [];
+  const texts = [];
+
+  if (source.type === 'file') {
+    if (!source.filename || !source.data) throw importError('A file is required');
+
+    const ext = path.extname(source.filename).slice(1).toLowerCase();
+    if (SHEET_EXTENSIONS[ext]) {
+      tables.push(...readSheetTables(Buffer.from(source.data, 'base64'), SHEET_EXTENSIONS[ext]));
+    } else {
+      const parsed = await parseAttachment({ filename: source.filename, mimeType: source.mimeType, data: source.data });
+      if (parsed.error) throw importError(parsed.error);
+      texts.push({ name: source.filename, text: parsed.text });
+    }
+
+    return {
+      origin: { type: 'file', label: source.filename, filename: source.filename, sender: source.sender || null },
+      tables,
+      texts
+    };
+  }
+
+  if (source.type === 'message') {
+    if (!source.account || !source.messageId) throw importError('An account and message are required');
+
+    const email = await getEmailWithAttachments(source.account, source.messageId);
+    for (const attachment of email.attachments || []) {
+      const filename = attachment.filename || 'attachment';
+      const ext = path.extname(filename).slice(1).toLowerCase();
+
+      // Messages from the local index keep sheets whole but other attachments as text only
+      if (SHEET_EXTENSIONS[ext] && attachment.data) {
+        for (const table of readSheetTables(Buffer.from(attachment.data, 'base64'), SHEET_EXTENSIONS[ext])) {
+          tables.push({ name: `${filename} / ${table.name}`, rows: table.rows });
+        }
+      } else {
+        const text = typeof attachment.text === 'string' ? attachment.text : (await parseAttachment(attachment)).text;
+        if (text) texts.push({ name: filename, text });
+      }
+    }
+
+    for (const url of findGoogleSheetUrls(email.body)) {
+      const sheet = await parseGoogleSheet(url, source.account);
+      if (sheet.error) {
+        console.error(`Price list import: could not read ${url}:`, sheet.error);
+        continue;
+      }
+      for (const table of sheet.tables) {
+        tables.push({ name: `Google Sheet / ${table.name}`, rows: table.rows });
+      }
+    }
+
+    // A list pasted into the email itself
+    if (tables.length === 0 && texts.length === 0 && email.body) {
+      texts.push({ name: 'Email body', text: email.body });
+    }
+
+    return {
+      origin: {
+        type: 'message',
+        label: email.subject || source.messageId,
+        sender: email.from || null,
+        account: source.account,
+        message_id: email.id || source.messageId,
+        thread_id: email.threadId || null,
+        subject: email.subject || null,
+        email_date: email.date ? new Date(email.date).toISOString() : null
+      },
+      tables,
+      texts
+    };
+  }
+
+  if (source.type === 'sheet') {
+    if (!findGoogleSheetUrls(source.url || '').length) throw importError('A Google Sheets link is required');
+
+    const sheet = await parseGoogleSheet(source.url, source.account);
+    if (sheet.error) throw importError(sheet.error);
+
+    return {
+      origin: { type: 'sheet', label: source.url, url: source.url, account: source.account || null, sender: source.sender || null },
+      tables: sheet.tables,
+      texts
+    };
+  }
+
+  throw importError('Source type must be file, message or sheet');
+}
+
+/**
+ * Reads the price rows of a table with a column mapping
+ * @returns {{entries: Array<Object>, skipped: Array<Object>}}
+ */
+function readTableRows(table, headerRow, mapping, defaultCurrency) {
+  const entries = [];
+  const skipped = [];
+  const headerCurrency = Object.fromEntries(
+    PRICE_FIELDS.filter(field => mapping[field] !== undefined)
+      .map(field => [field, findCurrency(table.rows[headerRow][mapping[field]])])
+  );
+
+  for (let i = headerRow + 1; i < table.rows.length; i++) {
+    const row = table.rows[i];
+    const excerpt = row.map(cell => String(cell ?? '').trim()).filter(Boolean).join(' | ');
+    if (!excerpt) continue;
+
+    const line = { sheet: table.name, row: i + 1 };
+    const domain = cleanDomain(row[mapping.domain]);
+    if (!domain) {
+      skipped.push({ ...line, value: excerpt, reason: 'No domain' });
+      continue;
+    }
+
+    const entry = { ...line, domain, excerpt };
+    let currency = mapping.currency !== undefined ? findCurrency(row[mapping.currency]) : null;
+    for (const field of PRICE_FIELDS) {
+      if (mapping[field] === undefined) continue;
+      entry[field] = parsePrice(row[mapping[field]]);
+      currency = currency || (entry[field] ? findCurrency(row[mapping[field]]) || headerCurrency[field] : null);
+    }
+
+    if (!PRICE_FIELDS.some(field => entry[field])) {
+      skipped.push({ ...line, value: excerpt, reason: 'No price' });
+      continue;
+    }
+
+    entry.currency = currency || defaultCurrency;
+    entry.notes = mapping.notes !== undefined ? String(row[mapping.notes] ?? '').trim() || null : null;
+    entries.push(entry);
+  }
+
+  return { entries, skipped };
+}
+
+/**
+ * Reads a list the LLM has to make sense of
+ * @returns {Promise<Array<Object>>}
+ */
+async function readWithLLM(name, text, usageContext) {
+  const extracted = await extractMultiplePricing(text, usageContext);
+  return extracted.map(item => ({
+    sheet: name,
+    row: null,
+    domain: cleanDomain(item.domain),
+    guest_post_price: item.guest_post_price,
+    link_insertion_price: item.link_insertion_price,
+    sponsored_post_price: item.sponsored_post_price,
+    homepage_link_price: item.homepage_link_price,
+    casino_price: null,
+    currency: item.currency,
+    notes: item.notes,
+    excerpt: null
+  })).filter(entry => entry.domain);
+}
+
+/**
+ * What saving an entry would do to the publisher list (see savePublisher)
+ * An entry whose prices are all locked, or quoted in a currency that can't be converted to a
+ * locked one, keeps the current prices too
+ * @param {Object|null} existing - Publisher row
+ * @param {Object} entry - Price fields and currency
+ * @param {Object} rates - db.getExchangeRateMap()
+ * @returns {'new'|'update'|'kept'}
+ */
+function plannedAction(existing, entry, rates) {
+  if (!existing) return 'new';
+  const confidenceRank = { 'high': 3, 'medium': 2, 'low': 1 };
+  const keepsExisting = existing.guest_post_price !== null &&
+    confidenceRank[IMPORT_CONFIDENCE] < (confidenceRank[existing.confidence] || 0);
+  if (keepsExisting) return 'kept';
+
+  const prices = db.pricesToWrite(existing, db.parseLockedFields(existing.locked_fields), entry, rates);
+  return PRICE_FIELDS.some(field => prices[field]) ? 'update' : 'kept';
+}
+
+/**
+ * Parses a price list and shows what importing it would do, without saving anything
+ * @param {Object} source - See loadPriceList
+ * @param {Object} [options]
+ * @param {Object<string, Object>} [options.mapping] - Column mapping by table name, replacing the detected one
+ * @param {string} [options.currency] - Currency of prices that don't name one (default: USD)
+ * @param {number} [options.userId] - User the LLM usage is attributed to
+ * @returns {Promise<Object>} {origin, tables, rows, skipped}
+ */
+async function previewPriceList(source, options = {}) {
+  const { origin, tables, texts } = await loadPriceList(source);
+  const defaultCurrency = findCurrency(options.currency) || 'USD';
+  const usageContext = { userId: options.userId };
+
+  const tableSummaries = [];
+  const entries = [];
+  const skipped = [];
+
+  for (const table of tables) {
+    const headerRow = findHeaderRow(table.rows);
+    const headers = table.rows[headerRow].map(cell => String(cell ?? '').trim());
+    const columnCount = Math.max(...table.rows.map(row => row.length));
+    const mapping = options.mapping?.[table.name]
+      ? sanitizeMapping(options.mapping[table.name], columnCount)
+      : detectColumns(headers, table.rows.slice(headerRow + 1, headerRow + 51));
+
+    const usable = mapping.domain !== undefined && PRICE_FIELDS.some(field => mapping[field] !== undefined);
+    tableSummaries.push({
+      name: table.name,
+      mode: usable ? 'columns' : 'ai',
+      header_row: headerRow + 1,
+      headers,
+      mapping,
+      row_count: table.rows.length - headerRow - 1
+    });
+
+    if (usable) {
+      const result = readTableRows(table, headerRow, mapping, defaultCurrency);
+      entries.push(...result.entries);
+      skipped.push(...result.skipped);
+    } else {
+      const text = table.rows.map(row => row.join(' | ')).filter(line => line.trim()).join('\n');
+      entries.push(...await readWithLLM(table.name, text, usageContext));
+    }
+  }
+
+  for (const { name, text } of texts) {
+    tableSummaries.push({ name, mode: 'ai', header_row: null, headers: [], mapping: {}, row_count: null });
+    entries.push(...await readWithLLM(name, text, usageContext));
+  }
+
+  // A site listed twice keeps its first row
+  const seen = new Map();
+  const rows = [];
+  for (const entry of entries) {
+    if (seen.has(entry.domain)) {
+      const first = seen.get(entry.domain);
+      skipped.push({ sheet: entry.sheet, row: entry.row, value: entry.domain, reason: `Listed before (${first.sheet}${first.row ? `, row ${first.row}` : ''})` });
+      continue;
+    }
+    seen.set(entry.domain, entry);
+    rows.push(entry);
+  }
+
+  const existing = new Map((await db.getPublishersByDomains(rows.map(row => row.domain))).map(p => [p.domain, p]));
+  const rates = await db.getExchangeRateMap();
+  for (const row of rows) {
+    const publisher = existing.get(row.domain);
+    row.action = plannedAction(publisher, row, rates);
+    row.existing = publisher ? Object.fromEntries([...PRICE_FIELDS, 'currency', 'confidence'].map(field => [field, publisher[field]])) : null;
+    row.locked_fields = publisher ? Object.keys(db.parseLockedFields(publisher.locked_fields)) : [];
+  }
+
+  return { origin, tables: tableSummaries, rows, skipped };
+}
+
+/**
+ * Saves previewed rows to the publisher list, with the list's sender as their source
+ * Rows are checked again, since they come back from the browser
+ * @param {Array<Object>} rows - Rows from previewPriceList (the ones the user kept)
+ * @param {Object} origin - The preview's origin
+ * @returns {Promise<{created: number, updated: number, kept: number, failed: Array<{domain: string, error: string}>,
+ *   changes: Array<{domain: string, action: string, before: Object|null, after: Object}>}>}
+ *   changes lists each saved row with the publisher's prices before, for the audit log
+ */
+async function importPriceList(rows, origin = {}) {
+  const summary = { created: 0, updated: 0, kept: 0, failed: [], changes: [] };
+  const existing = new Map((await db.getPublishersByDomains(
+    rows.map(row => cleanDomain(row.domain)).filter(Boolean)
+  )).map(p => [p.domain, p]));
+  const rates = await db.getExchangeRateMap();
+
+  for (const row of rows) {
+    const domain = cleanDomain(row.domain);
+    const prices = Object.fromEntries(PRICE_FIELDS.map(field => [field, parsePrice(row[field])]));
+    if (!domain || !PRICE_FIELDS.some(field => prices[field])) {
+      summary.failed.push({ domain: String(row.domain ?? ''), error: domain ? 'No price' : 'Not a domain' });
+      continue;
+    }
+
+    try {
+      const publisher = existing.get(domain);
+      const currency = findCurrency(row.currency) || 'USD';
+      const action = plannedAction(publisher, { ...prices, currency }, rates);
+      await db.savePublisher({
+        domain,
+        ...prices,
+        casino_accepted: prices.casino_price ? 'yes' : null,
+        currency,
+        notes: row.notes ? String(row.notes) : null,
+        confidence: IMPORT_CONFIDENCE,
+        source_email: origin.sender || null,
+        account: origin.account || null,
+        subject: origin.subject || origin.label || null,
+        source_message_id: origin.message_id || null,
+        source_thread_id: origin.thread_id || null,
+        source_email_date: origin.email_date || null,
+        emailDate: origin.email_date || null,
+        extraction_method: 'import',
+        evidence_excerpt: row.excerpt ? String(row.excerpt).slice(0, 500) : null
+      });
+      summary[action === 'new' ? 'created' : action === 'update' ? 'updated' : 'kept']++;
+      summary.changes.push({
+        domain,
+        action,
+        before: publisher ? Object.fromEntries([...PRICE_FIELDS, 'currency'].map(field => [field, publisher[field] ?? null])) : null,
+        after: { ...prices, currency }
+      });
+    } catch (error) {
+      console.error(`Price list import: could not save ${domain}:`, error.message);
+      summary.failed.push({ domain, error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  cleanDomain,
+  parsePrice,
+  detectColumns,
+  previewPriceList,
+  importPriceList
+};
@@ -0,0 +1,82 @@
+/**
+ * Rate Limiter
+ * Caps how many calls run at once and how many start per minute, so
+ * concurrent task workers share Gmail and OpenAI quotas instead of
+ * each hammering the APIs on their own
+ */
+
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Creates a limiter that queues calls until both limits allow them to start
+ * @param {Object} [options]
+ * @param {number} [options.maxConcurrent] - Calls allowed in flight at once (default: unlimited)
+ * @param {number} [options.perMinute] - Calls allowed to start in any 60s window (default: unlimited)
+ * @returns {{run: Function}}
+ *
+ * @example
+ * const limiter = createRateLimiter({ maxConcurrent: 4, perMinute: 600 });
+ * const emails = await limiter.run(() => gmail.searchEmails(account, query));
+ */
+function createRateLimiter(options = {}) {
+  const maxConcurrent = options.maxConcurrent > 0 ? options.maxConcurrent : Infinity;
+  const perMinute = options.perMinute > 0 ? options.perMinute : Infinity;
+
+  const queue = [];
+  const startTimes = [];
+  let active = 0;
+  let timer = null;
+
+  /**
+   * Starts as many queued calls as the limits allow
+   * When the per-minute window is full, wakes up again once the oldest start expires
+   */
+  function pump() {
+    while (queue.length > 0 && active < maxConcurrent) {
+      const now = Date.now();
+      while (startTimes.length > 0 && now - startTimes[0] >= WINDOW_MS) {
+        startTimes.shift();
+      }
+
+      if (startTimes.length >= perMinute) {
+        if (!timer) {
+          timer = setTimeout(() => {
+            timer = null;
+            pump();
+          }, WINDOW_MS - (now - startTimes[0]));
+        }
+        return;
+      }
+
+      const job = queue.shift();
+      active++;
+      startTimes.push(now);
+
+      Promise.resolve()
+        .then(job.fn)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+  }
+
+  return {
+    /**
+     * Runs fn once the limits allow it
+     * @param {Function} fn - async () => result
+     * @returns {Promise<*>} Result of fn
+     */
+    run(fn) {
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        pump();
+      });
+    }
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,218 @@
+/**
+ * Cron Scheduler
+ * Runs jobs on standard 5-field cron expressions (minute hour day-of-month month day-of-week),
+ * evaluated in the server's local time
+ */
+
+// Longest single wait; longer gaps are re-evaluated so clock changes are picked up
+const MAX_TIMER_MS = 6 * 60 * 60 * 1000;
+
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * Parses one cron field into the set of values it allows
+ * Supports *, lists (1,15), ranges (1-5) and steps (*\/10, 0-30/5)
+ * @param {string} field - Field text
+ * @param {{name: string, min: number, max: number}} range - Allowed values
+ * @returns {{values: Set<number>, wildcard: boolean}}
+ */
+function parseField(field, range) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${range.name}: "${part}"`);
+    }
+
+    const step = match[4] ? parseInt(match[4]) : 1;
+    let start = range.min;
+    let end = range.max;
+    if (match[2] !== undefined) {
+      start = parseInt(match[2]);
+      // "5/15" means every 15 starting at 5
+      end = match[3] !== undefined ? parseInt(match[3]) : (match[4] ? range.max : start);
+    }
+
+    if (step < 1 || start < range.min || end > range.max || start > end) {
+      throw new Error(`Invalid cron ${range.name}: "${part}"`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, wildcard: field === '*' };
+}
+
+/**
+ * Parses a cron expression
+ * @param {string} expression - e.g. "0 3 * * *" (daily at 03:00)
+ * @returns {Object} Parsed schedule for getNextRun
+ * @throws {Error} If the expression is malformed
+ */
+function parseCron(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got "${expression}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, i) => parseField(field, FIELD_RANGES[i]));
+
+  // 7 is an alias for Sunday
+  if (dayOfWeek.values.has(7)) {
+    dayOfWeek.values.delete(7);
+    dayOfWeek.values.add(0);
+  }
+
+  return { expression, minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+/**
+ * Checks the day fields - like cron, when both day-of-month and day-of-week
+ * are restricted a day matching either one runs
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Day to check
+ * @returns {boolean}
+ */
+function matchesDay(schedule, date) {
+  const domMatch = schedule.dayOfMonth.values.has(date.getDate());
+  const dowMatch = schedule.dayOfWeek.values.has(date.getDay());
+
+  if (schedule.dayOfMonth.wildcard) return dowMatch;
+  if (schedule.dayOfWeek.wildcard) return domMatch;
+  return domMatch || dowMatch;
+}
+
+/**
+ * Returns the next time the schedule fires, strictly after `from`
+ * @param {Object|string} schedule - Parsed schedule or cron expression
+ * @param {Date} [from] - Start point (default: now)
+ * @returns {Date|null} Next run, or null if none within ~5 years (e.g. "0 0 31 2 *")
+ */
+function getNextRun(schedule, from = new Date()) {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+
+  const next = new Date(from.getTime());
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (next.getTime() <= limit) {
+    if (!parsed.month.values.has(next.getMonth() + 1)) {
+      next.setMonth(next.getMonth() + 1, 1);
+      next.setHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(parsed, next)) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0);
+      continue;
+    }
+    if (!parsed.hour.values.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0);
+      continue;
+    }
+    if (!parsed.minute.values.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1);
+      continue;
+    }
+    return next;
+  }
+
+  return null;
+}
+
+/**
+ * Creates a job that runs on a cron schedule until stopped
+ * A run that is still in progress when the next one is due is not overlapped
+ * @param {string} expression - Cron expression
+ * @param {Function} job - async () => void
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name used in logs
+ * @returns {{start: Function, stop: Function, nextRun: Function, isRunning: Function}}
+ * @throws {Error} If the expression is malformed
+ */
+function createScheduledJob(expression, job, options = {}) {
+  const schedule = parseCron(expression);
+  const name = options.name || expression;
+
+  let timer = null;
+  let nextRunAt = null;
+  let running = false;
+  let stopped = true;
+
+  function arm() {
+    if (stopped) return;
+
+    nextRunAt = getNextRun(schedule);
+    if (!nextRunAt) {
+      console.log(`Scheduled job "${name}" has no upcoming run`);
+      return;
+    }
+
+    const wait = nextRunAt.getTime() - Date.now();
+    timer = setTimeout(wait > MAX_TIMER_MS ? arm : fire, Math.min(Math.max(wait, 0), MAX_TIMER_MS));
+    // Don't keep the process alive just for the schedule
+    timer.unref?.();
+  }
+
+  async function fire() {
+    timer = null;
+    if (running) {
+      console.log(`Scheduled job "${name}" is still running, skipping this run`);
+    } else {
+      running = true;
+      try {
+        await job();
+      } catch (error) {
+        console.error(`Scheduled job "${name}" failed:`, error.message);
+      } finally {
+        running = false;
+      }
+    }
+    arm();
+  }
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      arm();
+      console.log(`Scheduled job "${name}" (${expression}) next runs at ${nextRunAt ? nextRunAt.toLocaleString() : 'never'}`);
+    },
+
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      nextRunAt = null;
+    },
+
+    /**
+     * @returns {Date|null} When the job fires next
+     */
+    nextRun() {
+      return nextRunAt;
+    },
+
+    /**
+     * @returns {boolean} Whether the job is running right now
+     */
+    isRunning() {
+      return running;
+    }
+  };
+}
+
+module.exports = {
+  parseCron,
+  getNextRun,
+  createScheduledJob
+};
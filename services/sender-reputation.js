@@ -0,0 +1,148 @@
+/**
+ * Sender Reputation
+ * Learns which senders are resellers and which are webmasters from reviewer
+ * verdicts on price candidates, and turns that into points for the email
+ * priority score (see calculateEmailPriority)
+ *
+ * Reputation is kept per email address and per sender domain. Free-mail domains
+ * (gmail.com, outlook.com...) only get address reputation - one reseller on
+ * Gmail says nothing about everyone else there.
+ *
+ * Like the extraction cache, lookups are best-effort: without a database (scripts,
+ * the evaluation) or when a lookup fails, scoring runs without reputation.
+ */
+
+const db = require('../db');
+
+/**
+ * What a reviewer can say about a candidate's sender
+ */
+const VERDICTS = ['reseller', 'webmaster', 'wrong'];
+
+/**
+ * Shared mailbox providers - their domains say nothing about the sender
+ */
+const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'ymail.com', 'hotmail.com', 'outlook.com', 'live.com',
+  'msn.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'gmx.net',
+  'mail.com', 'yandex.com', 'yandex.ru', 'mail.ru', 'zoho.com', 'qq.com', '163.com'
+]);
+
+/**
+ * Points per net verdict, and the most a reputation can add or take away
+ * Address reputation is trusted over domain reputation, which is only used when
+ * the address itself has none
+ */
+const REPUTATION_WEIGHTS = {
+  email: { perVerdict: 20, min: -60, max: 40 },
+  domain: { perVerdict: 10, min: -40, max: 20 }
+};
+
+/**
+ * Splits a From header into the address and (unless it's a free-mail provider) its domain
+ * @param {string} from - From header or plain address
+ * @returns {{email: string, domain: string|null}|null} null if there is no address in it
+ */
+function parseSender(from) {
+  const match = (from || '').toLowerCase().match(/([a-z0-9._%+-]+@([a-z0-9.-]+\.[a-z]{2,}))/);
+  if (!match) return null;
+  return { email: match[1], domain: FREE_MAIL_DOMAINS.has(match[2]) ? null : match[2] };
+}
+
+/**
+ * Net verdict of a reputation row: webmaster verdicts count up, reseller verdicts
+ * down and wrong prices half down
+ * @param {Object} row - {reseller_count, webmaster_count, wrong_count}
+ * @returns {number}
+ */
+function netVerdicts(row) {
+  return row.webmaster_count - row.reseller_count - row.wrong_count / 2;
+}
+
+/**
+ * Priority points for a reputation row
+ * @param {Object} row - Reputation row with kind 'email' or 'domain'
+ * @returns {number}
+ */
+function reputationPoints(row) {
+  const weight = REPUTATION_WEIGHTS[row.kind];
+  const points = Math.round(netVerdicts(row) * weight.perVerdict);
+  return Math.max(weight.min, Math.min(weight.max, points));
+}
+
+/**
+ * Loads the reputation of every sender of a search in one query
+ * @param {string[]} froms - From headers
+ * @returns {Promise<Map<string, Object>>} Reputation rows by sender (address or domain)
+ */
+async function loadSenderReputations(froms) {
+  if (!db.isInitialized()) return new Map();
+
+  const senders = new Set();
+  for (const from of froms) {
+    const sender = parseSender(from);
+    if (!sender) continue;
+    senders.add(sender.email);
+    if (sender.domain) senders.add(sender.domain);
+  }
+  if (senders.size === 0) return new Map();
+
+  try {
+    const rows = await db.getSenderReputations([...senders]);
+    return new Map(rows.map(row => [row.sender, row]));
+  } catch (error) {
+    console.error('Sender reputation lookup failed:', error.message);
+    return new Map();
+  }
+}
+
+/**
+ * The reputation signal for one sender, as used by calculateEmailPriority
+ * @param {string} from - From header
+ * @param {Map<string, Object>} reputations - From loadSenderReputations
+ * @returns {{sender: string, kind: string, points: number}|null} null when the sender has no reputation
+ */
+function getReputationSignal(from, reputations) {
+  const sender = parseSender(from);
+  if (!sender || !reputations || reputations.size === 0) return null;
+
+  const row = reputations.get(sender.email) || (sender.domain && reputations.get(sender.domain));
+  if (!row) return null;
+
+  const points = reputationPoints(row);
+  return points === 0 ? null : { sender: row.sender, kind: row.kind, points };
+}
+
+/**
+ * Records a reviewer's verdict on a candidate's sender
+ * A candidate has one verdict: changing it moves the sender's counts from the old verdict to the new one
+ * @param {Object} candidate - price_candidates row
+ * @param {string} verdict - One of VERDICTS
+ * @param {string} [username] - Reviewer
+ * @returns {Promise<{email: string, domain: string|null}|null>} The sender updated, or null if the candidate has no sender address
+ */
+async function recordVerdict(candidate, verdict, username = null) {
+  const sender = parseSender(candidate.source_email);
+  if (!sender) return null;
+
+  const previous = candidate.sender_verdict;
+  if (previous !== verdict) {
+    for (const [key, kind] of [[sender.email, 'email'], [sender.domain, 'domain']]) {
+      if (!key) continue;
+      if (previous) await db.adjustSenderReputation(key, kind, previous, -1, username);
+      await db.adjustSenderReputation(key, kind, verdict, 1, username);
+    }
+  }
+
+  await db.setCandidateVerdict(candidate.id, verdict, username);
+  return sender;
+}
+
+module.exports = {
+  VERDICTS,
+  parseSender,
+  reputationPoints,
+  loadSenderReputations,
+  getReputationSignal,
+  recordVerdict
+};
@@ -0,0 +1,55 @@
+/**
+ * Task Pool
+ * Works through a task's domains with a few workers sharing one queue. Workers
+ * stop taking domains once the run is paused or cancelled; domains already
+ * started finish, and the rest stay in the queue for the next run
+ */
+
+/**
+ * Runs processItem for each queued item, at most `workers` at a time
+ * @param {Array} queue - Items to process; taken from the front, so items left over stay in it
+ * @param {Object} options
+ * @param {number} options.workers - Items processed at once
+ * @param {{paused: boolean, cancelled: boolean}} options.runner - Run state, checked before each item
+ * @param {Function} options.processItem - async (item) => void
+ * @param {Function} [options.beforeEach] - async () => boolean; true stops the worker (e.g. it paused the run)
+ * @param {Function} [options.onError] - (item, error) => void, for errors processItem throws; the other
+ *   items are still processed
+ * @returns {Promise<{processed: number, failed: number, remaining: number}>} How many items finished,
+ *   how many threw and how many were never started
+ *
+ * @example
+ * const { remaining } = await runWorkerPool(domains, { workers: 3, runner, processItem: processDomain });
+ */
+async function runWorkerPool(queue, options) {
+  const { runner, processItem, beforeEach, onError } = options;
+  const workerCount = Math.max(1, Math.min(options.workers || 1, queue.length));
+  let processed = 0;
+  let failed = 0;
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      if (runner.cancelled || runner.paused) return;
+      if (beforeEach && await beforeEach()) return;
+      // Another worker may have emptied the queue or stopped the run while beforeEach ran
+      if (queue.length === 0 || runner.cancelled || runner.paused) return;
+
+      const item = queue.shift();
+      try {
+        await processItem(item);
+        processed++;
+      } catch (error) {
+        failed++;
+        if (onError) onError(item, error);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return { processed, failed, remaining: queue.length };
+}
+
+module.exports = {
+  runWorkerPool
+};
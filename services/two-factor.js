@@ -0,0 +1,305 @@
+/**
+ * Two-Factor Authentication
+ * Time-based one-time passwords (TOTP, RFC 6238) from authenticator apps, recovery codes,
+ * and the short-lived challenges that sit between the password and the code at sign-in
+ *
+ * Codes are the usual 6 digits for 30-second steps. One step of clock drift either way is
+ * accepted, and each step only once per user, so an overheard code can't be replayed.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const db = require('../db');
+
+// Shown as the account's name in authenticator apps
+const ISSUER = 'Domain Price Searcher';
+
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+const ALLOWED_DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Between the password and the code: how long a challenge lasts and how many codes it may try
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+// App setting that makes every user set up two-factor authentication
+const REQUIRE_SETTING = 'require_two_factor';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ============================================
+// TOTP
+// ============================================
+
+/**
+ * Base32 (RFC 4648, no padding) - how authenticator apps expect secrets
+ */
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = '';
+  for (const char of text.toUpperCase().replace(/[\s=-]/g, '')) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * The code for one time step (HOTP, RFC 4226, with HMAC-SHA1)
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** CODE_DIGITS;
+  return String(value).padStart(CODE_DIGITS, '0');
+}
+
+function currentStep() {
+  return Math.floor(Date.now() / 1000 / STEP_SECONDS);
+}
+
+/**
+ * The time step a code belongs to, if it is valid now
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user typed (spaces are ignored)
+ * @returns {number|null}
+ */
+function findCodeStep(secret, code) {
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(digits)) return null;
+
+  const now = currentStep();
+  for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+    const expected = generateCode(secret, now + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) {
+      return now + drift;
+    }
+  }
+  return null;
+}
+
+// ============================================
+// ENROLLMENT
+// ============================================
+
+/**
+ * Starts enrollment: a new secret to put into an authenticator app
+ * Two-factor authentication is only on once a code from the app confirms it (see enable)
+ * @param {{id: number, username: string}} user
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>} qrCode is a PNG data URL
+ */
+async function startEnrollment(user) {
+  const secret = base32Encode(crypto.randomBytes(20));
+  await db.setPendingTotpSecret(user.id, secret);
+
+  const label = encodeURIComponent(`${ISSUER}:${user.username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params}`;
+
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+}
+
+/**
+ * Finishes enrollment with a code from the authenticator app
+ * @returns {Promise<{recoveryCodes: string[]}|{error: string}>} The new recovery codes (shown once)
+ */
+async function enable(userId, code) {
+  const state = await db.getTwoFactorState(userId);
+  if (!state?.pendingSecret) {
+    return { error: 'Start setting up two-factor authentication first' };
+  }
+
+  const step = findCodeStep(state.pendingSecret, code);
+  if (step === null) {
+    return { error: 'Invalid code. Check that the time on your phone is correct.' };
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  if (!await db.enableTotp(userId, recoveryCodes.map(hashRecoveryCode), step)) {
+    return { error: 'Start setting up two-factor authentication first' };
+  }
+  return { recoveryCodes };
+}
+
+/**
+ * Turns two-factor authentication off for a user (also used by admins resetting it)
+ */
+async function disable(userId) {
+  await db.disableTotp(userId);
+}
+
+/**
+ * Whether a user has two-factor authentication on, and how many recovery codes are left
+ */
+async function getStatus(userId) {
+  const state = await db.getTwoFactorState(userId);
+  return {
+    enabled: Boolean(state?.secret),
+    enabledAt: state?.enabledAt || null,
+    recoveryCodesLeft: state?.secret ? state.recoveryCodes.length : 0
+  };
+}
+
+// ============================================
+// VERIFICATION & RECOVERY CODES
+// ============================================
+
+/**
+ * Recovery codes look like 3f9a2-c81e7: 40 random bits each, so a fast hash is enough to store them
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Replaces a user's recovery codes with new ones
+ * @returns {Promise<string[]>} The new codes (shown once)
+ */
+async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+  await db.setRecoveryCodes(userId, recoveryCodes.map(hashRecoveryCode));
+  return recoveryCodes;
+}
+
+/**
+ * Checks a code from the authenticator app, or a recovery code (which is then used up)
+ * @returns {Promise<{method: 'totp'|'recovery_code', recoveryCodesLeft?: number}|null>} null if the code is wrong
+ */
+async function verify(userId, code) {
+  const state = await db.getTwoFactorState(userId);
+  if (!state?.secret) return null;
+
+  const step = findCodeStep(state.secret, code);
+  if (step !== null) {
+    return await db.useTotpStep(userId, step) ? { method: 'totp' } : null;
+  }
+
+  const recoveryCodesLeft = await db.useRecoveryCode(userId, hashRecoveryCode(code));
+  return recoveryCodesLeft === null ? null : { method: 'recovery_code', recoveryCodesLeft };
+}
+
+// ============================================
+// SIGN-IN CHALLENGES
+// ============================================
+
+// Challenge ID -> { userId, username, data, expiresAt, attempts }
+// Kept in memory: a restart only means typing the password again
+const challenges = new Map();
+
+/**
+ * Remembers that a user got their password right, until they also enter a code
+ * @param {Object} user - User who passed the password step
+ * @param {Object} [data] - Anything to carry over to the code step
+ * @returns {string} Challenge ID for the client to send back with the code
+ */
+function createChallenge(user, data = {}) {
+  const now = Date.now();
+  for (const [id, challenge] of challenges) {
+    if (challenge.expiresAt <= now) challenges.delete(id);
+  }
+
+  const id = crypto.randomBytes(24).toString('base64url');
+  challenges.set(id, { userId: user.id, username: user.username, data, expiresAt: now + CHALLENGE_TTL_MS, attempts: 0 });
+  return id;
+}
+
+/**
+ * The unexpired challenge with this ID, or null
+ */
+function getChallenge(id) {
+  const challenge = challenges.get(id);
+  if (!challenge) return null;
+  if (challenge.expiresAt <= Date.now()) {
+    challenges.delete(id);
+    return null;
+  }
+  return challenge;
+}
+
+/**
+ * Counts a wrong code against a challenge; after too many the password has to be entered again
+ */
+function failChallenge(id) {
+  const challenge = challenges.get(id);
+  if (challenge && ++challenge.attempts >= CHALLENGE_MAX_ATTEMPTS) {
+    challenges.delete(id);
+  }
+}
+
+function deleteChallenge(id) {
+  challenges.delete(id);
+}
+
+// ============================================
+// REQUIRING TWO-FACTOR AUTHENTICATION
+// ============================================
+
+// Checked on every request, so kept in memory and only read from the database once
+let requiredCache = null;
+
+/**
+ * Whether every user has to set up two-factor authentication
+ */
+async function isRequired() {
+  if (requiredCache === null) {
+    requiredCache = Boolean(await db.getAppSetting(REQUIRE_SETTING, false));
+  }
+  return requiredCache;
+}
+
+/**
+ * Makes two-factor authentication required for everyone, or optional again
+ */
+async function setRequired(required, userId) {
+  await db.setAppSetting(REQUIRE_SETTING, Boolean(required), userId);
+  requiredCache = Boolean(required);
+}
+
+module.exports = {
+  startEnrollment,
+  enable,
+  disable,
+  getStatus,
+  regenerateRecoveryCodes,
+  verify,
+  createChallenge,
+  getChallenge,
+  failChallenge,
+  deleteChallenge,
+  isRequired,
+  setRequired
+};
@@ -0,0 +1,51 @@
+/**
+ * Access gates: public paths and what users who must change their password or set up
+ * two-factor authentication can reach, checked the way Express matches routes (any case,
+ * optional trailing slash)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const accessGates = require('../services/access-gates');
+
+test('normalizePath lowercases and drops trailing slashes', () => {
+  assert.strictEqual(accessGates.normalizePath('/API/Tasks/'), '/api/tasks');
+  assert.strictEqual(accessGates.normalizePath('/api/auth/change-password//'), '/api/auth/change-password');
+  assert.strictEqual(accessGates.normalizePath('/'), '/');
+  assert.strictEqual(accessGates.isApiPath('/Api/publishers'), true);
+  assert.strictEqual(accessGates.isApiPath('/apiary.html'), false);
+});
+
+test('account routes are never public, however they are written', () => {
+  assert.strictEqual(accessGates.isPublicPath('/api/auth/login'), true);
+  assert.strictEqual(accessGates.isPublicPath('/API/AUTH/LOGIN/'), true);
+  assert.strictEqual(accessGates.isPublicPath('/api/auth/logout'), true);
+  assert.strictEqual(accessGates.isPublicPath('/api/auth/change-password'), false);
+  assert.strictEqual(accessGates.isPublicPath('/api/auth/change-password/'), false);
+  assert.strictEqual(accessGates.isPublicPath('/API/Auth/Me'), false);
+  assert.strictEqual(accessGates.isPublicPath('/api/tasks'), false);
+});
+
+test('users who must change their password only reach the account routes', () => {
+  const account = { mustChangePassword: true };
+  for (const path of ['/api/tasks', '/API/tasks', '/Api/Tokens/', '/', '/index.html', '/INDEX.HTML', '/css/styles.css']) {
+    assert.strictEqual(accessGates.getBlockingGate(path, account), 'change_password', path);
+  }
+  for (const path of ['/api/auth/change-password', '/API/AUTH/CHANGE-PASSWORD/', '/api/auth/me']) {
+    assert.strictEqual(accessGates.getBlockingGate(path, account), null, path);
+  }
+  assert.strictEqual(accessGates.getBlockingGate('/API/tasks', { mustChangePassword: false }), null);
+});
+
+test('users without required two-factor authentication only reach the Account page and its routes', () => {
+  const account = { mustChangePassword: false, twoFactorMissing: true };
+  for (const path of ['/api/tasks', '/API/tasks', '/Api/Tasks/', '/API/TOKENS', '/', '/index.html', '/Users.html']) {
+    assert.strictEqual(accessGates.getBlockingGate(path, account), 'setup_two_factor', path);
+  }
+  for (const path of ['/account.html', '/Account.html', '/css/styles.css', '/api/auth/2fa/setup', '/API/Auth/2FA/Enable/']) {
+    assert.strictEqual(accessGates.getBlockingGate(path, account), null, path);
+  }
+
+  // Changing the password comes first
+  assert.strictEqual(accessGates.getBlockingGate('/account.html', { mustChangePassword: true, twoFactorMissing: true }), 'change_password');
+});
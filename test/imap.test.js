@@ -0,0 +1,138 @@
+/**
+ * IMAP mail source, against an in-memory stand-in for ImapFlow
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { splitMbox } = require('../services/mbox');
+
+const MESSAGES = splitMbox(fs.readFileSync(path.join(__dirname, 'fixtures', 'outreach.mbox'), 'utf-8'));
+
+/**
+ * Serves the fixture messages as UIDs 1..n and records how it is used
+ */
+class FakeImapFlow extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.usable = false;
+    this.locked = false;
+    this.lockQueue = [];
+    FakeImapFlow.instances.push(this);
+  }
+
+  async connect() {
+    FakeImapFlow.open++;
+    FakeImapFlow.maxOpen = Math.max(FakeImapFlow.maxOpen, FakeImapFlow.open);
+    this.usable = true;
+  }
+
+  async getMailboxLock(mailbox) {
+    if (this.locked) {
+      await new Promise(resolve => this.lockQueue.push(resolve));
+    }
+    this.locked = true;
+    this.mailbox = mailbox;
+    return {
+      release: () => {
+        const next = this.lockQueue.shift();
+        if (next) next();
+        else this.locked = false;
+      }
+    };
+  }
+
+  async search({ text }) {
+    await new Promise(resolve => setImmediate(resolve));
+    return MESSAGES.map((raw, index) => raw.includes(text) ? index + 1 : null).filter(Boolean);
+  }
+
+  async *fetch(uids) {
+    for (const uid of uids) yield { uid };
+  }
+
+  async fetchOne(uid) {
+    const raw = MESSAGES[parseInt(uid) - 1];
+    return raw ? { uid, source: Buffer.from(raw) } : false;
+  }
+
+  async logout() {
+    this.drop();
+  }
+
+  close() {
+    this.drop();
+  }
+
+  // The server hung up
+  drop() {
+    if (!this.usable) return;
+    this.usable = false;
+    FakeImapFlow.open--;
+    this.emit('close');
+  }
+}
+
+function resetFake() {
+  FakeImapFlow.instances = [];
+  FakeImapFlow.open = 0;
+  FakeImapFlow.maxOpen = 0;
+}
+
+require.cache[require.resolve('imapflow')] = {
+  id: 'imapflow',
+  loaded: true,
+  exports: { ImapFlow: FakeImapFlow }
+};
+const { createImapSource } = require('../services/imap');
+
+const ACCOUNT = { host: 'imap.example.net', user: 'outreach@example.net', password: 'secret' };
+
+test('searches and fetches messages with mailbox:uid IDs', async () => {
+  resetFake();
+  const source = createImapSource(ACCOUNT);
+
+  const results = await source.searchEmails('outreach', 'bluesea.example');
+  assert.deepStrictEqual(results.map(r => r.id), ['INBOX:2', 'INBOX:1']);
+
+  const email = await source.getEmailWithAttachments('outreach', 'INBOX:1');
+  assert.strictEqual(email.id, 'INBOX:1');
+  assert.strictEqual(email.subject, 'Guest posts on bluesea.example');
+  await assert.rejects(source.getEmailWithAttachments('outreach', 'INBOX:9'), /not found/);
+
+  await source.close();
+  assert.strictEqual(FakeImapFlow.open, 0);
+});
+
+test('concurrent requests share one connection per account', async () => {
+  resetFake();
+  const source = createImapSource(ACCOUNT);
+
+  await Promise.all([
+    source.searchEmails('outreach', 'bluesea.example'),
+    source.searchEmails('outreach', 'harbour.example'),
+    ...[1, 2, 3].map(uid => source.getEmailWithAttachments('outreach', `INBOX:${uid}`))
+  ]);
+  assert.strictEqual(FakeImapFlow.instances.length, 1);
+  assert.strictEqual(FakeImapFlow.maxOpen, 1);
+
+  await source.close();
+});
+
+test('reconnects after the connection drops', async () => {
+  resetFake();
+  const source = createImapSource(ACCOUNT);
+
+  await source.searchEmails('outreach', 'bluesea.example');
+  FakeImapFlow.instances[0].drop();
+
+  const results = await source.searchEmails('outreach', 'harbour.example');
+  assert.deepStrictEqual(results.map(r => r.id), ['INBOX:3']);
+  assert.strictEqual(FakeImapFlow.instances.length, 2);
+  assert.strictEqual(FakeImapFlow.maxOpen, 1);
+
+  await source.close();
+});
@@ -0,0 +1,39 @@
+/**
+ * Prices written over a publisher whose prices were set by hand (locked fields)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { pricesToWrite } = require('../db');
+
+const PUBLISHER = { domain: 'bluesea.example', currency: 'EUR', guest_post_price: 100 };
+const LOCKED = { guest_post_price: { by: 'anna', at: '2024-05-20T09:00:00.000Z' } };
+const RATES = { EUR: 1, USD: 0.92, GBP: 1.17 };
+
+test('locked prices are left alone and others written as extracted in the same currency', () => {
+  const prices = pricesToWrite(PUBLISHER, LOCKED, { guest_post_price: 150, link_insertion_price: 50, currency: 'EUR' }, RATES);
+  assert.strictEqual(prices.guest_post_price, null);
+  assert.strictEqual(prices.link_insertion_price, 50);
+  assert.strictEqual(prices.casino_price, null);
+});
+
+test('prices in another currency are converted to the locked one', () => {
+  const prices = pricesToWrite(PUBLISHER, LOCKED, { guest_post_price: 150, link_insertion_price: 50, currency: 'USD' }, RATES);
+  assert.strictEqual(prices.guest_post_price, null);
+  assert.strictEqual(prices.link_insertion_price, 46);
+
+  const fromGbp = pricesToWrite({ ...PUBLISHER, currency: 'USD' }, LOCKED, { casino_price: 92, currency: 'gbp' }, RATES);
+  assert.strictEqual(fromGbp.casino_price, 117);
+});
+
+test('prices that cannot be converted to the locked currency are left out', () => {
+  const prices = pricesToWrite(PUBLISHER, LOCKED, { link_insertion_price: 50, sponsored_post_price: 80, currency: 'INR' }, RATES);
+  assert.strictEqual(prices.link_insertion_price, null);
+  assert.strictEqual(prices.sponsored_post_price, null);
+});
+
+test('without locks, prices are written in whatever currency they were quoted in', () => {
+  const prices = pricesToWrite(PUBLISHER, {}, { guest_post_price: 150, link_insertion_price: 50, currency: 'USD' }, {});
+  assert.strictEqual(prices.guest_post_price, 150);
+  assert.strictEqual(prices.link_insertion_price, 50);
+});
@@ -0,0 +1,73 @@
+/**
+ * Offline mail archives: mbox splitting, MIME parsing and the archive mail source,
+ * run against the small archives in test/fixtures
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { splitMbox, createArchiveSource } = require('../services/mbox');
+const { parseRawEmail } = require('../services/mime');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const MBOX_PATH = path.join(FIXTURES, 'outreach.mbox');
+const EML_DIR = path.join(FIXTURES, 'eml');
+
+test('splitMbox splits on From_ lines and unquotes >From body lines', () => {
+  const messages = splitMbox(fs.readFileSync(MBOX_PATH, 'utf-8'));
+
+  assert.strictEqual(messages.length, 3);
+  assert.match(messages[0], /^From: "Blue Sea Media"/);
+  assert.match(messages[0], /\r\nFrom our side, link insertions are 80 EUR\./);
+});
+
+test('parseRawEmail returns the Gmail email shape', async () => {
+  const [first, reply, priceList] = splitMbox(fs.readFileSync(MBOX_PATH, 'utf-8'));
+
+  const email = await parseRawEmail(first);
+  assert.strictEqual(email.id, 'msg-1@bluesea.example');
+  assert.strictEqual(email.threadId, 'msg-1@bluesea.example');
+  assert.strictEqual(email.from, '"Blue Sea Media" <ads@bluesea.example>');
+  assert.strictEqual(email.subject, 'Guest posts on bluesea.example');
+  assert.strictEqual(email.date, 'Mon, 20 May 2024 09:00:00 GMT');
+  assert.match(email.body, /guest post on bluesea\.example is 150 EUR/);
+
+  // Replies join the thread of the first message they reference
+  assert.strictEqual((await parseRawEmail(reply)).threadId, 'msg-1@bluesea.example');
+
+  // No Message-ID: the fallback ID is used; attachments come base64-encoded like Gmail's
+  const withAttachment = await parseRawEmail(priceList, 'outreach.mbox#2');
+  assert.strictEqual(withAttachment.id, 'outreach.mbox#2');
+  assert.strictEqual(withAttachment.attachments.length, 1);
+  assert.strictEqual(withAttachment.attachments[0].filename, 'prices.csv');
+  assert.strictEqual(withAttachment.attachments[0].mimeType, 'text/csv');
+  assert.match(Buffer.from(withAttachment.attachments[0].data, 'base64').toString(), /harbour\.example,99/);
+});
+
+test('mbox archive source searches, fetches and groups threads', async () => {
+  const source = createArchiveSource(MBOX_PATH);
+
+  const results = await source.searchEmails('archive', 'bluesea.example');
+  assert.deepStrictEqual(results.map(r => r.id), ['msg-2@agency.example', 'msg-1@bluesea.example']);
+
+  // Every term must match, in headers, body or attachment names
+  assert.deepStrictEqual((await source.searchEmails('archive', 'prices.csv harbour')).map(r => r.id), ['outreach.mbox#2']);
+  assert.deepStrictEqual(await source.searchEmails('archive', 'bluesea.example harbour'), []);
+  assert.strictEqual((await source.searchEmails('archive', 'EUR', 1)).length, 1);
+
+  const email = await source.getEmailWithAttachments('archive', 'msg-1@bluesea.example');
+  assert.strictEqual(email.subject, 'Guest posts on bluesea.example');
+  await assert.rejects(source.getEmailWithAttachments('archive', 'missing@example'), /not found/);
+
+  const thread = await source.getThread('archive', 'msg-1@bluesea.example');
+  assert.deepStrictEqual(thread.map(e => e.id), ['msg-1@bluesea.example', 'msg-2@agency.example']);
+});
+
+test('.eml directory source reads subdirectories and skips duplicate copies', async () => {
+  const source = createArchiveSource(EML_DIR);
+
+  const results = await source.searchEmails('archive', 'coastal.example');
+  assert.deepStrictEqual(results.map(r => r.id), ['eml-2@agency.example', 'eml-1@coastal.example']);
+  assert.deepStrictEqual(results.map(r => r.threadId), ['eml-1@coastal.example', 'eml-1@coastal.example']);
+});
@@ -0,0 +1,31 @@
+/**
+ * Price list import: reading amounts from price cells
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePrice } = require('../services/price-list-import');
+
+test('parsePrice takes the last of "." and "," as the decimal separator', () => {
+  assert.strictEqual(parsePrice('1.200,50 €'), 1200.5);
+  assert.strictEqual(parsePrice('1,200.50'), 1200.5);
+  assert.strictEqual(parsePrice('1 200,50'), 1200.5);
+  assert.strictEqual(parsePrice('12,5'), 12.5);
+  assert.strictEqual(parsePrice('12.50 USD'), 12.5);
+});
+
+test('parsePrice reads thousands separators and plain amounts', () => {
+  assert.strictEqual(parsePrice('1200'), 1200);
+  assert.strictEqual(parsePrice('$1,200'), 1200);
+  assert.strictEqual(parsePrice('1.200 EUR'), 1200);
+  assert.strictEqual(parsePrice('1,200,000'), 1200000);
+  assert.strictEqual(parsePrice(150), 150);
+});
+
+test('parsePrice uses the lower end of a range and rejects cells without an amount', () => {
+  assert.strictEqual(parsePrice('150-200'), 150);
+  assert.strictEqual(parsePrice('n/a'), null);
+  assert.strictEqual(parsePrice(''), null);
+  assert.strictEqual(parsePrice(0), null);
+  assert.strictEqual(parsePrice(null), null);
+});
@@ -0,0 +1,55 @@
+/**
+ * Rate limiter: calls in flight at once and calls started per minute
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../services/rate-limiter');
+
+// Settles the promise callbacks queued so far (the limiter starts and finishes calls in them)
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test('no more than maxConcurrent calls run at once, and every call gets its own result', async () => {
+  const limiter = createRateLimiter({ maxConcurrent: 2 });
+  let running = 0;
+  let mostRunning = 0;
+
+  const results = await Promise.all([1, 2, 3, 4, 5].map(n => limiter.run(async () => {
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    await flush();
+    running--;
+    return n * 10;
+  })));
+
+  assert.deepStrictEqual(results, [10, 20, 30, 40, 50]);
+  assert.strictEqual(mostRunning, 2);
+});
+
+test('a call that throws rejects its own promise and frees its slot', async () => {
+  const limiter = createRateLimiter({ maxConcurrent: 1 });
+  const failing = limiter.run(async () => { throw new Error('quota'); });
+  const next = limiter.run(async () => 'ok');
+
+  await assert.rejects(failing, /quota/);
+  assert.strictEqual(await next, 'ok');
+});
+
+test('calls over perMinute wait until the oldest start is a minute old', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const limiter = createRateLimiter({ perMinute: 2 });
+  const started = [];
+  const calls = [1, 2, 3, 4].map(n => limiter.run(async () => { started.push(n); }));
+
+  await flush();
+  assert.deepStrictEqual(started, [1, 2]);
+
+  t.mock.timers.tick(59 * 1000);
+  await flush();
+  assert.deepStrictEqual(started, [1, 2]);
+
+  t.mock.timers.tick(1000);
+  await flush();
+  assert.deepStrictEqual(started, [1, 2, 3, 4]);
+  await Promise.all(calls);
+});
@@ -0,0 +1,49 @@
+/**
+ * Cron scheduler: parsing fields and finding the next run (dates are local time, like the scheduler)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, getNextRun } = require('../services/scheduler');
+
+const values = field => [...field.values].sort((a, b) => a - b);
+
+test('steps count from the start of the field or of the given value', () => {
+  assert.deepStrictEqual(values(parseCron('5/15 * * * *').minute), [5, 20, 35, 50]);
+  assert.deepStrictEqual(values(parseCron('*/20 * * * *').minute), [0, 20, 40]);
+  assert.deepStrictEqual(values(parseCron('0-30/10 * * * *').minute), [0, 10, 20, 30]);
+  assert.deepStrictEqual(values(parseCron('0 */6 * * *').hour), [0, 6, 12, 18]);
+
+  assert.deepStrictEqual(getNextRun('5/15 * * * *', new Date(2026, 0, 1, 10, 21)), new Date(2026, 0, 1, 10, 35));
+  assert.deepStrictEqual(getNextRun('5/15 * * * *', new Date(2026, 0, 1, 10, 50)), new Date(2026, 0, 1, 11, 5));
+});
+
+test('7 is Sunday in the day of week', () => {
+  assert.deepStrictEqual(values(parseCron('0 9 * * 7').dayOfWeek), [0]);
+  assert.deepStrictEqual(values(parseCron('0 9 * * 5-7').dayOfWeek), [0, 5, 6]);
+
+  // 1 January 2026 is a Thursday
+  assert.deepStrictEqual(getNextRun('0 9 * * 7', new Date(2026, 0, 1, 12, 0)), new Date(2026, 0, 4, 9, 0));
+});
+
+test('when day of month and day of week are both restricted, a day matching either fires', () => {
+  const schedule = parseCron('0 0 15 * 1');
+
+  // Monday 5 January comes before the 15th
+  assert.deepStrictEqual(getNextRun(schedule, new Date(2026, 0, 1, 0, 0)), new Date(2026, 0, 5, 0, 0));
+  // Thursday 15 January comes before Monday the 19th
+  assert.deepStrictEqual(getNextRun(schedule, new Date(2026, 0, 12, 0, 0)), new Date(2026, 0, 15, 0, 0));
+
+  // With only one of them restricted, the other doesn't widen it
+  assert.deepStrictEqual(getNextRun('0 0 15 * *', new Date(2026, 0, 1, 0, 0)), new Date(2026, 0, 15, 0, 0));
+  assert.deepStrictEqual(getNextRun('0 0 * * 1', new Date(2026, 0, 1, 0, 0)), new Date(2026, 0, 5, 0, 0));
+});
+
+test('a schedule that never fires has no next run, and malformed ones are rejected', () => {
+  assert.strictEqual(getNextRun('0 0 31 2 *', new Date(2026, 0, 1)), null);
+
+  assert.throws(() => parseCron('0 0 * *'), /5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid cron minute/);
+  assert.throws(() => parseCron('0 0 * * 8'), /Invalid cron day of week/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid cron minute/);
+});
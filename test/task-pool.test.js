@@ -0,0 +1,119 @@
+/**
+ * Task worker pool: how many domains run at once, pausing and cancelling, and the
+ * counts of processed, failed and remaining domains
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runWorkerPool } = require('../services/task-pool');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+function makeQueue(count) {
+  return Array.from({ length: count }, (_, index) => ({ domain: `site${index + 1}.com` }));
+}
+
+test('every domain is processed once with no more than the given number of workers', async () => {
+  const queue = makeQueue(7);
+  const runner = { paused: false, cancelled: false };
+  const seen = [];
+  let running = 0;
+  let mostRunning = 0;
+
+  const summary = await runWorkerPool(queue, {
+    workers: 3,
+    runner,
+    processItem: async (item) => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await flush();
+      seen.push(item.domain);
+      running--;
+    }
+  });
+
+  assert.strictEqual(mostRunning, 3);
+  assert.deepStrictEqual([...seen].sort(), makeQueue(7).map(item => item.domain).sort());
+  assert.deepStrictEqual(summary, { processed: 7, failed: 0, remaining: 0 });
+});
+
+test('pausing lets started domains finish and leaves the rest in the queue', async () => {
+  const queue = makeQueue(6);
+  const runner = { paused: false, cancelled: false };
+  const started = [];
+  const finished = [];
+
+  const summary = await runWorkerPool(queue, {
+    workers: 2,
+    runner,
+    processItem: async (item) => {
+      started.push(item.domain);
+      if (item.domain === 'site3.com') {
+        // Paused while site4 runs next to it
+        while (!started.includes('site4.com')) await flush();
+        runner.paused = true;
+      }
+      await flush();
+      finished.push(item.domain);
+    }
+  });
+
+  assert.deepStrictEqual([...finished].sort(), ['site1.com', 'site2.com', 'site3.com', 'site4.com']);
+  assert.deepStrictEqual(queue.map(item => item.domain), ['site5.com', 'site6.com']);
+  assert.deepStrictEqual(summary, { processed: 4, failed: 0, remaining: 2 });
+});
+
+test('a cancelled run takes no more domains', async () => {
+  const queue = makeQueue(5);
+  const runner = { paused: false, cancelled: false };
+
+  const summary = await runWorkerPool(queue, {
+    workers: 1,
+    runner,
+    processItem: async (item) => {
+      if (item.domain === 'site2.com') runner.cancelled = true;
+    }
+  });
+
+  assert.deepStrictEqual(summary, { processed: 2, failed: 0, remaining: 3 });
+});
+
+test('beforeEach can stop the workers, e.g. when the budget is used up', async () => {
+  const queue = makeQueue(4);
+  const runner = { paused: false, cancelled: false };
+  let checks = 0;
+
+  const summary = await runWorkerPool(queue, {
+    workers: 2,
+    runner,
+    beforeEach: async () => {
+      checks++;
+      if (checks > 2) {
+        runner.paused = true;
+        return true;
+      }
+      return false;
+    },
+    processItem: async () => {}
+  });
+
+  assert.deepStrictEqual(summary, { processed: 2, failed: 0, remaining: 2 });
+});
+
+test('a domain that throws is counted as failed and the others still run', async () => {
+  const queue = makeQueue(4);
+  const runner = { paused: false, cancelled: false };
+  const errors = [];
+
+  const summary = await runWorkerPool(queue, {
+    workers: 2,
+    runner,
+    processItem: async (item) => {
+      if (item.domain === 'site2.com') throw new Error('task deleted');
+    },
+    onError: (item, error) => errors.push(`${item.domain}: ${error.message}`)
+  });
+
+  assert.deepStrictEqual(errors, ['site2.com: task deleted']);
+  assert.deepStrictEqual(summary, { processed: 3, failed: 1, remaining: 0 });
+});